@@ -0,0 +1,59 @@
+// ===== Audit Log =====
+// Who changed what, to which record, and from where: admin edits and deletes of accounts, changes
+// users make to their own profiles, and the jobs and CLI commands that act on accounts. Entries are
+// only ever inserted. Pass the same connection as the change itself where there is a transaction, so
+// the entry and the change are committed together.
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+// Database rows and request bodies disagree on types (DECIMAL columns come back as '8.5', TINYINT flags
+// as 1 where the request had true), so values are compared by what they mean
+const sameValue = (a, b) => {
+    if (isEmpty(a) || isEmpty(b)) return isEmpty(a) && isEmpty(b);
+    if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+    if (!Number.isNaN(Number(a)) && !Number.isNaN(Number(b))) return Number(a) === Number(b);
+    return String(a) === String(b);
+};
+
+// Reduces before/after snapshots to the fields that actually changed; null when nothing did
+const changedValues = (before, after) => {
+    const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+        .filter(key => !sameValue(before?.[key], after?.[key]));
+    if (keys.length === 0) return null;
+    const pick = (values) => (values ? Object.fromEntries(keys.filter(key => key in values).map(key => [key, values[key]])) : null);
+    return { before: pick(before), after: pick(after) };
+};
+
+// The actor fields for an entry made through the API
+const requestActor = (req) => ({
+    actorId: req.user.id,
+    ipAddress: req.ip,
+    userAgent: (req.get('user-agent') || '').slice(0, 255)
+});
+
+// Records one entry. `actor` is requestActor(req) for API requests, or { actorLabel } for jobs and the CLI.
+// With `diff: true`, before/after are first reduced to the fields that changed, and nothing is recorded
+// if none did. Resolves to whether an entry was written.
+const recordAudit = async (db, actor, { action, targetType, targetId = null, targetLabel = null, before = null, after = null, diff = false }) => {
+    let values = { before, after };
+    if (diff) {
+        values = changedValues(before, after);
+        if (!values) return false;
+    }
+    const serialize = (data) => (data ? JSON.stringify(data) : null);
+    await db.query('INSERT INTO audit_log SET ?', [{
+        actor_id: actor.actorId || null,
+        actor_label: actor.actorLabel || null,
+        action,
+        target_type: targetType,
+        target_id: targetId,
+        target_label: targetLabel ? String(targetLabel).slice(0, 255) : null,
+        before_values: serialize(values.before),
+        after_values: serialize(values.after),
+        ip_address: actor.ipAddress || null,
+        user_agent: actor.userAgent || null
+    }]);
+    return true;
+};
+
+module.exports = { recordAudit, requestActor };
@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+// ===== User Management CLI =====
+// Bootstraps admins, manages accounts and runs migrations straight against the database, using the same
+// DB_* settings as server.js. Run `node cli.js help` for the list of commands. Passwords are always
+// prompted for, never passed as arguments, so they stay out of shell history.
+const readline = require('readline');
+const bcrypt = require('bcrypt');
+const db = require('./db');
+const { runMigrations, rollbackMigrations, migrationStatus } = require('./migrate');
+const { createStorage } = require('./storage');
+const { deleteUserAndMedia, processMediaDeletions, reconcileMedia } = require('./media');
+const { recordAudit } = require('./audit');
+const { SEED_EMAIL_DOMAIN, SEED_PASSWORD, SEED_MEDIA_URL, countSeedUsers, clearSeedData, seedDatabase } = require('./seed');
+
+const PASSWORD_MIN_LENGTH = 8;
+const accountRoles = ['model', 'photographer', 'editor', 'recruiter', 'admin'];
+
+class CliError extends Error {}
+
+// ===== Prompts =====
+// On a terminal, input is read in raw mode so passwords can be typed without echo. When stdin is piped
+// (e.g. from a provisioning script), answers are taken one line at a time.
+let lineReader;
+let inputEnded = false;
+const bufferedLines = [];
+const waitingForLine = [];
+const endOfInput = () => new CliError('Input ended before every prompt was answered.');
+
+const nextLine = () => {
+    if (!lineReader) {
+        lineReader = readline.createInterface({ input: process.stdin });
+        lineReader.on('line', (line) => (waitingForLine.length ? waitingForLine.shift().resolve(line) : bufferedLines.push(line)));
+        lineReader.on('close', () => {
+            inputEnded = true;
+            waitingForLine.splice(0).forEach(waiter => waiter.reject(endOfInput()));
+        });
+    }
+    if (bufferedLines.length) return Promise.resolve(bufferedLines.shift());
+    if (inputEnded) return Promise.reject(endOfInput());
+    return new Promise((resolve, reject) => waitingForLine.push({ resolve, reject }));
+};
+
+const readTerminalLine = (hidden) => new Promise((resolve, reject) => {
+    let value = '';
+    const finish = (callback) => {
+        process.stdin.removeListener('data', onData);
+        process.stdin.setRawMode(false);
+        process.stdin.pause();
+        process.stdout.write('\n');
+        callback();
+    };
+    const onData = (chunk) => {
+        for (const char of chunk) {
+            if (char === '\r' || char === '\n') return finish(() => resolve(value));
+            if (char === '\u0003') return finish(() => reject(new CliError('Cancelled.')));
+            if (char === '\u007f' || char === '\b') {
+                if (value && !hidden) process.stdout.write('\b \b');
+                value = value.slice(0, -1);
+            } else {
+                value += char;
+                if (!hidden) process.stdout.write(char);
+            }
+        }
+    };
+    process.stdin.setRawMode(true);
+    process.stdin.setEncoding('utf8');
+    process.stdin.resume();
+    process.stdin.on('data', onData);
+});
+
+const prompt = async (question, { hidden = false } = {}) => {
+    process.stdout.write(question);
+    const answer = process.stdin.isTTY ? await readTerminalLine(hidden) : await nextLine();
+    return answer.trim();
+};
+
+const promptNewPassword = async () => {
+    const password = await prompt('New password: ', { hidden: true });
+    if (password.length < PASSWORD_MIN_LENGTH) throw new CliError(`Password must be at least ${PASSWORD_MIN_LENGTH} characters.`);
+    if (await prompt('Confirm password: ', { hidden: true }) !== password) throw new CliError('Passwords do not match.');
+    return bcrypt.hash(password, 10);
+};
+
+// ===== Helpers =====
+const findUser = async (email) => {
+    if (!email) throw new CliError('An email address is required.');
+    const [[user]] = await db.query('SELECT id, name, email, role, disabled_at FROM users WHERE email = ?', [email]);
+    if (!user) throw new CliError(`No user with email ${email}.`);
+    return user;
+};
+
+// Audit entries made from here have no signed-in user; they name the shell account that ran the command
+const cliActor = { actorLabel: `CLI (${process.env.SUDO_USER || process.env.USER || 'unknown user'})` };
+
+const auditUserChange = (user, action, values = {}) =>
+    recordAudit(db, cliActor, { action, targetType: 'user', targetId: user.id, targetLabel: user.email, ...values });
+
+// Signed-in devices lose access on their next request; open sockets drop when their token expires
+const revokeSessions = (userId) =>
+    db.query('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL', [userId]);
+
+// ===== Commands =====
+const commands = {
+    'create-admin': {
+        usage: 'create-admin <email> <name...>',
+        description: 'Create an admin account (prompts for the password)',
+        run: async ([email, ...nameParts]) => {
+            const name = nameParts.join(' ');
+            if (!email || !name) throw new CliError('Usage: create-admin <email> <name...>');
+            const [existing] = await db.query('SELECT id FROM users WHERE email = ?', [email]);
+            if (existing.length > 0) throw new CliError(`${email} already has an account. Use set-role to make it an admin.`);
+            const hashedPassword = await promptNewPassword();
+            // Nobody else can vouch for the address, so the admin creating the account does
+            const [result] = await db.query(
+                'INSERT INTO users (name, email, password, role, email_verified_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)',
+                [name, email, hashedPassword, 'admin']
+            );
+            await auditUserChange({ id: result.insertId, email }, 'user.create', { after: { name, email, role: 'admin' } });
+            console.log(`✅ Created admin ${name} <${email}>.`);
+        }
+    },
+    'reset-password': {
+        usage: 'reset-password <email>',
+        description: 'Set a new password (prompts for it) and sign the user out everywhere',
+        run: async ([email]) => {
+            const user = await findUser(email);
+            const hashedPassword = await promptNewPassword();
+            await db.query('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, user.id]);
+            await revokeSessions(user.id);
+            await auditUserChange(user, 'user.password_reset');
+            console.log(`✅ Password reset for ${user.email}.`);
+        }
+    },
+    'reset-2fa': {
+        usage: 'reset-2fa <email>',
+        description: 'Turn off two-factor authentication for a user who lost their device',
+        run: async ([email]) => {
+            const user = await findUser(email);
+            await db.query('UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?', [user.id]);
+            await db.query('DELETE FROM recovery_codes WHERE user_id = ?', [user.id]);
+            await auditUserChange(user, 'user.two_factor_reset');
+            console.log(`✅ Two-factor authentication turned off for ${user.email}. They will be asked to set it up again if their role requires it.`);
+        }
+    },
+    'set-role': {
+        usage: 'set-role <email> <role>',
+        description: `Change a user's role (${accountRoles.join(', ')})`,
+        run: async ([email, role]) => {
+            if (!accountRoles.includes(role)) throw new CliError(`Role must be one of: ${accountRoles.join(', ')}.`);
+            const user = await findUser(email);
+            await db.query('UPDATE users SET role = ? WHERE id = ?', [role, user.id]);
+            await auditUserChange(user, 'user.update', { before: { role: user.role }, after: { role }, diff: true });
+            console.log(`✅ ${user.email} is now ${role === 'admin' ? 'an' : 'a'} ${role} (was ${user.role}).`);
+        }
+    },
+    disable: {
+        usage: 'disable <email>',
+        description: 'Block a user from logging in and end their sessions',
+        run: async ([email]) => {
+            const user = await findUser(email);
+            if (user.disabled_at) throw new CliError(`${user.email} is already disabled.`);
+            await db.query('UPDATE users SET disabled_at = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+            await revokeSessions(user.id);
+            await auditUserChange(user, 'user.disable');
+            console.log(`✅ Disabled ${user.email}.`);
+        }
+    },
+    enable: {
+        usage: 'enable <email>',
+        description: 'Allow a disabled user to log in again',
+        run: async ([email]) => {
+            const user = await findUser(email);
+            if (!user.disabled_at) throw new CliError(`${user.email} is not disabled.`);
+            await db.query('UPDATE users SET disabled_at = NULL WHERE id = ?', [user.id]);
+            await auditUserChange(user, 'user.enable');
+            console.log(`✅ Enabled ${user.email}.`);
+        }
+    },
+    delete: {
+        usage: 'delete <email>',
+        description: 'Permanently delete a user and their profile, images and videos',
+        run: async ([email]) => {
+            const user = await findUser(email);
+            if (await prompt(`This permanently deletes ${user.name} <${user.email}>. Type the email again to confirm: `) !== user.email) {
+                throw new CliError('Confirmation did not match; nothing was deleted.');
+            }
+            // The server's cleanup job deletes the queued media files
+            await deleteUserAndMedia(db, user.id, 'user_deleted', { actor: cliActor, action: 'user.delete' });
+            console.log(`✅ Deleted ${user.email}. Their media files are queued for deletion.`);
+        }
+    },
+    list: {
+        usage: 'list [role]',
+        description: 'List users, optionally only those with one role',
+        run: async ([role]) => {
+            if (role && !accountRoles.includes(role)) throw new CliError(`Role must be one of: ${accountRoles.join(', ')}.`);
+            const [users] = await db.query(
+                `SELECT id, name, email, role, created_at,
+                        email_verified_at IS NOT NULL AS verified, totp_enabled_at IS NOT NULL AS two_factor, disabled_at IS NOT NULL AS disabled,
+                        deactivated_at IS NOT NULL AS deactivated, deletion_scheduled_for
+                 FROM users ${role ? 'WHERE role = ?' : ''} ORDER BY created_at DESC`,
+                role ? [role] : []
+            );
+            const yesNo = (value) => (value ? 'yes' : '');
+            console.table(users.map(user => ({
+                id: user.id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                joined: new Date(user.created_at).toISOString().slice(0, 10),
+                verified: yesNo(user.verified),
+                '2fa': yesNo(user.two_factor),
+                disabled: yesNo(user.disabled),
+                // Users who asked for their account to be deleted show the date the retention job will do it
+                deactivated: user.deletion_scheduled_for
+                    ? `deleting ${new Date(user.deletion_scheduled_for).toISOString().slice(0, 10)}`
+                    : yesNo(user.deactivated)
+            })));
+        }
+    },
+    seed: {
+        usage: 'seed [--reset]',
+        description: 'Fill a development database with demo accounts, profiles and videos',
+        run: async ([flag]) => {
+            if (flag && flag !== '--reset') throw new CliError('Usage: seed [--reset]');
+            if (process.env.NODE_ENV === 'production') throw new CliError('Refusing to add demo data while NODE_ENV is production.');
+            const existing = await countSeedUsers(db);
+            if (existing > 0) {
+                if (!flag) throw new CliError(`${existing} demo accounts already exist. Run seed --reset to replace them.`);
+                console.log(`Removed ${await clearSeedData(db)} existing demo account(s).`);
+            }
+            const summary = await seedDatabase(db);
+            const users = Object.entries(summary.users).map(([role, count]) => `${count} ${role}${count === 1 ? '' : 's'}`).join(', ');
+            console.log(`✅ Seeded ${users}, with ${summary.profiles} profiles, ${summary.images} gallery images and ${summary.videos} videos.`);
+            console.log(`   Demo accounts use @${SEED_EMAIL_DOMAIN} addresses and the password "${SEED_PASSWORD}".`);
+            console.log(`   Media is served from ${SEED_MEDIA_URL}; set SEED_MEDIA_URL before seeding if the API runs elsewhere.`);
+        }
+    },
+    'media:reconcile': {
+        usage: 'media:reconcile [--dry-run]',
+        description: 'Delete stored media files nothing references (--dry-run only reports them)',
+        run: async ([flag]) => {
+            if (flag && flag !== '--dry-run') throw new CliError('Usage: media:reconcile [--dry-run]');
+            const dryRun = flag === '--dry-run';
+            const storage = createStorage();
+            const report = await reconcileMedia(db, storage, { dryRun });
+            console.log(`${report.driver} storage: ${report.stored} file(s) stored, ${report.referenced} referenced, ${report.alreadyQueued} already queued for deletion.`);
+            console.log(`\nOrphaned files (${report.orphans.length}):`);
+            report.orphans.forEach(file => console.log(`  ${file.url}  (stored ${file.createdAt.toISOString().slice(0, 10)})`));
+            console.log(`\nReferenced but missing from storage (${report.missing.length}):`);
+            report.missing.forEach(url => console.log(`  ${url}`));
+            if (dryRun) {
+                console.log('\nDry run: nothing was queued or deleted.');
+                return;
+            }
+            const { deleted, failed } = await processMediaDeletions(db, storage);
+            console.log(`\n✅ Queued ${report.queued} orphan(s); deleted ${deleted} file(s) from the queue${failed ? `, ${failed} failed and will be retried` : ''}.`);
+        }
+    },
+    // Commands flagged managesSchema run against the schema as it is; every other command migrates first
+    migrate: {
+        usage: 'migrate',
+        description: 'Apply pending database migrations',
+        managesSchema: true,
+        run: async () => {
+            const applied = await runMigrations(db);
+            console.log(applied.length ? `✅ Applied ${applied.length} migration(s).` : '✅ Database schema is already up to date.');
+        }
+    },
+    'migrate:rollback': {
+        usage: 'migrate:rollback [steps]',
+        description: 'Revert the last migration, or the last <steps> migrations',
+        managesSchema: true,
+        run: async ([steps = '1']) => {
+            const count = Number(steps);
+            if (!Number.isInteger(count) || count < 1) throw new CliError('Steps must be a positive whole number.');
+            const reverted = await rollbackMigrations(db, count);
+            console.log(reverted.length ? `✅ Reverted ${reverted.length} migration(s).` : '✅ No migrations have been applied.');
+        }
+    },
+    'migrate:status': {
+        usage: 'migrate:status',
+        description: 'List migrations and whether each has been applied',
+        managesSchema: true,
+        run: async () => {
+            const migrations = await migrationStatus(db);
+            console.table(migrations.map(({ migration, appliedAt }) => ({
+                migration,
+                applied: appliedAt ? new Date(appliedAt).toISOString().replace('T', ' ').slice(0, 19) : 'pending'
+            })));
+        }
+    }
+};
+
+const printHelp = () => {
+    console.log('Usage: node cli.js <command> [arguments]\n\nCommands:');
+    for (const command of Object.values(commands)) {
+        console.log(`  ${command.usage.padEnd(34)} ${command.description}`);
+    }
+};
+
+const main = async () => {
+    const [name, ...args] = process.argv.slice(2);
+    if (!name || name === 'help' || !Object.prototype.hasOwnProperty.call(commands, name)) {
+        printHelp();
+        return name && name !== 'help' ? 1 : 0;
+    }
+    try {
+        if (!commands[name].managesSchema) await runMigrations(db);
+        await commands[name].run(args);
+        return 0;
+    } catch (error) {
+        if (error instanceof CliError) console.error(`❌ ${error.message}`);
+        else console.error('❌ Command failed:', error);
+        return 1;
+    } finally {
+        if (lineReader) lineReader.close();
+        await db.end();
+    }
+};
+
+main().then(code => { process.exitCode = code; });
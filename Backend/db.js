@@ -0,0 +1,19 @@
+const mysql = require('mysql2/promise');
+
+// ===== MySQL Connection Pool (Google Cloud SQL) =====
+// Shared by server.js and cli.js; configured through the DB_* environment variables.
+const db = mysql.createPool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_DATABASE,
+  port: process.env.DB_PORT || 3306,
+  waitForConnections: true,
+  connectionLimit: 10,
+  queueLimit: 0,
+  ssl: {
+    rejectUnauthorized: false
+  }
+});
+
+module.exports = db;
@@ -0,0 +1,169 @@
+const path = require('path');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+
+// ===== Account Data Export =====
+// Builds the ZIP behind GET /api/account/export: the account, its profile, videos, conversations and
+// bookings as JSON, plus copies of every image and video the user uploaded. JSON files point at the
+// copies by their path inside the ZIP; files that couldn't be fetched are listed in README.txt.
+
+const toJson = (data) => `${JSON.stringify(data, null, 2)}\n`;
+
+// e.g. media/gallery/42.jpg, keeping the extension of the stored file
+const mediaEntryName = (folder, id, url) => {
+    const extension = path.extname(url.split(/[?#]/)[0]).toLowerCase();
+    return `media/${folder}/${id}${extension}`;
+};
+
+const loadAccountData = async (db, userId) => {
+    const [[account]] = await db.query(
+        `SELECT id, name, email, role, created_at, email_verified_at, deactivated_at, deletion_scheduled_for,
+                totp_enabled_at IS NOT NULL AS two_factor_enabled
+         FROM users WHERE id = ?`,
+        [userId]
+    );
+
+    const [[profile]] = await db.query('SELECT * FROM models WHERE user_id = ?', [userId]);
+    if (profile) {
+        const [categories] = await db.query('SELECT category FROM model_categories WHERE model_id = ?', [profile.id]);
+        const [gallery] = await db.query('SELECT id, image_url FROM model_images WHERE model_id = ? ORDER BY id', [profile.id]);
+        profile.categories = categories.map(row => row.category);
+        profile.gallery = gallery;
+    }
+
+    const [videos] = await db.query('SELECT id, title, description, video_url, created_at FROM editor_uploads WHERE user_id = ? ORDER BY id', [userId]);
+
+    const [conversations] = await db.query(
+        `SELECT c.id, c.created_at, other.user_id AS with_user_id, u.name AS with_name
+         FROM conversation_participants own
+         JOIN conversations c ON c.id = own.conversation_id
+         JOIN conversation_participants other ON other.conversation_id = c.id AND other.user_id != own.user_id
+         JOIN users u ON u.id = other.user_id
+         WHERE own.user_id = ?
+         ORDER BY c.id`,
+        [userId]
+    );
+    if (conversations.length > 0) {
+        const [messages] = await db.query(
+            `SELECT m.id, m.conversation_id, m.sender_id, u.name AS sender_name, m.body, m.created_at
+             FROM messages m JOIN users u ON u.id = m.sender_id
+             WHERE m.conversation_id IN (?)
+             ORDER BY m.id`,
+            [conversations.map(conversation => conversation.id)]
+        );
+        conversations.forEach(conversation => {
+            conversation.messages = messages.filter(message => message.conversation_id === conversation.id);
+        });
+    }
+
+    const [bookings] = await db.query(
+        `SELECT b.id, IF(b.recruiter_id = ?, 'recruiter', 'talent') AS side, u.name AS recruiter_name, m.name AS talent_name,
+                DATE_FORMAT(b.start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(b.end_date, '%Y-%m-%d') AS end_date,
+                b.location, b.rate, b.brief, b.status, b.created_at, b.updated_at
+         FROM bookings b
+         JOIN models m ON b.model_id = m.id
+         JOIN users u ON u.id = b.recruiter_id
+         WHERE b.recruiter_id = ? OR m.user_id = ?
+         ORDER BY b.id`,
+        [userId, userId, userId]
+    );
+    if (bookings.length > 0) {
+        const [events] = await db.query(
+            `SELECT e.booking_id, e.status, DATE_FORMAT(e.start_date, '%Y-%m-%d') AS start_date,
+                    DATE_FORMAT(e.end_date, '%Y-%m-%d') AS end_date, e.location, e.rate, e.note, e.created_at, u.name AS actor_name
+             FROM booking_events e JOIN users u ON u.id = e.actor_id
+             WHERE e.booking_id IN (?)
+             ORDER BY e.created_at, e.id`,
+            [bookings.map(booking => booking.id)]
+        );
+        const history = new Map(bookings.map(booking => [booking.id, []]));
+        events.forEach(({ booking_id: bookingId, ...event }) => history.get(bookingId).push(event));
+        bookings.forEach(booking => {
+            booking.history = history.get(booking.id);
+        });
+    }
+
+    return { account, profile: profile || null, videos, conversations, bookings };
+};
+
+// Every stored file to copy into the ZIP. Each JSON record gets a `file` field naming its copy.
+const collectMedia = ({ profile, videos }) => {
+    const media = [];
+    const add = (record, urlField, folder, id) => {
+        if (!record[urlField]) return;
+        record.file = mediaEntryName(folder, id, record[urlField]);
+        media.push({ url: record[urlField], name: record.file });
+    };
+    if (profile) {
+        profile.gallery.forEach(image => add(image, 'image_url', 'gallery', image.id));
+        // The main image is normally one of the gallery images; only copy it separately when it isn't
+        const mainImage = profile.gallery.find(image => image.image_url === profile.image);
+        if (mainImage) profile.image_file = mainImage.file;
+        else if (profile.image) {
+            profile.image_file = mediaEntryName('profile', 'main-image', profile.image);
+            media.push({ url: profile.image, name: profile.image_file });
+        }
+        if (profile.sample_video_url) {
+            profile.sample_video_file = mediaEntryName('profile', 'sample-video', profile.sample_video_url);
+            media.push({ url: profile.sample_video_url, name: profile.sample_video_file });
+        }
+    }
+    videos.forEach(video => add(video, 'video_url', 'videos', video.id));
+    return media;
+};
+
+const readme = (account, failed) => [
+    `Data export for ${account.name} <${account.email}>, created ${new Date().toUTCString()}.`,
+    '',
+    'account.json        your account details',
+    'profile.json        your talent profile, categories and gallery (null if you have no profile)',
+    'videos.json         videos you uploaded as an editor',
+    'messages.json       your conversations, with every message in them',
+    'bookings.json       bookings you sent or received, with their history of offers',
+    'media/              copies of your images and videos; the JSON files refer to them in their `file` fields',
+    ...(failed.length > 0
+        ? ['', 'These files could not be included:', ...failed.map(({ name, url, reason }) => `  ${name} (${url}): ${reason}`)]
+        : []),
+    ''
+].join('\n');
+
+// Writes the export for a user to `output` as a ZIP. Media files are fetched one at a time, so a large
+// export holds a single download open rather than one per file.
+const writeAccountExport = async (db, storage, userId, output) => {
+    const data = await loadAccountData(db, userId);
+    const media = collectMedia(data);
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const finished = pipeline(archive, output);
+    // `finished` rejects when the download is cut off; waiting on it as well keeps the loop from stalling
+    const appendEntry = async (source, options) => {
+        archive.append(source, options);
+        await Promise.race([once(archive, 'entry'), finished]);
+    };
+
+    await appendEntry(toJson(data.account), { name: 'account.json' });
+    await appendEntry(toJson(data.profile), { name: 'profile.json' });
+    await appendEntry(toJson(data.videos), { name: 'videos.json' });
+    await appendEntry(toJson(data.conversations), { name: 'messages.json' });
+    await appendEntry(toJson(data.bookings), { name: 'bookings.json' });
+
+    const failed = [];
+    for (const file of media) {
+        let stream;
+        try {
+            stream = await storage.open(file.url);
+        } catch (error) {
+            failed.push({ ...file, reason: error.code === 'ENOENT' ? 'file not found' : error.message });
+            continue;
+        }
+        // Images and videos are already compressed
+        await appendEntry(stream, { name: file.name, store: true });
+    }
+
+    await appendEntry(readme(data.account, failed), { name: 'README.txt' });
+    await archive.finalize();
+    await finished;
+};
+
+module.exports = { writeAccountExport };
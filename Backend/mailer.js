@@ -0,0 +1,63 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// ===== Mail Transports =====
+// Outgoing email goes through a named transport picked with MAIL_TRANSPORT:
+//   smtp - delivers through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   file - writes each message as an .eml file to MAIL_OUTBOX_DIR (default ./mail-outbox),
+//          a stand-in for local testing that needs no mail server
+// MAIL_TRANSPORT is required when NODE_ENV is production; elsewhere it defaults to file.
+// Other transports can be added with registerTransport(name, factory), where the factory
+// returns an object with an async send({ to, subject, text, html }) method.
+const transports = {
+    smtp: () => {
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+        return { send: (message) => transporter.sendMail(message) };
+    },
+    file: () => {
+        const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'mail-outbox');
+        const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+        return {
+            send: async (message) => {
+                const info = await transporter.sendMail(message);
+                await fs.mkdir(outboxDir, { recursive: true });
+                const fileName = `${Date.now()}-${String(message.to).replace(/[^a-z0-9]+/gi, '_')}.eml`;
+                await fs.writeFile(path.join(outboxDir, fileName), info.message);
+                return info;
+            }
+        };
+    }
+};
+
+const registerTransport = (name, factory) => {
+    transports[name] = factory;
+};
+
+const configuredTransport = () => {
+    if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+    // Verification and password reset emails would pile up unsent in the outbox, and unverified
+    // accounts stay hidden from the catalogue, so a production server refuses to start instead
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('MAIL_TRANSPORT must be set in production (e.g. MAIL_TRANSPORT=smtp with SMTP_HOST).');
+    }
+    return 'file';
+};
+
+// Returns a mailer bound to the configured transport; MAIL_FROM sets the sender address
+const createMailer = (name = configuredTransport()) => {
+    if (!Object.prototype.hasOwnProperty.call(transports, name)) throw new Error(`Unknown mail transport: ${name}`);
+    const transport = transports[name]();
+    const from = process.env.MAIL_FROM || "Drippn's Studio <no-reply@drippnstudio.local>";
+    return {
+        transport: name,
+        send: (message) => transport.send({ from, ...message })
+    };
+};
+
+module.exports = { createMailer, registerTransport };
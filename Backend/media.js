@@ -0,0 +1,138 @@
+const { recordAudit } = require('./audit');
+
+// ===== Media Cleanup =====
+// Stored files are not deleted inline. Code that drops a media URL queues it with queueMediaDeletion,
+// inside the same transaction where there is one, and processMediaDeletions works through the queue,
+// retrying failures with backoff. reconcileMedia catches anything that slipped through by comparing the
+// storage provider's listing with the URLs the database still references; with dryRun it only reports.
+
+const DELETION_BATCH_SIZE = 50;
+const MAX_DELETION_ATTEMPTS = 8;
+// A file younger than this may belong to an upload whose database row isn't committed yet
+const ORPHAN_MIN_AGE_HOURS = 24;
+
+// Every column that holds a stored media URL
+const mediaReferences = [
+    ['models', 'image'],
+    ['models', 'sample_video_url'],
+    ['model_images', 'image_url'],
+    ['editor_uploads', 'video_url']
+];
+
+// Queues URLs for deletion; a URL already in the queue keeps its place. Returns how many were added.
+const queueMediaDeletion = async (db, urls, reason) => {
+    const rows = [...new Set(urls.filter(Boolean))].map(url => [url, reason]);
+    if (rows.length === 0) return 0;
+    const [result] = await db.query('INSERT INTO media_deletions (url, reason) VALUES ? ON DUPLICATE KEY UPDATE url = url', [rows]);
+    return result.affectedRows;
+};
+
+// Every media URL belonging to a user, to queue before their rows are deleted
+const collectUserMedia = async (db, userId) => {
+    const [rows] = await db.query(
+        `SELECT image AS url FROM models WHERE user_id = ?
+         UNION SELECT sample_video_url FROM models WHERE user_id = ?
+         UNION SELECT mi.image_url FROM model_images mi JOIN models m ON mi.model_id = m.id WHERE m.user_id = ?
+         UNION SELECT video_url FROM editor_uploads WHERE user_id = ?`,
+        [userId, userId, userId, userId]
+    );
+    return rows.map(row => row.url).filter(Boolean);
+};
+
+// Deletes a user (their rows go with them through ON DELETE CASCADE) and queues their media files, in
+// one transaction so the files are only queued if the delete goes through. `audit` ({ actor, action })
+// records the deletion, with the account's details, in the same transaction.
+const deleteUserAndMedia = async (db, userId, reason, audit = null) => {
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+        if (audit) {
+            const [[user]] = await connection.query('SELECT id, name, email, role, created_at FROM users WHERE id = ?', [userId]);
+            await recordAudit(connection, audit.actor, {
+                action: audit.action,
+                targetType: 'user',
+                targetId: userId,
+                targetLabel: user?.email,
+                before: user || null
+            });
+        }
+        await queueMediaDeletion(connection, await collectUserMedia(connection, userId), reason);
+        await connection.query('DELETE FROM users WHERE id = ?', [userId]);
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+const isReferenced = async (db, url) => {
+    const lookups = mediaReferences.map(([table, column]) => `SELECT 1 FROM ${table} WHERE ${column} = ?`).join(' UNION ALL ');
+    const [rows] = await db.query(`${lookups} LIMIT 1`, mediaReferences.map(() => url));
+    return rows.length > 0;
+};
+
+// Deletes queued files that are due; returns { deleted, failed }
+const processMediaDeletions = async (db, storage) => {
+    const totals = { deleted: 0, failed: 0 };
+    let due;
+    do {
+        [due] = await db.query(
+            'SELECT id, url, attempts FROM media_deletions WHERE next_attempt_at <= CURRENT_TIMESTAMP AND attempts < ? ORDER BY next_attempt_at LIMIT ?',
+            [MAX_DELETION_ATTEMPTS, DELETION_BATCH_SIZE]
+        );
+        for (const item of due) {
+            try {
+                // The same file can be referenced by more than one row (e.g. a gallery image that is also the
+                // main image); it stays until nothing points at it
+                if (!(await isReferenced(db, item.url)) && (await storage.remove(item.url))) totals.deleted += 1;
+                await db.query('DELETE FROM media_deletions WHERE id = ?', [item.id]);
+            } catch (error) {
+                totals.failed += 1;
+                // 5, 10, 20 ... minutes; after MAX_DELETION_ATTEMPTS the row stays for someone to look at
+                await db.query(
+                    'UPDATE media_deletions SET attempts = attempts + 1, last_error = ?, next_attempt_at = CURRENT_TIMESTAMP + INTERVAL ? MINUTE WHERE id = ?',
+                    [String(error.message).slice(0, 1000), 5 * 2 ** item.attempts, item.id]
+                );
+            }
+        }
+    } while (due.length === DELETION_BATCH_SIZE);
+    return totals;
+};
+
+// Compares what the storage driver holds with what the database references. Files nothing references
+// (and that aren't already queued) are orphans, and are queued for deletion unless dryRun is set.
+// `missing` lists referenced URLs the provider no longer has, for information only.
+const reconcileMedia = async (db, storage, { dryRun = false, minAgeHours = ORPHAN_MIN_AGE_HOURS } = {}) => {
+    const referenced = new Map();
+    for (const [table, column] of mediaReferences) {
+        const [rows] = await db.query(`SELECT DISTINCT ${column} AS url FROM ${table} WHERE ${column} IS NOT NULL`);
+        for (const { url } of rows) {
+            const key = storage.keyOf(url);
+            if (key) referenced.set(key, url);
+        }
+    }
+    const [queuedRows] = await db.query('SELECT url FROM media_deletions');
+    const queued = new Set(queuedRows.map(row => storage.keyOf(row.url)).filter(Boolean));
+
+    const cutoff = Date.now() - minAgeHours * 60 * 60 * 1000;
+    const stored = new Set();
+    const orphans = [];
+    for await (const file of storage.list()) {
+        stored.add(file.key);
+        if (!referenced.has(file.key) && !queued.has(file.key) && file.createdAt.getTime() < cutoff) orphans.push(file);
+    }
+
+    return {
+        driver: storage.driver,
+        stored: stored.size,
+        referenced: referenced.size,
+        alreadyQueued: queued.size,
+        orphans,
+        missing: [...referenced].filter(([key]) => !stored.has(key)).map(([, url]) => url),
+        queued: dryRun ? 0 : await queueMediaDeletion(db, orphans.map(file => file.url), 'orphan')
+    };
+};
+
+module.exports = { queueMediaDeletion, collectUserMedia, deleteUserAndMedia, processMediaDeletions, reconcileMedia };
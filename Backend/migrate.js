@@ -0,0 +1,96 @@
+// ===== Migration Runner =====
+// Numbered migrations in ./migrations (NNN_description.js, exporting async up(db) and down(db)) build the
+// schema from an empty database. Applied versions are recorded in schema_migrations. server.js applies
+// pending migrations on startup unless MIGRATE_ON_START=false; `node cli.js migrate` does the same from
+// the command line, and migrate:rollback / migrate:status undo and list them.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// Several server instances may start at once; only one should run migrations
+const LOCK_NAME = 'modelconnect_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 60;
+
+const loadMigrations = () => {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => file.match(/^(\d+)_(\w+)\.js$/))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({ version: Number(version), name, ...require(path.join(MIGRATIONS_DIR, file)) }))
+        .sort((a, b) => a.version - b.version);
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Two migrations share version ${migration.version}.`);
+        }
+    });
+    return migrations;
+};
+
+const label = (migration) => `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+// Runs task(connection) holding the migration lock, on the connection that holds it
+const withMigrationLock = async (db, task) => {
+    const connection = await db.getConnection();
+    try {
+        const [[{ locked }]] = await connection.query('SELECT GET_LOCK(?, ?) AS locked', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+        if (locked !== 1) throw new Error('Timed out waiting for another process to finish migrating.');
+        try {
+            await connection.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INT PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )`);
+            return await task(connection);
+        } finally {
+            await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+        }
+    } finally {
+        connection.release();
+    }
+};
+
+const appliedVersions = async (connection) => {
+    const [rows] = await connection.query('SELECT version, applied_at FROM schema_migrations');
+    return new Map(rows.map(row => [row.version, row.applied_at]));
+};
+
+// Applies every pending migration in order; returns the labels of those applied.
+// MySQL commits DDL as it goes, so each version is recorded as soon as its migration finishes.
+const runMigrations = (db) => withMigrationLock(db, async (connection) => {
+    const applied = await appliedVersions(connection);
+    const ran = [];
+    for (const migration of loadMigrations()) {
+        if (applied.has(migration.version)) continue;
+        console.log(`⬆️  Migrating ${label(migration)}`);
+        await migration.up(connection);
+        await connection.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        ran.push(label(migration));
+    }
+    return ran;
+});
+
+// Reverts the most recently applied migrations, newest first; returns the labels of those reverted
+const rollbackMigrations = (db, steps = 1) => withMigrationLock(db, async (connection) => {
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const [rows] = await connection.query('SELECT version FROM schema_migrations ORDER BY version DESC LIMIT ?', [steps]);
+    const reverted = [];
+    for (const { version } of rows) {
+        const migration = migrations.get(version);
+        if (!migration) throw new Error(`Migration ${version} was applied but its file is missing.`);
+        console.log(`⬇️  Reverting ${label(migration)}`);
+        await migration.down(connection);
+        await connection.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+        reverted.push(label(migration));
+    }
+    return reverted;
+});
+
+// Every known migration with when it was applied (null while pending)
+const migrationStatus = (db) => withMigrationLock(db, async (connection) => {
+    const applied = await appliedVersions(connection);
+    return loadMigrations().map(migration => ({
+        migration: label(migration),
+        appliedAt: applied.get(migration.version) || null
+    }));
+});
+
+module.exports = { runMigrations, rollbackMigrations, migrationStatus };
@@ -0,0 +1,57 @@
+// Accounts, talent profiles with their gallery images, and editor videos
+const { ensureForeignKey } = require('./helpers');
+
+const foreignKeys = [
+    { table: 'models', column: 'user_id', refTable: 'users' },
+    { table: 'model_images', column: 'model_id', refTable: 'models' },
+    { table: 'editor_uploads', column: 'user_id', refTable: 'users' }
+];
+
+module.exports = {
+    up: async (db) => {
+        await db.query(`CREATE TABLE IF NOT EXISTS users (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            email VARCHAR(255) NOT NULL,
+            password VARCHAR(255) NOT NULL,
+            role ENUM('model', 'photographer', 'editor', 'recruiter', 'admin') NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_users_email (email)
+        )`);
+        await db.query(`CREATE TABLE IF NOT EXISTS models (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            gender VARCHAR(20) NOT NULL,
+            bio TEXT NOT NULL,
+            portfolio VARCHAR(500) NULL,
+            instagram_id VARCHAR(100) NULL,
+            image VARCHAR(500) NOT NULL,
+            sample_video_url VARCHAR(500) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_models_user (user_id)
+        )`);
+        await db.query(`CREATE TABLE IF NOT EXISTS model_images (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            model_id INT NOT NULL,
+            image_url VARCHAR(500) NOT NULL,
+            INDEX idx_model_images_model (model_id)
+        )`);
+        await db.query(`CREATE TABLE IF NOT EXISTS editor_uploads (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            title VARCHAR(255) NOT NULL,
+            description TEXT,
+            video_url VARCHAR(500) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_editor_uploads_user (user_id)
+        )`);
+        // Older databases were created without keys, so deleting a user left their profile behind
+        for (const key of foreignKeys) {
+            await ensureForeignKey(db, key);
+        }
+    },
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS editor_uploads, model_images, models, users');
+    }
+};
@@ -0,0 +1,41 @@
+// Recruiter shortlists of talent profiles and editor videos
+const { ensureColumn, ensureForeignKey } = require('./helpers');
+
+module.exports = {
+    up: async (db) => {
+        await db.query(`CREATE TABLE IF NOT EXISTS shortlists (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            recruiter_id INT NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (recruiter_id) REFERENCES users(id) ON DELETE CASCADE
+        )`);
+        await db.query(`CREATE TABLE IF NOT EXISTS shortlist_items (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            shortlist_id INT NOT NULL,
+            model_id INT NULL,
+            video_id INT NULL,
+            note TEXT,
+            status ENUM('considering', 'contacted', 'booked', 'rejected') NOT NULL DEFAULT 'considering',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY unique_shortlist_model (shortlist_id, model_id),
+            UNIQUE KEY unique_shortlist_video (shortlist_id, video_id),
+            FOREIGN KEY (shortlist_id) REFERENCES shortlists(id) ON DELETE CASCADE,
+            FOREIGN KEY (model_id) REFERENCES models(id) ON DELETE CASCADE,
+            FOREIGN KEY (video_id) REFERENCES editor_uploads(id) ON DELETE CASCADE
+        )`);
+        // Tables from before shortlists held videos, notes and statuses only had a required model_id
+        await db.query('ALTER TABLE shortlist_items MODIFY model_id INT NULL');
+        if (await ensureColumn(db, 'shortlist_items', 'video_id', 'INT NULL')) {
+            await db.query('CREATE UNIQUE INDEX unique_shortlist_video ON shortlist_items (shortlist_id, video_id)');
+        }
+        await ensureForeignKey(db, { table: 'shortlist_items', column: 'video_id', refTable: 'editor_uploads' });
+        await ensureColumn(db, 'shortlist_items', 'note', 'TEXT');
+        await ensureColumn(db, 'shortlist_items', 'status', "ENUM('considering', 'contacted', 'booked', 'rejected') NOT NULL DEFAULT 'considering'");
+        await ensureColumn(db, 'shortlist_items', 'updated_at', 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP');
+    },
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS shortlist_items, shortlists');
+    }
+};
@@ -0,0 +1,35 @@
+// Measurements, location and availability on profiles, plus the categories the catalogue filters on
+const { ensureColumn, dropColumn } = require('./helpers');
+
+const attributeColumns = [
+    ['height_cm', 'SMALLINT UNSIGNED NULL'],
+    ['bust_cm', 'SMALLINT UNSIGNED NULL'],
+    ['waist_cm', 'SMALLINT UNSIGNED NULL'],
+    ['hips_cm', 'SMALLINT UNSIGNED NULL'],
+    ['shoe_size', 'DECIMAL(3,1) NULL'],
+    ['hair_colour', 'VARCHAR(30) NULL'],
+    ['eye_colour', 'VARCHAR(30) NULL'],
+    ['city', 'VARCHAR(100) NULL'],
+    ['willing_to_travel', 'TINYINT(1) NOT NULL DEFAULT 0'],
+    ['availability', "ENUM('available', 'limited', 'unavailable') NOT NULL DEFAULT 'available'"]
+];
+
+module.exports = {
+    up: async (db) => {
+        for (const [column, definition] of attributeColumns) {
+            await ensureColumn(db, 'models', column, definition);
+        }
+        await db.query(`CREATE TABLE IF NOT EXISTS model_categories (
+            model_id INT NOT NULL,
+            category VARCHAR(50) NOT NULL,
+            PRIMARY KEY (model_id, category),
+            FOREIGN KEY (model_id) REFERENCES models(id) ON DELETE CASCADE
+        )`);
+    },
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS model_categories');
+        for (const [column] of attributeColumns) {
+            await dropColumn(db, 'models', column);
+        }
+    }
+};
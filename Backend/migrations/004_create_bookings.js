@@ -0,0 +1,37 @@
+// Booking requests and the history of offers and status changes on each
+module.exports = {
+    up: async (db) => {
+        await db.query(`CREATE TABLE IF NOT EXISTS bookings (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            recruiter_id INT NOT NULL,
+            model_id INT NOT NULL,
+            start_date DATE NOT NULL,
+            end_date DATE NOT NULL,
+            location VARCHAR(255) NOT NULL,
+            rate DECIMAL(10,2) NOT NULL,
+            brief TEXT NOT NULL,
+            status ENUM('pending', 'countered', 'accepted', 'declined', 'cancelled') NOT NULL DEFAULT 'pending',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (recruiter_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (model_id) REFERENCES models(id) ON DELETE CASCADE
+        )`);
+        await db.query(`CREATE TABLE IF NOT EXISTS booking_events (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            booking_id INT NOT NULL,
+            actor_id INT NOT NULL,
+            status ENUM('pending', 'countered', 'accepted', 'declined', 'cancelled') NOT NULL,
+            start_date DATE NOT NULL,
+            end_date DATE NOT NULL,
+            location VARCHAR(255) NOT NULL,
+            rate DECIMAL(10,2) NOT NULL,
+            note TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+            FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE CASCADE
+        )`);
+    },
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS booking_events, bookings');
+    }
+};
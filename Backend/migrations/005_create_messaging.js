@@ -0,0 +1,32 @@
+// One-to-one conversations, their messages and each participant's read position
+module.exports = {
+    up: async (db) => {
+        await db.query(`CREATE TABLE IF NOT EXISTS conversations (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            pair_key VARCHAR(50) NOT NULL UNIQUE,
+            last_message_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await db.query(`CREATE TABLE IF NOT EXISTS conversation_participants (
+            conversation_id INT NOT NULL,
+            user_id INT NOT NULL,
+            last_read_message_id INT NULL,
+            PRIMARY KEY (conversation_id, user_id),
+            FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`);
+        await db.query(`CREATE TABLE IF NOT EXISTS messages (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            conversation_id INT NOT NULL,
+            sender_id INT NOT NULL,
+            body TEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_messages_conversation (conversation_id, id),
+            FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+            FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE
+        )`);
+    },
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS messages, conversation_participants, conversations');
+    }
+};
@@ -0,0 +1,31 @@
+// Notification centre entries and per-user delivery preferences
+module.exports = {
+    up: async (db) => {
+        await db.query(`CREATE TABLE IF NOT EXISTS notifications (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            actor_id INT NULL,
+            type VARCHAR(30) NOT NULL,
+            title VARCHAR(255) NOT NULL,
+            body TEXT,
+            link VARCHAR(255) NULL,
+            read_at TIMESTAMP NULL,
+            emailed_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_notifications_user (user_id, created_at),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE CASCADE
+        )`);
+        await db.query(`CREATE TABLE IF NOT EXISTS notification_preferences (
+            user_id INT PRIMARY KEY,
+            profile_view TINYINT(1) NOT NULL DEFAULT 1,
+            shortlist TINYINT(1) NOT NULL DEFAULT 1,
+            booking TINYINT(1) NOT NULL DEFAULT 1,
+            email_digest TINYINT(1) NOT NULL DEFAULT 0,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`);
+    },
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS notification_preferences, notifications');
+    }
+};
@@ -0,0 +1,14 @@
+// When each account confirmed its email address
+const { ensureColumn, dropColumn } = require('./helpers');
+
+module.exports = {
+    up: async (db) => {
+        // Accounts created before email verification existed are treated as verified
+        if (await ensureColumn(db, 'users', 'email_verified_at', 'TIMESTAMP NULL')) {
+            await db.query('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP');
+        }
+    },
+    down: async (db) => {
+        await dropColumn(db, 'users', 'email_verified_at');
+    }
+};
@@ -0,0 +1,29 @@
+// Refresh-token sessions, one per signed-in device
+const { ensureColumn } = require('./helpers');
+
+module.exports = {
+    up: async (db) => {
+        await db.query(`CREATE TABLE IF NOT EXISTS sessions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            refresh_token_hash CHAR(64) NOT NULL,
+            previous_token_hash CHAR(64) NULL,
+            user_agent VARCHAR(255) NULL,
+            ip_address VARCHAR(45) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            rotated_at TIMESTAMP NULL,
+            expires_at DATETIME NOT NULL,
+            revoked_at TIMESTAMP NULL,
+            UNIQUE KEY uq_sessions_token (refresh_token_hash),
+            INDEX idx_sessions_previous_token (previous_token_hash),
+            INDEX idx_sessions_user (user_id),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`);
+        // Sessions tables from before refresh-token rotation got its own timestamp lack rotated_at
+        await ensureColumn(db, 'sessions', 'rotated_at', 'TIMESTAMP NULL');
+    },
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS sessions');
+    }
+};
@@ -0,0 +1,39 @@
+// TOTP secrets, one-time recovery codes and the roles that must use two-factor authentication
+const { ensureColumn, dropColumn } = require('./helpers');
+
+// totp_secret is set when setup starts; 2FA is only on once totp_enabled_at is set
+const totpColumns = [
+    ['totp_secret', 'VARCHAR(64) NULL'],
+    ['totp_enabled_at', 'TIMESTAMP NULL'],
+    ['totp_last_step', 'BIGINT NULL']
+];
+
+module.exports = {
+    up: async (db) => {
+        for (const [column, definition] of totpColumns) {
+            await ensureColumn(db, 'users', column, definition);
+        }
+        await db.query(`CREATE TABLE IF NOT EXISTS recovery_codes (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            code_hash CHAR(64) NOT NULL,
+            used_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_recovery_codes_user (user_id),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )`);
+        await db.query(`CREATE TABLE IF NOT EXISTS two_factor_policies (
+            role VARCHAR(20) PRIMARY KEY,
+            required TINYINT(1) NOT NULL DEFAULT 0,
+            updated_by INT NULL,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+        )`);
+    },
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS two_factor_policies, recovery_codes');
+        for (const [column] of totpColumns) {
+            await dropColumn(db, 'users', column);
+        }
+    }
+};
@@ -0,0 +1,11 @@
+// Disabled accounts keep their data but can't log in
+const { ensureColumn, dropColumn } = require('./helpers');
+
+module.exports = {
+    up: async (db) => {
+        await ensureColumn(db, 'users', 'disabled_at', 'TIMESTAMP NULL');
+    },
+    down: async (db) => {
+        await dropColumn(db, 'users', 'disabled_at');
+    }
+};
@@ -0,0 +1,19 @@
+// Queue of stored media files waiting to be deleted from the storage provider
+module.exports = {
+    up: async (db) => {
+        await db.query(`CREATE TABLE IF NOT EXISTS media_deletions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            url VARCHAR(500) NOT NULL,
+            reason VARCHAR(50) NOT NULL,
+            attempts INT NOT NULL DEFAULT 0,
+            last_error TEXT NULL,
+            next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_media_deletions_url (url),
+            INDEX idx_media_deletions_due (next_attempt_at)
+        )`);
+    },
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS media_deletions');
+    }
+};
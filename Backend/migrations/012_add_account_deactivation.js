@@ -0,0 +1,16 @@
+// Self-service deactivation and deletion requests. Deactivated accounts are hidden from other users;
+// a requested deletion is carried out by the retention job once deletion_scheduled_for has passed.
+const { ensureColumn, dropColumn } = require('./helpers');
+
+module.exports = {
+    up: async (db) => {
+        await ensureColumn(db, 'users', 'deactivated_at', 'TIMESTAMP NULL');
+        if (await ensureColumn(db, 'users', 'deletion_scheduled_for', 'DATETIME NULL')) {
+            await db.query('CREATE INDEX idx_users_deletion_scheduled ON users (deletion_scheduled_for)');
+        }
+    },
+    down: async (db) => {
+        await dropColumn(db, 'users', 'deletion_scheduled_for');
+        await dropColumn(db, 'users', 'deactivated_at');
+    }
+};
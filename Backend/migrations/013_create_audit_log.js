@@ -0,0 +1,27 @@
+// Append-only record of admin actions and changes to talent profiles. actor_id has no foreign key so
+// entries outlive the accounts that made them.
+module.exports = {
+    up: async (db) => {
+        await db.query(`CREATE TABLE IF NOT EXISTS audit_log (
+            id BIGINT AUTO_INCREMENT PRIMARY KEY,
+            actor_id INT NULL,
+            actor_label VARCHAR(255) NULL,
+            action VARCHAR(50) NOT NULL,
+            target_type VARCHAR(30) NOT NULL,
+            target_id INT NULL,
+            target_label VARCHAR(255) NULL,
+            before_values JSON NULL,
+            after_values JSON NULL,
+            ip_address VARCHAR(45) NULL,
+            user_agent VARCHAR(255) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_audit_log_created (created_at),
+            INDEX idx_audit_log_target (target_type, target_id),
+            INDEX idx_audit_log_actor (actor_id),
+            INDEX idx_audit_log_action (action)
+        )`);
+    },
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS audit_log');
+    }
+};
@@ -0,0 +1,18 @@
+// Opt-in public profile pages that work without an account, at /t/<slug> as well as /profile/<userId>.
+// public_fields lists the optional fields the talent chose to show; NULL means the defaults in server.js.
+const { ensureColumn, dropColumn } = require('./helpers');
+
+module.exports = {
+    up: async (db) => {
+        if (await ensureColumn(db, 'models', 'slug', 'VARCHAR(40) NULL')) {
+            await db.query('CREATE UNIQUE INDEX uq_models_slug ON models (slug)');
+        }
+        await ensureColumn(db, 'models', 'public_profile', 'TINYINT(1) NOT NULL DEFAULT 0');
+        await ensureColumn(db, 'models', 'public_fields', 'JSON NULL');
+    },
+    down: async (db) => {
+        await dropColumn(db, 'models', 'public_fields');
+        await dropColumn(db, 'models', 'public_profile');
+        await dropColumn(db, 'models', 'slug');
+    }
+};
@@ -0,0 +1,16 @@
+// Profiles an admin has pinned to the Home page's featured talent. GET /api/featured shows them
+// first and fills the remaining places with a daily rotation of other public profiles.
+module.exports = {
+    up: async (db) => {
+        await db.query(`CREATE TABLE IF NOT EXISTS featured_profiles (
+            model_id INT PRIMARY KEY,
+            featured_by INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (model_id) REFERENCES models(id) ON DELETE CASCADE,
+            FOREIGN KEY (featured_by) REFERENCES users(id) ON DELETE SET NULL
+        )`);
+    },
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS featured_profiles');
+    }
+};
@@ -0,0 +1,47 @@
+// Home page content the admin content panel manages: the order and expiry of featured talent pins, the
+// testimonials, and editable copy such as the hero text, stored as one JSON document per key in site_content.
+const { ensureColumn, dropColumn } = require('./helpers');
+
+// The testimonials Home showed before they moved into the database
+const initialTestimonials = [
+    ['ModelConnect launched my career! I was discovered by a top agency within a month.', 'Elena', 'Fashion Model'],
+    ['The best platform for finding fresh, diverse talent. The search tools are fantastic.', 'David Chen', 'Casting Director']
+];
+
+module.exports = {
+    up: async (db) => {
+        await ensureColumn(db, 'featured_profiles', 'position', 'INT NOT NULL DEFAULT 0');
+        await ensureColumn(db, 'featured_profiles', 'expires_at', 'DATETIME NULL');
+
+        await db.query(`CREATE TABLE IF NOT EXISTS testimonials (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            quote TEXT NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            role VARCHAR(255) NULL,
+            position INT NOT NULL DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )`);
+        const [[{ count }]] = await db.query('SELECT COUNT(*) AS count FROM testimonials');
+        if (count === 0) {
+            await db.query(
+                'INSERT INTO testimonials (quote, name, role, position) VALUES ?',
+                [initialTestimonials.map((testimonial, index) => [...testimonial, index])]
+            );
+        }
+
+        await db.query(`CREATE TABLE IF NOT EXISTS site_content (
+            content_key VARCHAR(50) PRIMARY KEY,
+            content JSON NOT NULL,
+            updated_by INT NULL,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+        )`);
+    },
+    down: async (db) => {
+        await db.query('DROP TABLE IF EXISTS site_content');
+        await db.query('DROP TABLE IF EXISTS testimonials');
+        await dropColumn(db, 'featured_profiles', 'expires_at');
+        await dropColumn(db, 'featured_profiles', 'position');
+    }
+};
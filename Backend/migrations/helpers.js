@@ -0,0 +1,51 @@
+// ===== Migration Helpers =====
+// Databases created before migrations existed already have some of these tables and columns, so the
+// early migrations check before they add anything.
+
+const columnExists = async (db, table, column) => {
+    const [rows] = await db.query(
+        'SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+        [table, column]
+    );
+    return rows.length > 0;
+};
+
+// Adds a column unless it already exists; returns whether it was added
+const ensureColumn = async (db, table, column, definition) => {
+    if (await columnExists(db, table, column)) return false;
+    await db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+};
+
+const dropColumn = async (db, table, column) => {
+    if (await columnExists(db, table, column)) await db.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+};
+
+// Makes table.column reference refTable(id) with the given ON DELETE rule. An existing key on the column
+// with a different rule is replaced. Before a CASCADE key is added, rows whose parent is already gone are
+// deleted, as the key would have done, since MySQL refuses the constraint while they exist.
+const ensureForeignKey = async (db, { table, column, refTable, onDelete = 'CASCADE' }) => {
+    const [existing] = await db.query(
+        `SELECT rc.CONSTRAINT_NAME AS name, rc.DELETE_RULE AS deleteRule
+         FROM information_schema.REFERENTIAL_CONSTRAINTS rc
+         JOIN information_schema.KEY_COLUMN_USAGE k
+           ON k.CONSTRAINT_SCHEMA = rc.CONSTRAINT_SCHEMA AND k.CONSTRAINT_NAME = rc.CONSTRAINT_NAME AND k.TABLE_NAME = rc.TABLE_NAME
+         WHERE rc.CONSTRAINT_SCHEMA = DATABASE() AND rc.TABLE_NAME = ? AND k.COLUMN_NAME = ? AND rc.REFERENCED_TABLE_NAME = ?`,
+        [table, column, refTable]
+    );
+    if (existing.some(key => key.deleteRule === onDelete)) return;
+    for (const key of existing) {
+        await db.query(`ALTER TABLE ${table} DROP FOREIGN KEY ${key.name}`);
+    }
+    if (onDelete === 'CASCADE') {
+        await db.query(
+            `DELETE child FROM ${table} child LEFT JOIN ${refTable} parent ON child.${column} = parent.id
+             WHERE child.${column} IS NOT NULL AND parent.id IS NULL`
+        );
+    }
+    await db.query(
+        `ALTER TABLE ${table} ADD CONSTRAINT fk_${table}_${column} FOREIGN KEY (${column}) REFERENCES ${refTable}(id) ON DELETE ${onDelete}`
+    );
+};
+
+module.exports = { ensureColumn, dropColumn, ensureForeignKey };
@@ -0,0 +1,203 @@
+// ===== Demo Data Seeder =====
+// Fills a development database with accounts in every role, talent profiles with galleries and editor
+// videos, so the catalogue, home page and admin dashboard have something to show. All media points at
+// the placeholder files in ./seed-media, which server.js serves at /seed-media, so nothing needs the
+// network. Run it with `node cli.js seed`; seeded accounts share one password and use the
+// SEED_EMAIL_DOMAIN, which is how `seed --reset` finds them again.
+const bcrypt = require('bcrypt');
+
+const SEED_EMAIL_DOMAIN = 'seed.modelconnect.test';
+const SEED_PASSWORD = process.env.SEED_PASSWORD || 'password123';
+const SEED_MEDIA_URL = process.env.SEED_MEDIA_URL || `http://localhost:${process.env.PORT || 5000}/seed-media`;
+
+// How many accounts to create per role; admin is included so the dashboard can be opened straight away
+const roleCounts = { model: 18, photographer: 6, editor: 5, recruiter: 4, admin: 1 };
+const JOIN_WINDOW_DAYS = 540;
+
+const portraits = Array.from({ length: 10 }, (_, i) => `images/portrait-${String(i + 1).padStart(2, '0')}.svg`);
+const studioShots = Array.from({ length: 8 }, (_, i) => `images/studio-${String(i + 1).padStart(2, '0')}.svg`);
+const reels = Array.from({ length: 4 }, (_, i) => `videos/reel-${String(i + 1).padStart(2, '0')}.mp4`);
+
+const firstNames = {
+    Female: ['Amara', 'Sofia', 'Chloe', 'Zara', 'Mei', 'Isabel', 'Nadia', 'Priya', 'Freya', 'Leila', 'Camille', 'Ines'],
+    Male: ['Kofi', 'Luca', 'Mateo', 'Jonah', 'Ravi', 'Theo', 'Idris', 'Marcus', 'Kenji', 'Oscar'],
+    Other: ['Alex', 'Sam', 'Rowan', 'Jordan', 'Kai', 'Robin']
+};
+const lastNames = ['Okafor', 'Rossi', 'Laurent', 'Haddad', 'Chen', 'Silva', 'Novak', 'Mensah', 'Patel', 'Berg', 'Moreau', 'Costa', 'Adeyemi', 'Tanaka', 'Kowalski', 'Reyes'];
+const genders = ['Female', 'Female', 'Male', 'Male', 'Other'];
+const cities = ['London', 'Manchester', 'Paris', 'Milan', 'Berlin', 'Lagos', 'Nairobi', 'New York', 'Toronto', 'Sydney'];
+
+// Mirrors the vocabularies server.js validates profile edits against
+const talentCategories = ['Fashion', 'Commercial', 'Runway', 'Editorial', 'Fitness', 'Plus Size'];
+const hairColours = ['Black', 'Brown', 'Blonde', 'Red', 'Grey', 'Other'];
+const eyeColours = ['Brown', 'Blue', 'Green', 'Hazel', 'Grey', 'Other'];
+const availabilityOptions = ['available', 'available', 'limited', 'unavailable'];
+
+const modelBios = [
+    'Runway and editorial model with a love for bold, graphic looks.',
+    'Commercial model who is at home in front of a camera and a crowd.',
+    'Fitness model and personal trainer; happiest on an early outdoor shoot.',
+    'Editorial work across print and digital, with a background in dance.',
+    'Fresh face open to test shoots, campaigns and catalogue work.'
+];
+const photographerBios = [
+    'Fashion photographer working mostly with natural light.',
+    'Studio and e-commerce photographer with a fast turnaround.',
+    'Documentary-style photographer for campaigns and lookbooks.'
+];
+const videoTitles = ['Spring Campaign Cut', 'Runway Highlights', 'Behind the Scenes', 'Lookbook Teaser', 'Brand Story', 'Product Launch Reel', 'Music Video Edit', 'Colour Grade Showcase'];
+const videoDescriptions = [
+    'Short-form edit for social, cut to music.',
+    'Colour graded and finished for a web campaign.',
+    'Multi-camera edit from a two-day shoot.',
+    'Fast-paced teaser with motion graphics.'
+];
+
+// Small seeded PRNG (mulberry32) so every run produces the same people
+const createRandom = (seed) => {
+    let state = seed;
+    const next = () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    const pick = (list) => list[int(0, list.length - 1)];
+    const sample = (list, count) => {
+        const shuffled = [...list];
+        for (let i = shuffled.length - 1; i > 0; i -= 1) {
+            const j = int(0, i);
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled.slice(0, count);
+    };
+    return { next, int, pick, sample };
+};
+
+const mediaUrl = (file) => `${SEED_MEDIA_URL}/${file}`;
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+const countSeedUsers = async (db) => {
+    const [[{ total }]] = await db.query('SELECT COUNT(*) AS total FROM users WHERE email LIKE ?', [`%@${SEED_EMAIL_DOMAIN}`]);
+    return total;
+};
+
+// Everything a seeded user owns is removed with them (ON DELETE CASCADE)
+const clearSeedData = async (db) => {
+    const [result] = await db.query('DELETE FROM users WHERE email LIKE ?', [`%@${SEED_EMAIL_DOMAIN}`]);
+    return result.affectedRows;
+};
+
+const talentAttributes = (random, role, gender) => {
+    if (role !== 'model') {
+        return { city: random.pick(cities), willing_to_travel: random.int(0, 1), availability: random.pick(availabilityOptions) };
+    }
+    const isMale = gender === 'Male';
+    return {
+        height_cm: isMale ? random.int(178, 192) : random.int(165, 182),
+        bust_cm: random.int(78, 104),
+        waist_cm: random.int(58, 84),
+        hips_cm: random.int(84, 106),
+        shoe_size: (isMale ? random.int(82, 92) : random.int(72, 82)) / 2,
+        hair_colour: random.pick(hairColours),
+        eye_colour: random.pick(eyeColours),
+        city: random.pick(cities),
+        willing_to_travel: random.int(0, 1),
+        availability: random.pick(availabilityOptions)
+    };
+};
+
+const insertProfile = async (connection, random, user) => {
+    // The main image is always a portrait, and is one of the gallery images so Profile can mark it as current
+    const mainImage = random.pick(portraits);
+    const others = [...portraits, ...studioShots].filter(file => file !== mainImage);
+    const gallery = [mainImage, ...random.sample(others, random.int(3, 5))].map(mediaUrl);
+    const [result] = await connection.query('INSERT INTO models SET ?', [{
+        user_id: user.id,
+        name: user.name,
+        gender: user.gender,
+        bio: random.pick(user.role === 'model' ? modelBios : photographerBios),
+        portfolio: `https://example.com/${user.slug}`,
+        instagram_id: user.slug.replace('-', '_'),
+        image: gallery[0],
+        sample_video_url: user.role === 'photographer' ? mediaUrl(random.pick(reels)) : null,
+        created_at: daysAgo(Math.max(0, user.joinedDaysAgo - random.int(0, 3))),
+        // Every demo profile has a public page, at /t/<name> unless a real profile already uses that address
+        slug: user.pageSlug,
+        public_profile: 1,
+        ...talentAttributes(random, user.role, user.gender)
+    }]);
+    await connection.query('INSERT INTO model_images (model_id, image_url) VALUES ?', [gallery.map(url => [result.insertId, url])]);
+    if (user.role === 'model') {
+        const categories = random.sample(talentCategories, random.int(1, 3));
+        await connection.query('INSERT INTO model_categories (model_id, category) VALUES ?', [categories.map(category => [result.insertId, category])]);
+    }
+    return gallery.length;
+};
+
+const insertVideos = async (connection, random, user) => {
+    const titles = random.sample(videoTitles, random.int(2, 4));
+    const rows = titles.map(title => [
+        user.id,
+        title,
+        random.pick(videoDescriptions),
+        mediaUrl(random.pick(reels)),
+        daysAgo(random.int(0, user.joinedDaysAgo))
+    ]);
+    await connection.query('INSERT INTO editor_uploads (user_id, title, description, video_url, created_at) VALUES ?', [rows]);
+    return rows.length;
+};
+
+// Creates the demo accounts and their content in one transaction; returns counts for reporting
+const seedDatabase = async (db) => {
+    const random = createRandom(20240607);
+    const hashedPassword = await bcrypt.hash(SEED_PASSWORD, 10);
+    const summary = { users: {}, profiles: 0, images: 0, videos: 0 };
+    const usedSlugs = new Set();
+
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [slugRows] = await connection.query('SELECT slug FROM models WHERE slug IS NOT NULL');
+        const takenPageSlugs = new Set(slugRows.map(row => row.slug));
+        for (const [role, count] of Object.entries(roleCounts)) {
+            for (let i = 0; i < count; i += 1) {
+                const gender = random.pick(genders);
+                let name;
+                let slug;
+                do {
+                    name = `${random.pick(firstNames[gender])} ${random.pick(lastNames)}`;
+                    slug = name.toLowerCase().replace(' ', '-');
+                } while (usedSlugs.has(slug));
+                usedSlugs.add(slug);
+
+                // Join dates are spread over the last ~18 months so date filters and sorting have a range
+                const joinedDaysAgo = random.int(1, JOIN_WINDOW_DAYS);
+                const createdAt = daysAgo(joinedDaysAgo);
+                const [result] = await connection.query(
+                    'INSERT INTO users (name, email, password, role, created_at, email_verified_at) VALUES (?, ?, ?, ?, ?, ?)',
+                    [name, `${slug}@${SEED_EMAIL_DOMAIN}`, hashedPassword, role, createdAt, createdAt]
+                );
+                const user = { id: result.insertId, name, slug, pageSlug: takenPageSlugs.has(slug) ? null : slug, role, gender, joinedDaysAgo };
+                summary.users[role] = (summary.users[role] || 0) + 1;
+
+                if (['model', 'photographer'].includes(role)) {
+                    summary.images += await insertProfile(connection, random, user);
+                    summary.profiles += 1;
+                } else if (role === 'editor') {
+                    summary.videos += await insertVideos(connection, random, user);
+                }
+            }
+        }
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+    return summary;
+};
+
+module.exports = { SEED_EMAIL_DOMAIN, SEED_PASSWORD, SEED_MEDIA_URL, countSeedUsers, clearSeedData, seedDatabase };
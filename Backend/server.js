@@ -1,45 +1,47 @@
 const express = require('express');
 const cors = require('cors');
-const mysql = require('mysql2/promise');
 const multer = require('multer');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const path = require('path');
+const cookieParser = require('cookie-parser');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
 const jwt = require('jsonwebtoken');
-const cloudinary = require('cloudinary').v2;
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
+const { WebSocketServer, WebSocket } = require('ws');
+const db = require('./db');
+const { createMailer } = require('./mailer');
+const { createStorage } = require('./storage');
+const { queueMediaDeletion, deleteUserAndMedia, processMediaDeletions, reconcileMedia } = require('./media');
+const { runMigrations } = require('./migrate');
+const { writeAccountExport } = require('./export');
+const { recordAudit, requestActor } = require('./audit');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 const JWT_SECRET = process.env.JWT_SECRET || '113fad8deec90d2767ae4fc4ddbc490e';
-
-// ===== Cloudinary Configuration =====
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
-});
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://modelling-site.vercel.app';
+const mailer = createMailer();
+const storage = createStorage();
 
 // ===== Middleware =====
+// Render terminates TLS in front of the app; trust its X-Forwarded-* headers so req.ip is the client's address
+app.set('trust proxy', 1);
 app.use(cors({
-  origin: process.env.FRONTEND_URL || "https://modelling-site.vercel.app"
+  origin: FRONTEND_URL,
+  credentials: true,
+  // Lets the frontend read the file name of a data export download
+  exposedHeaders: ['Content-Disposition']
 }));
+app.use(cookieParser());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Placeholder images and videos that `node cli.js seed` points demo profiles at
+app.use('/seed-media', express.static(path.join(__dirname, 'seed-media')));
+// Uploads kept on local disk are served from here; Cloudinary serves its own
+if (storage.staticDir) app.use('/uploads', express.static(storage.staticDir));
 
 // ===== MySQL Connection Pool (Google Cloud SQL) =====
-const db = mysql.createPool({
-  host: process.env.DB_HOST,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_DATABASE,
-  port: process.env.DB_PORT || 3306,
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0,
-  ssl: {
-    rejectUnauthorized: false
-  }
-});
-
 // Test DB connection
 db.getConnection()
     .then(conn => {
@@ -50,30 +52,19 @@ db.getConnection()
         console.error('❌ MySQL connection error:', err);
     });
 
-// ===== Cloudinary Storage Configuration =====
-const imageStorage = new CloudinaryStorage({
-    cloudinary: cloudinary,
-    params: {
-        folder: 'modelconnect/images',
-        allowed_formats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
-        transformation: [{ width: 1200, height: 1200, crop: 'limit', quality: 'auto' }]
-    }
-});
-
-const videoStorage = new CloudinaryStorage({
-    cloudinary: cloudinary,
-    params: {
-        folder: 'modelconnect/videos',
-        resource_type: 'video',
-        allowed_formats: ['mp4', 'mov', 'avi', 'mkv', 'webm'],
-        transformation: [{ width: 1280, height: 720, crop: 'limit', quality: 'auto' }]
-    }
-});
+// ===== Migrations =====
+// Set MIGRATE_ON_START=false where migrations run as a separate release step (`npm run migrate`)
+if (process.env.MIGRATE_ON_START !== 'false') {
+    runMigrations(db)
+        .then(applied => console.log(`✅ Database schema is up to date${applied.length ? ` (applied ${applied.join(', ')})` : ''}`))
+        .catch(err => console.error('❌ Migration error:', err));
+}
 
 // ===== Multer Configuration =====
+// Files go to the configured storage driver (see storage.js), which sets file.url on each upload.
 // Generic uploader for mixed file types
 const fileUploader = multer({
-    storage: imageStorage,
+    storage: storage.engine,
     limits: { fileSize: 50 * 1024 * 1024 }, // 50MB
     fileFilter: (req, file, cb) => {
         if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')) {
@@ -86,7 +77,7 @@ const fileUploader = multer({
 
 // Video-only uploader
 const videoUpload = multer({
-    storage: videoStorage,
+    storage: storage.engine,
     limits: { fileSize: 100 * 1024 * 1024 }, // 100MB for videos
     fileFilter: (req, file, cb) => {
         if (file.mimetype.startsWith('video/')) cb(null, true);
@@ -96,7 +87,7 @@ const videoUpload = multer({
 
 // Image-only uploader
 const imageUpload = multer({ 
-    storage: imageStorage,
+    storage: storage.engine,
     limits: { fileSize: 10 * 1024 * 1024 }, // 10MB for images
     fileFilter: (req, file, cb) => {
         if (file.mimetype.startsWith('image/')) cb(null, true);
@@ -104,44 +95,63 @@ const imageUpload = multer({
     }
 });
 
-// ===== Helper Functions =====
-const deleteFromCloudinary = async (publicId, resourceType = 'image') => {
-    try {
-        const result = await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
-        console.log('Deleted from Cloudinary:', result);
-        return result;
-    } catch (error) {
-        console.error('Error deleting from Cloudinary:', error);
-        throw error;
-    }
+// Queues the files multer stored for a request when the route ends up rejecting it, so failed or
+// invalid submissions don't leave uploads behind
+const discardUploadsOnFailure = (req, res, next) => {
+    res.on('finish', () => {
+        if (res.statusCode < 400) return;
+        const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+        queueMediaDeletion(db, files.map(file => file.url), 'upload_failed')
+            .catch(error => console.error('Error queueing discarded uploads:', error));
+    });
+    next();
 };
 
-const extractPublicId = (cloudinaryUrl) => {
-    try {
-        // Extract public_id from Cloudinary URL
-        // Example: https://res.cloudinary.com/demo/image/upload/v1234567890/modelconnect/images/sample.jpg
-        const urlParts = cloudinaryUrl.split('/');
-        const uploadIndex = urlParts.findIndex(part => part === 'upload');
-        if (uploadIndex !== -1 && uploadIndex + 2 < urlParts.length) {
-            // Get everything after version number
-            const pathAfterVersion = urlParts.slice(uploadIndex + 2).join('/');
-            // Remove file extension
-            return pathAfterVersion.replace(/\.[^/.]+$/, '');
-        }
-        return null;
-    } catch (error) {
-        console.error('Error extracting public ID:', error);
-        return null;
-    }
+// ===== Helper Functions =====
+
+// Validation error that routes report back as a 400
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
 };
 
+// SQL condition for accounts other users may see: neither deactivated by their owner nor disabled by an operator
+const activeAccountCondition = (alias = 'u') => `${alias}.deactivated_at IS NULL AND ${alias}.disabled_at IS NULL`;
+
 // ===== Auth Middleware (JWT & Role Restriction) =====
+// How often a session's last-seen time is written back while it is in use
+const SESSION_TOUCH_INTERVAL_SECONDS = 300;
+
+// Access tokens are only honoured while the session they were issued for is still open
+const findLiveSession = async ({ id, sid }) => {
+    const [[session]] = await db.query(
+        `SELECT id, last_used_at < NOW() - INTERVAL ? SECOND AS is_stale FROM sessions
+         WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+        [SESSION_TOUCH_INTERVAL_SECONDS, sid || 0, id]
+    );
+    return session;
+};
+
 const verifyToken = (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) return res.status(401).json({ message: 'Access denied. No token provided.' });
   const token = authHeader.split(' ')[1];
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(403).json({ message: 'Invalid token.' });
+  jwt.verify(token, JWT_SECRET, async (err, decoded) => {
+    // 401 rather than 403, so clients know to refresh an expired token; 403 is kept for missing permissions
+    if (err) return res.status(401).json({ message: err.name === 'TokenExpiredError' ? 'Your access token has expired.' : 'Invalid token.' });
+    let session;
+    try {
+      session = await findLiveSession(decoded);
+    } catch (error) {
+      console.error('Error checking session:', error);
+      return res.status(500).json({ message: 'Server error while checking the session.' });
+    }
+    if (!session) return res.status(401).json({ message: 'Your session has ended. Please log in again.' });
+    if (session.is_stale) {
+      db.query('UPDATE sessions SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [session.id])
+        .catch(error => console.error('Error updating session activity:', error));
+    }
     req.user = decoded;
     next();
   });
@@ -152,12 +162,218 @@ const restrictTo = (...roles) => (req, res, next) => {
     next();
 };
 
+// Allows each client IP `max` requests per window on the routes it guards, answering 429 beyond that.
+// Counts are kept per process, which is enough to stop scraping of the unauthenticated routes.
+const rateLimit = ({ windowMs, max }) => {
+    const hits = new Map();
+    setInterval(() => {
+        const now = Date.now();
+        hits.forEach((entry, ip) => {
+            if (entry.resetAt <= now) hits.delete(ip);
+        });
+    }, windowMs).unref();
+
+    return (req, res, next) => {
+        const now = Date.now();
+        let entry = hits.get(req.ip);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(req.ip, entry);
+        }
+        entry.count += 1;
+        if (entry.count > max) {
+            res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+            return res.status(429).json({ message: 'Too many requests. Please try again shortly.' });
+        }
+        next();
+    };
+};
+
+// ===== Realtime (WebSocket) =====
+// Browsers connect to /ws?token=<jwt> with the same token the REST API uses, since they cannot
+// set an Authorization header on a WebSocket. Routes call pushToUsers() to deliver { type, data }
+// events to every open socket of the given users.
+const SOCKET_HEARTBEAT_MS = 30000;
+const socketsByUser = new Map();
+
+const pushToUsers = (userIds, type, data) => {
+    const payload = JSON.stringify({ type, data });
+    new Set(userIds.map(Number)).forEach(userId => {
+        (socketsByUser.get(userId) || new Set()).forEach(socket => {
+            if (socket.readyState === WebSocket.OPEN) socket.send(payload);
+        });
+    });
+};
+
+// Used when an account is removed or signed out so its open sockets stop receiving events.
+// Pass sessionIds to only hang up the sockets opened by those sessions.
+const closeUserSockets = (userId, reason, sessionIds = null) => {
+    (socketsByUser.get(Number(userId)) || new Set()).forEach(socket => {
+        if (!sessionIds || sessionIds.includes(socket.sessionId)) socket.close(4001, reason);
+    });
+};
+
+const attachRealtime = (server) => {
+    const wss = new WebSocketServer({ server, path: '/ws' });
+
+    wss.on('connection', async (socket, req) => {
+        let user;
+        try {
+            const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+            user = jwt.verify(token, JWT_SECRET);
+            if (!(await findLiveSession(user))) throw new Error('Session has ended.');
+        } catch (err) {
+            return socket.close(4001, 'Invalid token.');
+        }
+        // The client may have gone away while the session was being looked up
+        if (socket.readyState !== WebSocket.OPEN) return;
+
+        socket.sessionId = user.sid;
+        if (!socketsByUser.has(user.id)) socketsByUser.set(user.id, new Set());
+        socketsByUser.get(user.id).add(socket);
+
+        // The token is only checked on connect, so hang up once it expires
+        const expiryTimer = setTimeout(() => socket.close(4001, 'Token expired.'), user.exp * 1000 - Date.now());
+
+        socket.isAlive = true;
+        socket.on('pong', () => { socket.isAlive = true; });
+        socket.on('close', () => {
+            clearTimeout(expiryTimer);
+            const sockets = socketsByUser.get(user.id);
+            sockets.delete(socket);
+            if (sockets.size === 0) socketsByUser.delete(user.id);
+        });
+
+        socket.send(JSON.stringify({ type: 'ready', data: { userId: user.id } }));
+    });
+
+    // Drop connections that stopped answering pings; this also keeps proxies from closing idle sockets
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach(socket => {
+            if (!socket.isAlive) return socket.terminate();
+            socket.isAlive = false;
+            socket.ping();
+        });
+    }, SOCKET_HEARTBEAT_MS);
+    wss.on('close', () => clearInterval(heartbeat));
+};
+
 // ===== API Routes =====
 
 // Test Route
-app.get('/', (req, res) => res.send('✅ API is running with Cloudinary'));
+app.get('/', (req, res) => res.send(`✅ API is running with ${storage.driver} storage`));
 
 // ===== AUTH ROUTES =====
+const PASSWORD_MIN_LENGTH = 8;
+
+// Email verification and password reset links carry JWTs signed with a per-purpose secret,
+// so they can never pass for a session token or for each other
+const accountTokenLifetimes = { verify_email: '24h', reset_password: '1h', login_2fa: '5m' };
+
+const signAccountToken = (purpose, payload) =>
+    jwt.sign(payload, `${JWT_SECRET}:${purpose}`, { expiresIn: accountTokenLifetimes[purpose] });
+
+const verifyAccountToken = (purpose, token) => {
+    try {
+        return jwt.verify(String(token || ''), `${JWT_SECRET}:${purpose}`);
+    } catch (err) {
+        return null;
+    }
+};
+
+// Reset tokens embed a fingerprint of the current password hash, so a link stops working once it has been used
+const passwordFingerprint = (hash) => crypto.createHash('sha256').update(hash).digest('hex').slice(0, 16);
+
+const sendVerificationEmail = (user) => {
+    const token = signAccountToken('verify_email', { id: user.id, email: user.email });
+    return mailer.send({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: `Hi ${user.name},\n\nConfirm your email address to finish setting up your account:\n${FRONTEND_URL}/verify-email?token=${token}\n\nThe link expires in 24 hours. Until you verify, your profile won't appear in the talent catalogue.\n`
+    });
+};
+
+// ===== Sessions =====
+// Logging in opens a server-side session. The client gets a short-lived access token (a JWT carrying the
+// session id as `sid`) and a refresh token in an httpOnly cookie; each POST /api/auth/refresh rotates the
+// refresh token and issues a new access token, until the session expires or is revoked.
+const ACCESS_TOKEN_TTL = '15m';
+const SESSION_TTL_DAYS = 30;
+// A refresh token that was just rotated out is still honoured this long, so two tabs refreshing at once
+// don't sign each other out. Presenting it any later means it was copied, and ends the session.
+const REFRESH_REUSE_GRACE_SECONDS = 60;
+const REFRESH_COOKIE = 'refresh_token';
+// The frontend and API are on different domains, so the cookie has to be SameSite=None, which requires Secure.
+// Set COOKIE_SECURE=false when running both over plain http locally.
+const refreshCookieOptions = {
+    httpOnly: true,
+    secure: process.env.COOKIE_SECURE !== 'false',
+    sameSite: process.env.COOKIE_SECURE === 'false' ? 'lax' : 'none',
+    path: '/api/auth'
+};
+
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const setRefreshCookie = (res, refreshToken) =>
+    res.cookie(REFRESH_COOKIE, refreshToken, { ...refreshCookieOptions, maxAge: SESSION_TTL_DAYS * 24 * 60 * 60 * 1000 });
+
+const signAccessToken = (user, sessionId) =>
+    jwt.sign({ id: user.id, role: user.role, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+const toAuthUser = (user) => ({
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    email_verified: Boolean(user.email_verified_at),
+    deactivated: Boolean(user.deactivated_at),
+    deletion_scheduled_for: user.deletion_scheduled_for || null
+});
+
+// Opens a session for the user, sets its refresh cookie and returns the first access token
+const createSession = async (req, res, user) => {
+    await db.query('DELETE FROM sessions WHERE user_id = ? AND (expires_at < NOW() OR revoked_at IS NOT NULL)', [user.id]);
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const [result] = await db.query(
+        `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+         VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+        [user.id, hashRefreshToken(refreshToken), (req.get('user-agent') || '').slice(0, 255), req.ip, SESSION_TTL_DAYS]
+    );
+    setRefreshCookie(res, refreshToken);
+    return signAccessToken(user, result.insertId);
+};
+
+// Ends a user's open sessions and hangs up their sockets: one session with { sessionId }, every session but
+// one with { keepSessionId }, or all of them. Resolves to the number of sessions ended.
+const revokeSessions = async (userId, { sessionId, keepSessionId } = {}, reason = 'Session revoked.') => {
+    const conditions = ['user_id = ?', 'revoked_at IS NULL'];
+    const params = [userId];
+    if (sessionId) {
+        conditions.push('id = ?');
+        params.push(sessionId);
+    }
+    if (keepSessionId) {
+        conditions.push('id != ?');
+        params.push(keepSessionId);
+    }
+    const [rows] = await db.query(`SELECT id FROM sessions WHERE ${conditions.join(' AND ')}`, params);
+    const ids = rows.map(row => row.id);
+    if (ids.length === 0) return 0;
+
+    await db.query('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id IN (?)', [ids]);
+    closeUserSockets(userId, reason, ids);
+    return ids.length;
+};
+
+const sendPasswordResetEmail = (user) => {
+    const token = signAccountToken('reset_password', { id: user.id, pwd: passwordFingerprint(user.password) });
+    return mailer.send({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\nSomeone asked to reset the password for your account. Choose a new one here:\n${FRONTEND_URL}/reset-password?token=${token}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.\n`
+    });
+};
+
 app.post('/api/auth/register', async (req, res) => {
   try {
     const { name, email, password, role } = req.body;
@@ -169,9 +385,14 @@ app.post('/api/auth/register', async (req, res) => {
     if (existingUsers.length > 0) {
         return res.status(409).json({ message: 'User with this email already exists.' });
     }
+    if (password.length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters.` });
+    }
     const hashedPassword = await bcrypt.hash(password, 10);
-    await db.query('INSERT INTO users (name, email, password, role) VALUES (?, ?, ?, ?)', [name, email, hashedPassword, role]);
-    res.status(201).json({ message: 'User registered successfully' });
+    const [result] = await db.query('INSERT INTO users (name, email, password, role) VALUES (?, ?, ?, ?)', [name, email, hashedPassword, role]);
+    sendVerificationEmail({ id: result.insertId, name, email })
+      .catch(err => console.error(`Error sending verification email to ${email}:`, err));
+    res.status(201).json({ message: 'Account created. Check your email for a link to verify your address.' });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error during registration.' });
@@ -193,11 +414,23 @@ app.post('/api/auth/login', async (req, res) => {
         if (!isMatch) {
             return res.status(401).json({ message: 'Invalid credentials.' });
         }
-        const token = jwt.sign({ id: user.id, role: user.role }, JWT_SECRET, { expiresIn: '2h' });
+        if (user.disabled_at) {
+            return res.status(403).json({ message: 'This account has been disabled. Contact an administrator.' });
+        }
+        // With 2FA on (or required for the role) the password only earns a short-lived challenge token;
+        // the session is opened by POST /api/auth/login/2fa
+        if (user.totp_enabled_at || await isTwoFactorRequired(user.role)) {
+            return res.json({
+                message: user.totp_enabled_at ? 'Enter the code from your authenticator app.' : 'Your account needs two-factor authentication. Set it up to continue.',
+                twoFactor: user.totp_enabled_at ? 'verify' : 'setup',
+                challengeToken: signAccountToken('login_2fa', { id: user.id })
+            });
+        }
+        const token = await createSession(req, res, user);
         res.json({ 
             message: 'Login successful', 
             token, 
-            user: { id: user.id, name: user.name, email: user.email, role: user.role } 
+            user: toAuthUser(user)
         });
     } catch (error) {
         console.error(error);
@@ -205,377 +438,2595 @@ app.post('/api/auth/login', async (req, res) => {
     }
 });
 
-// ===== USER ROUTES (for Admins) =====
-app.get('/api/users', verifyToken, restrictTo('admin'), async (req, res) => {
+// Exchanges the refresh cookie for a new access token, rotating the refresh token on the way
+app.post('/api/auth/refresh', async (req, res) => {
+    const refreshToken = req.cookies[REFRESH_COOKIE];
+    if (!refreshToken) return res.status(401).json({ message: 'No active session.' });
+    const tokenHash = hashRefreshToken(refreshToken);
+
+    const connection = await db.getConnection();
     try {
-        const [users] = await db.query('SELECT id, name, email, role, created_at FROM users ORDER BY created_at DESC');
-        res.json(users);
+        await connection.beginTransaction();
+        const [[session]] = await connection.query(
+            `SELECT id, user_id, revoked_at, expires_at > NOW() AS is_live, refresh_token_hash = ? AS is_current,
+                    rotated_at >= NOW() - INTERVAL ? SECOND AS within_grace
+             FROM sessions WHERE refresh_token_hash = ? OR previous_token_hash = ? FOR UPDATE`,
+            [tokenHash, REFRESH_REUSE_GRACE_SECONDS, tokenHash, tokenHash]
+        );
+        if (session && !session.revoked_at && !session.is_current && !session.within_grace) {
+            console.warn(`Refresh token reuse on session ${session.id}; revoking it.`);
+            await connection.query('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?', [session.id]);
+        }
+        const isUsable = session && !session.revoked_at && session.is_live && (session.is_current || session.within_grace);
+        if (!isUsable) {
+            await connection.commit();
+            res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+            return res.status(401).json({ message: 'Your session has ended. Please log in again.' });
+        }
+
+        const [[user]] = await connection.query('SELECT id, name, email, role, email_verified_at, deactivated_at, deletion_scheduled_for FROM users WHERE id = ?', [session.user_id]);
+        const nextToken = crypto.randomBytes(48).toString('base64url');
+        await connection.query(
+            `UPDATE sessions SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?, user_agent = ?, ip_address = ?,
+                last_used_at = CURRENT_TIMESTAMP, rotated_at = CURRENT_TIMESTAMP, expires_at = DATE_ADD(NOW(), INTERVAL ? DAY)
+             WHERE id = ?`,
+            [hashRefreshToken(nextToken), (req.get('user-agent') || '').slice(0, 255), req.ip, SESSION_TTL_DAYS, session.id]
+        );
+        await connection.commit();
+
+        setRefreshCookie(res, nextToken);
+        res.json({ token: signAccessToken(user, session.id), user: toAuthUser(user) });
     } catch (error) {
-        console.error(error);
-        res.status(500).json({ message: 'Failed to fetch users.' });
+        await connection.rollback();
+        console.error('Error refreshing session:', error);
+        res.status(500).json({ message: 'Server error while refreshing the session.' });
+    } finally {
+        connection.release();
     }
 });
 
-// User Update Route
-app.put('/api/users/:userId', verifyToken, restrictTo('admin'), async (req, res) => {
+app.post('/api/auth/logout', async (req, res) => {
     try {
-        const userId = req.params.userId;
-        const { name, email, role } = req.body;
-        
-        // Validate input
-        if (!name || !email || !role) {
-            return res.status(400).json({ message: 'All fields are required.' });
-        }
-
-        // Check if email is already used by another user
-        const [existingEmail] = await db.query(
-            'SELECT id FROM users WHERE email = ? AND id != ?',
-            [email, userId]
-        );
-        
-        if (existingEmail.length > 0) {
-            return res.status(409).json({ message: 'Email is already in use by another user.' });
+        const refreshToken = req.cookies[REFRESH_COOKIE];
+        if (refreshToken) {
+            await db.query(
+                'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE refresh_token_hash = ? AND revoked_at IS NULL',
+                [hashRefreshToken(refreshToken)]
+            );
         }
+        res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+        res.json({ message: 'Logged out.' });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({ message: 'Server error during logout.' });
+    }
+});
 
-        // Update user in database
-        await db.query(
-            'UPDATE users SET name = ?, email = ?, role = ? WHERE id = ?',
-            [name, email, role, userId]
+app.post('/api/auth/verify-email', async (req, res) => {
+    try {
+        const invalidLink = { message: 'This verification link is invalid or has expired.' };
+        const payload = verifyAccountToken('verify_email', req.body.token);
+        if (!payload) return res.status(400).json(invalidLink);
+        // The token names the address it was sent to, so it is void if the account's email has changed since
+        const [result] = await db.query(
+            'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = ? AND email = ?',
+            [payload.id, payload.email]
         );
-
-        res.json({ message: 'User updated successfully' });
+        if (result.affectedRows === 0) return res.status(400).json(invalidLink);
+        res.json({ message: 'Your email address has been verified.', userId: payload.id });
     } catch (error) {
-        console.error('Error updating user:', error);
-        res.status(500).json({ message: 'Failed to update user.' });
+        console.error('Error verifying email:', error);
+        res.status(500).json({ message: 'Server error during email verification.' });
     }
 });
 
-// User Delete Route
-app.delete('/api/users/:userId', verifyToken, restrictTo('admin'), async (req, res) => {
+// Both of these answer the same way whether or not the address has an account, so they can't be used to probe for users
+app.post('/api/auth/resend-verification', async (req, res) => {
     try {
-        const userId = req.params.userId;
-        
-        // Delete associated data first (models, editor uploads, etc.)
-        await db.query('DELETE FROM models WHERE user_id = ?', [userId]);
-        await db.query('DELETE FROM editor_uploads WHERE user_id = ?', [userId]);
-        await db.query('DELETE FROM model_images WHERE model_id IN (SELECT id FROM models WHERE user_id = ?)', [userId]);
-        
-        // Delete the user
-        await db.query('DELETE FROM users WHERE id = ?', [userId]);
-        
-        res.json({ message: 'User deleted successfully' });
+        const { email } = req.body;
+        if (!email) return res.status(400).json({ message: 'Email is required.' });
+        const [[user]] = await db.query('SELECT id, name, email FROM users WHERE email = ? AND email_verified_at IS NULL', [email]);
+        if (user) await sendVerificationEmail(user);
+        res.json({ message: 'If that account still needs verifying, a new link is on its way.' });
     } catch (error) {
-        console.error('Error deleting user:', error);
-        res.status(500).json({ message: 'Failed to delete user.' });
+        console.error('Error resending verification email:', error);
+        res.status(500).json({ message: 'Could not send the verification email.' });
     }
 });
 
-// ===== CATALOGUE ROUTES =====
-app.get('/api/models', verifyToken, restrictTo('recruiter', 'admin'), async (req, res) => {
-  try {
-    const query = `SELECT m.*, u.role FROM models m JOIN users u ON m.user_id = u.id ORDER BY m.created_at DESC`;
-    const [results] = await db.query(query);
-    res.json(results);
-  } catch (error) {
-    console.error('Error fetching models:', error);
-    res.status(500).json({ message: 'Failed to fetch models.' });
-  }
+app.post('/api/auth/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email) return res.status(400).json({ message: 'Email is required.' });
+        const [[user]] = await db.query('SELECT id, name, email, password FROM users WHERE email = ?', [email]);
+        if (user) await sendPasswordResetEmail(user);
+        res.json({ message: 'If an account exists for that email, a reset link is on its way.' });
+    } catch (error) {
+        console.error('Error sending password reset email:', error);
+        res.status(500).json({ message: 'Could not send the password reset email.' });
+    }
 });
 
-app.get('/api/editors/videos', verifyToken, restrictTo('recruiter', 'admin'), async (req, res) => {
+app.post('/api/auth/reset-password', async (req, res) => {
     try {
-        const query = `SELECT e.id, e.title, e.description, e.video_url, e.created_at, u.name as editor_name, u.id as user_id FROM editor_uploads e JOIN users u ON e.user_id = u.id ORDER BY e.created_at DESC`;
-        const [videos] = await db.query(query);
-        res.json(videos);
+        const { token, password } = req.body;
+        if (!password || password.length < PASSWORD_MIN_LENGTH) {
+            return res.status(400).json({ message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters.` });
+        }
+        const invalidLink = { message: 'This reset link is invalid or has expired.' };
+        const payload = verifyAccountToken('reset_password', token);
+        if (!payload) return res.status(400).json(invalidLink);
+        const [[user]] = await db.query('SELECT id, password FROM users WHERE id = ?', [payload.id]);
+        if (!user || passwordFingerprint(user.password) !== payload.pwd) return res.status(400).json(invalidLink);
+        const hashedPassword = await bcrypt.hash(password, 10);
+        // Following an emailed link also proves the address belongs to the user
+        await db.query(
+            'UPDATE users SET password = ?, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = ?',
+            [hashedPassword, user.id]
+        );
+        // Whoever knew the old password may still be signed in somewhere
+        await revokeSessions(user.id, {}, 'Password changed.');
+        res.json({ message: 'Your password has been reset. You can now log in.' });
     } catch (error) {
-        console.error('Error fetching editor videos:', error);
-        res.status(500).json({ message: 'Failed to fetch editor videos.' });
+        console.error('Error resetting password:', error);
+        res.status(500).json({ message: 'Server error during password reset.' });
     }
 });
 
-// ===== PROFILE ROUTES =====
+// ===== TWO-FACTOR AUTHENTICATION =====
+// TOTP (RFC 6238) via an authenticator app, with single-use recovery codes as the fallback.
+// Admins can require it per role; accounts in such a role must enrol at their next login.
+const TOTP_ISSUER = "Drippn's Studio";
+const RECOVERY_CODE_COUNT = 10;
+const accountRoles = ['model', 'photographer', 'editor', 'recruiter', 'admin'];
+// Failed codes allowed per account within the window before it has to start over with its password.
+// Counted per process, which is enough to stop brute-forcing the six digits within a challenge's lifetime.
+const MAX_SECOND_FACTOR_FAILURES = 5;
+const SECOND_FACTOR_FAILURE_WINDOW_MS = 5 * 60 * 1000;
+const secondFactorFailures = new Map();
 
-// Create initial model/photographer profile
-app.post(
-    '/api/models', 
-    verifyToken, 
-    fileUploader.fields([
-        { name: 'mainImage', maxCount: 1 },
-        { name: 'galleryImages', maxCount: 8 },
-        { name: 'sampleVideo', maxCount: 1 }
-    ]), 
-    async (req, res) => {
-        const { name, gender, bio, portfolio, instagram_id, role } = req.body;
-        const user_id = req.user.id;
+authenticator.options = { window: 1 }; // accept the previous and next 30s code to allow for clock drift
 
-        const mainImageFile = req.files.mainImage ? req.files.mainImage[0] : null;
-        const sampleVideoFile = req.files.sampleVideo ? req.files.sampleVideo[0] : null;
-        const galleryImageFiles = req.files.galleryImages || [];
+const isTwoFactorRequired = async (role) => {
+    const [[policy]] = await db.query('SELECT required FROM two_factor_policies WHERE role = ?', [role]);
+    return Boolean(policy?.required);
+};
 
-        // Validation
-        if (!mainImageFile || !mainImageFile.mimetype.startsWith('image/')) {
-            return res.status(400).json({ message: 'A valid main profile image is required.' });
-        }
-        if (sampleVideoFile && !sampleVideoFile.mimetype.startsWith('video/')) {
-            return res.status(400).json({ message: 'The sample work must be a valid video file.' });
-        }
-        if (['model', 'photographer'].includes(role) && galleryImageFiles.length < 4) {
-            return res.status(400).json({ message: 'A minimum of 4 gallery images are required at signup.' });
-        }
-        if (!name || !gender || !bio) {
-            return res.status(400).json({ message: 'Name, gender, and bio are required.' });
-        }
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
 
-        // Store Cloudinary URLs instead of filenames
-        const mainImage = mainImageFile.path; // Cloudinary URL
-        const sampleVideo = sampleVideoFile ? sampleVideoFile.path : null; // Cloudinary URL
-        
-        const connection = await db.getConnection();
-        try {
-            await connection.beginTransaction();
-            const [result] = await connection.query(
-                'INSERT INTO models (name, gender, bio, portfolio, instagram_id, image, sample_video_url, user_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-                [name, gender, bio, portfolio, instagram_id, mainImage, sampleVideo, user_id]
-            );
-            const modelId = result.insertId;
+// Replaces the user's recovery codes with a fresh set; the plain codes are only ever shown once
+const issueRecoveryCodes = async (userId) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    await db.query('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+    await db.query('INSERT INTO recovery_codes (user_id, code_hash) VALUES ?', [codes.map(code => [userId, hashRecoveryCode(code)])]);
+    return codes;
+};
 
-            // Add all uploaded images to the gallery using Cloudinary URLs
-            const galleryValues = galleryImageFiles.map(file => [modelId, file.path]);
-            if (galleryValues.length > 0) {
-                 await connection.query('INSERT INTO model_images (model_id, image_url) VALUES ?', [galleryValues]);
-            }
-            
-            await connection.commit();
-            res.status(201).json({ message: 'Profile created successfully!' });
-        } catch (error) {
-            await connection.rollback();
-            console.error(error);
-            res.status(500).json({ message: 'Failed to create profile.' });
-        } finally {
-            connection.release();
-        }
+// Stores a new (not yet active) secret and returns what the authenticator app needs to scan
+const startTotpSetup = async (user) => {
+    const secret = authenticator.generateSecret();
+    await db.query('UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?', [secret, user.id]);
+    const otpauthUrl = authenticator.keyuri(user.email, TOTP_ISSUER, secret);
+    return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+const enableTwoFactor = async (userId) => {
+    await db.query('UPDATE users SET totp_enabled_at = CURRENT_TIMESTAMP WHERE id = ?', [userId]);
+    return issueRecoveryCodes(userId);
+};
+
+// Checks a code from the authenticator app. Each 30s step is accepted once, so an observed code can't be replayed.
+const checkTotp = async (user, code) => {
+    const value = String(code || '').replace(/\s/g, '');
+    if (!user.totp_secret || !/^\d{6}$/.test(value)) return false;
+    const delta = authenticator.checkDelta(value, user.totp_secret);
+    if (delta === null) return false;
+    const step = Math.floor(Date.now() / 30000) + delta;
+    const [result] = await db.query(
+        'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+        [step, user.id, step]
+    );
+    return result.affectedRows > 0;
+};
+
+// Accepts either an authenticator code or an unused recovery code (which is then spent)
+const verifySecondFactor = async (user, code) => {
+    if (await checkTotp(user, code)) return true;
+    const value = String(code || '').trim();
+    if (!value) return false;
+    const [result] = await db.query(
+        'UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL LIMIT 1',
+        [user.id, hashRecoveryCode(value)]
+    );
+    return result.affectedRows > 0;
+};
+
+const hasTooManyFailures = (userId) => {
+    const failures = secondFactorFailures.get(userId);
+    if (failures && failures.resetAt < Date.now()) secondFactorFailures.delete(userId);
+    return (secondFactorFailures.get(userId)?.count || 0) >= MAX_SECOND_FACTOR_FAILURES;
+};
+
+const recordFailure = (userId) => {
+    const failures = secondFactorFailures.get(userId) || { count: 0, resetAt: Date.now() + SECOND_FACTOR_FAILURE_WINDOW_MS };
+    secondFactorFailures.set(userId, { ...failures, count: failures.count + 1 });
+};
+
+// Checks the code a signed-in user sends to change their 2FA settings, or answers the request itself if it
+// fails. Shares the failure limit with the login step, so a stolen access token can't be used to guess codes.
+const confirmSecondFactor = async (res, user, code) => {
+    if (hasTooManyFailures(user.id)) {
+        res.status(429).json({ message: 'Too many incorrect codes. Please wait a few minutes and try again.' });
+        return false;
     }
-);
+    if (!(await verifySecondFactor(user, code))) {
+        recordFailure(user.id);
+        res.status(400).json({ message: 'That code is not valid.' });
+        return false;
+    }
+    secondFactorFailures.delete(user.id);
+    return true;
+};
 
-// Fetch the logged-in user's own profile
-app.get('/api/models/my-profile', verifyToken, async (req, res) => {
+// Loads the user behind a login challenge token, or answers the request itself if it can't
+const loadChallengeUser = async (req, res) => {
+    const expired = { message: 'Your sign-in attempt has expired. Please log in again.' };
+    const payload = verifyAccountToken('login_2fa', req.body.challengeToken);
+    if (!payload) {
+        res.status(401).json(expired);
+        return null;
+    }
+    const [[user]] = await db.query('SELECT * FROM users WHERE id = ?', [payload.id]);
+    if (!user || user.disabled_at) {
+        res.status(401).json(expired);
+        return null;
+    }
+    if (hasTooManyFailures(user.id)) {
+        res.status(429).json({ message: 'Too many incorrect codes. Please wait a few minutes and log in again.' });
+        return null;
+    }
+    return user;
+};
+
+// Enrolment during login, for accounts whose role requires 2FA but that haven't set it up yet
+app.post('/api/auth/login/2fa/setup', async (req, res) => {
     try {
-        const [profileRows] = await db.query('SELECT * FROM models WHERE user_id = ?', [req.user.id]);
-        if (profileRows.length === 0) return res.status(404).json({ message: 'Profile not found.' });
-        const profile = profileRows[0];
-        const [galleryRows] = await db.query('SELECT id, image_url FROM model_images WHERE model_id = ?', [profile.id]);
-        profile.gallery = galleryRows;
-        res.json(profile);
+        const user = await loadChallengeUser(req, res);
+        if (!user) return;
+        if (user.totp_enabled_at) return res.status(409).json({ message: 'Two-factor authentication is already set up.' });
+        res.json(await startTotpSetup(user));
     } catch (error) {
-        console.error(error);
-        res.status(500).json({ message: 'Server error fetching profile.' });
+        console.error('Error starting two-factor setup:', error);
+        res.status(500).json({ message: 'Server error during two-factor setup.' });
     }
 });
 
-// Update profile TEXT details
-app.put('/api/models/my-profile', verifyToken, async (req, res) => {
+// Second login step: opens the session once the code checks out. When this completes an enrolment,
+// the response also carries the new recovery codes.
+app.post('/api/auth/login/2fa', async (req, res) => {
     try {
-        const { name, gender, bio, portfolio, instagram_id } = req.body;
-        await db.query('UPDATE models SET name = ?, gender = ?, bio = ?, portfolio = ?, instagram_id = ? WHERE user_id = ?', [name, gender, bio, portfolio, instagram_id, req.user.id]);
-        res.json({ message: 'Profile details updated successfully.' });
+        const user = await loadChallengeUser(req, res);
+        if (!user) return;
+        const isEnrolling = !user.totp_enabled_at;
+        const isValid = isEnrolling ? await checkTotp(user, req.body.code) : await verifySecondFactor(user, req.body.code);
+        if (!isValid) {
+            recordFailure(user.id);
+            return res.status(400).json({ message: 'That code is not valid.' });
+        }
+        secondFactorFailures.delete(user.id);
+
+        const recoveryCodes = isEnrolling ? await enableTwoFactor(user.id) : undefined;
+        const token = await createSession(req, res, user);
+        res.json({ message: 'Login successful', token, user: toAuthUser(user), recoveryCodes });
     } catch (error) {
-        console.error(error);
-        res.status(500).json({ message: 'Failed to update profile details.' });
+        console.error('Error verifying second factor:', error);
+        res.status(500).json({ message: 'Server error during login.' });
     }
 });
 
-// Upload NEW gallery images
-app.post('/api/models/my-profile/gallery', verifyToken, imageUpload.array('galleryImages', 8), async (req, res) => {
+// Two-factor status for the signed-in user
+app.get('/api/auth/2fa', verifyToken, async (req, res) => {
+    try {
+        const [[user]] = await db.query('SELECT totp_enabled_at FROM users WHERE id = ?', [req.user.id]);
+        const [[{ remaining }]] = await db.query('SELECT COUNT(*) AS remaining FROM recovery_codes WHERE user_id = ? AND used_at IS NULL', [req.user.id]);
+        res.json({ enabled: Boolean(user.totp_enabled_at), required: await isTwoFactorRequired(req.user.role), recoveryCodesRemaining: remaining });
+    } catch (error) {
+        console.error('Error fetching two-factor status:', error);
+        res.status(500).json({ message: 'Failed to fetch two-factor status.' });
+    }
+});
+
+app.post('/api/auth/2fa/setup', verifyToken, async (req, res) => {
+    try {
+        const [[user]] = await db.query('SELECT id, email, totp_enabled_at FROM users WHERE id = ?', [req.user.id]);
+        if (user.totp_enabled_at) return res.status(409).json({ message: 'Two-factor authentication is already on.' });
+        res.json(await startTotpSetup(user));
+    } catch (error) {
+        console.error('Error starting two-factor setup:', error);
+        res.status(500).json({ message: 'Server error during two-factor setup.' });
+    }
+});
+
+// Confirms setup with a first code from the app and returns the recovery codes
+app.post('/api/auth/2fa/enable', verifyToken, async (req, res) => {
+    try {
+        const [[user]] = await db.query('SELECT id, totp_secret, totp_enabled_at FROM users WHERE id = ?', [req.user.id]);
+        if (user.totp_enabled_at) return res.status(409).json({ message: 'Two-factor authentication is already on.' });
+        if (!user.totp_secret) return res.status(400).json({ message: 'Start the setup first.' });
+        if (!(await checkTotp(user, req.body.code))) return res.status(400).json({ message: 'That code is not valid.' });
+        res.json({ message: 'Two-factor authentication is on.', recoveryCodes: await enableTwoFactor(user.id) });
+    } catch (error) {
+        console.error('Error enabling two-factor authentication:', error);
+        res.status(500).json({ message: 'Server error while enabling two-factor authentication.' });
+    }
+});
+
+app.post('/api/auth/2fa/recovery-codes', verifyToken, async (req, res) => {
+    try {
+        const [[user]] = await db.query('SELECT id, totp_secret, totp_enabled_at FROM users WHERE id = ?', [req.user.id]);
+        if (!user.totp_enabled_at) return res.status(400).json({ message: 'Two-factor authentication is off.' });
+        if (!(await confirmSecondFactor(res, user, req.body.code))) return;
+        res.json({ message: 'New recovery codes generated. The old ones no longer work.', recoveryCodes: await issueRecoveryCodes(user.id) });
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        res.status(500).json({ message: 'Failed to generate recovery codes.' });
+    }
+});
+
+app.delete('/api/auth/2fa', verifyToken, async (req, res) => {
+    try {
+        if (await isTwoFactorRequired(req.user.role)) {
+            return res.status(403).json({ message: 'Two-factor authentication is required for your role.' });
+        }
+        const [[user]] = await db.query('SELECT id, totp_secret, totp_enabled_at FROM users WHERE id = ?', [req.user.id]);
+        if (!user.totp_enabled_at) return res.status(400).json({ message: 'Two-factor authentication is already off.' });
+        if (!(await confirmSecondFactor(res, user, req.body.code))) return;
+        await db.query('UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?', [user.id]);
+        await db.query('DELETE FROM recovery_codes WHERE user_id = ?', [user.id]);
+        res.json({ message: 'Two-factor authentication is off.' });
+    } catch (error) {
+        console.error('Error disabling two-factor authentication:', error);
+        res.status(500).json({ message: 'Server error while disabling two-factor authentication.' });
+    }
+});
+
+// Which roles must use 2FA (admin only)
+app.get('/api/auth/2fa/policies', verifyToken, restrictTo('admin'), async (req, res) => {
+    try {
+        const [rows] = await db.query('SELECT role, required FROM two_factor_policies');
+        const required = new Set(rows.filter(row => row.required).map(row => row.role));
+        res.json(accountRoles.map(role => ({ role, required: required.has(role) })));
+    } catch (error) {
+        console.error('Error fetching two-factor policies:', error);
+        res.status(500).json({ message: 'Failed to fetch two-factor policies.' });
+    }
+});
+
+app.put('/api/auth/2fa/policies/:role', verifyToken, restrictTo('admin'), async (req, res) => {
+    try {
+        const { role } = req.params;
+        if (!accountRoles.includes(role)) return res.status(400).json({ message: 'Invalid role.' });
+        const required = Boolean(req.body.required);
+        const wasRequired = await isTwoFactorRequired(role);
+        await db.query(
+            `INSERT INTO two_factor_policies (role, required, updated_by) VALUES (?, ?, ?)
+             ON DUPLICATE KEY UPDATE required = VALUES(required), updated_by = VALUES(updated_by)`,
+            [role, required, req.user.id]
+        );
+        await recordAudit(db, requestActor(req), {
+            action: 'two_factor_policy.update',
+            targetType: 'two_factor_policy',
+            targetLabel: role,
+            before: { required: wasRequired },
+            after: { required },
+            diff: true
+        });
+        res.json({ role, required, message: `Two-factor authentication is now ${required ? 'required' : 'optional'} for ${role}s.` });
+    } catch (error) {
+        console.error('Error updating two-factor policy:', error);
+        res.status(500).json({ message: 'Failed to update two-factor policy.' });
+    }
+});
+
+// ===== SESSION ROUTES =====
+// The signed-in user's open sessions, newest activity first; `current` marks the one making the request
+app.get('/api/sessions', verifyToken, async (req, res) => {
+    try {
+        const [sessions] = await db.query(
+            `SELECT id, user_agent, ip_address, created_at, last_used_at FROM sessions
+             WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+             ORDER BY last_used_at DESC`,
+            [req.user.id]
+        );
+        res.json(sessions.map(session => ({ ...session, current: session.id === req.user.sid })));
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({ message: 'Failed to fetch sessions.' });
+    }
+});
+
+// Signs out every session except the one making the request
+app.delete('/api/sessions', verifyToken, async (req, res) => {
+    try {
+        const count = await revokeSessions(req.user.id, { keepSessionId: req.user.sid });
+        res.json({ message: `Signed out of ${count} other session${count === 1 ? '' : 's'}.`, count });
+    } catch (error) {
+        console.error('Error revoking sessions:', error);
+        res.status(500).json({ message: 'Failed to sign out other sessions.' });
+    }
+});
+
+app.delete('/api/sessions/:sessionId', verifyToken, async (req, res) => {
+    try {
+        const sessionId = Number(req.params.sessionId);
+        const count = Number.isInteger(sessionId) && sessionId > 0 ? await revokeSessions(req.user.id, { sessionId }) : 0;
+        if (count === 0) return res.status(404).json({ message: 'Session not found.' });
+        res.json({ message: 'Session signed out.' });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({ message: 'Failed to sign out session.' });
+    }
+});
+
+// ===== ACCOUNT ROUTES =====
+// Users can deactivate their account, which hides their profile and videos until they reactivate, or ask
+// for it to be deleted. A deletion request deactivates the account straight away and the retention job
+// removes it once ACCOUNT_DELETION_GRACE_DAYS have passed; logging back in and reactivating cancels it.
+const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS ?? 30);
+// Users with an export in progress; a ZIP with every gallery image and video is too heavy to build twice at once
+const activeExports = new Set();
+
+// Loads the signed-in user, or answers with 400 when `password` isn't theirs
+const confirmPassword = async (req, res) => {
+    const [[user]] = await db.query('SELECT * FROM users WHERE id = ?', [req.user.id]);
+    if (!req.body.password || !(await bcrypt.compare(req.body.password, user.password))) {
+        res.status(400).json({ message: 'Your password is incorrect.' });
+        return null;
+    }
+    return user;
+};
+
+const loadAuthUser = async (userId) => {
+    const [[user]] = await db.query('SELECT id, name, email, role, email_verified_at, deactivated_at, deletion_scheduled_for FROM users WHERE id = ?', [userId]);
+    return toAuthUser(user);
+};
+
+app.post('/api/account/deactivate', verifyToken, async (req, res) => {
+    try {
+        const user = await confirmPassword(req, res);
+        if (!user) return;
+        await db.query('UPDATE users SET deactivated_at = COALESCE(deactivated_at, CURRENT_TIMESTAMP) WHERE id = ?', [user.id]);
+        await recordAudit(db, requestActor(req), { action: 'account.deactivate', targetType: 'user', targetId: user.id, targetLabel: user.email });
+        res.json({ message: 'Your account is deactivated. Your profile is hidden until you reactivate it.', user: await loadAuthUser(user.id) });
+    } catch (error) {
+        console.error('Error deactivating account:', error);
+        res.status(500).json({ message: 'Failed to deactivate your account.' });
+    }
+});
+
+// Also cancels a pending deletion request
+app.post('/api/account/reactivate', verifyToken, async (req, res) => {
+    try {
+        const before = await loadAuthUser(req.user.id);
+        await db.query('UPDATE users SET deactivated_at = NULL, deletion_scheduled_for = NULL WHERE id = ?', [req.user.id]);
+        await recordAudit(db, requestActor(req), {
+            action: 'account.reactivate',
+            targetType: 'user',
+            targetId: req.user.id,
+            targetLabel: before.email,
+            before: { deactivated: before.deactivated, deletion_scheduled_for: before.deletion_scheduled_for }
+        });
+        res.json({ message: 'Welcome back! Your account is active again.', user: await loadAuthUser(req.user.id) });
+    } catch (error) {
+        console.error('Error reactivating account:', error);
+        res.status(500).json({ message: 'Failed to reactivate your account.' });
+    }
+});
+
+app.post('/api/account/delete', verifyToken, async (req, res) => {
+    try {
+        const user = await confirmPassword(req, res);
+        if (!user) return;
+        await db.query(
+            `UPDATE users SET deactivated_at = COALESCE(deactivated_at, CURRENT_TIMESTAMP),
+                deletion_scheduled_for = DATE_ADD(NOW(), INTERVAL ? DAY) WHERE id = ?`,
+            [ACCOUNT_DELETION_GRACE_DAYS, user.id]
+        );
+        const { deletion_scheduled_for: scheduledFor } = await loadAuthUser(user.id);
+        await recordAudit(db, requestActor(req), {
+            action: 'account.deletion_request',
+            targetType: 'user',
+            targetId: user.id,
+            targetLabel: user.email,
+            after: { deletion_scheduled_for: scheduledFor }
+        });
+        mailer.send({
+            to: user.email,
+            subject: 'Your account is scheduled for deletion',
+            text: `Hi ${user.name},\n\nAs requested, your account and everything in it will be permanently deleted on ${scheduledFor.toUTCString()}.\n\nChanged your mind? Log in at ${FRONTEND_URL}/login before then and reactivate your account.\n`
+        }).catch(err => console.error(`Error sending deletion notice to ${user.email}:`, err));
+        await revokeSessions(user.id, {}, 'Account scheduled for deletion.');
+        res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+        res.json({ message: `Your account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days. Log in before then to cancel.`, deletion_scheduled_for: scheduledFor });
+    } catch (error) {
+        console.error('Error scheduling account deletion:', error);
+        res.status(500).json({ message: 'Failed to schedule your account for deletion.' });
+    }
+});
+
+// Streams a ZIP of everything the user has stored with us
+app.get('/api/account/export', verifyToken, async (req, res) => {
+    if (activeExports.has(req.user.id)) {
+        return res.status(429).json({ message: 'Your previous export is still being prepared.' });
+    }
+    activeExports.add(req.user.id);
+    try {
+        res.attachment(`modelconnect-export-${req.user.id}-${new Date().toISOString().slice(0, 10)}.zip`);
+        await writeAccountExport(db, storage, req.user.id, res);
+    } catch (error) {
+        console.error('Error exporting account data:', error);
+        // Once the ZIP has started there is no way to report the error except cutting the download short
+        if (res.headersSent) res.destroy(error);
+        else res.status(500).json({ message: 'Failed to export your data.' });
+    } finally {
+        activeExports.delete(req.user.id);
+    }
+});
+
+// ===== USER ROUTES (for Admins) =====
+app.get('/api/users', verifyToken, restrictTo('admin'), async (req, res) => {
+    try {
+        const [users] = await db.query(
+            `SELECT id, name, email, role, created_at, totp_enabled_at IS NOT NULL AS two_factor_enabled, deactivated_at, deletion_scheduled_for
+             FROM users ORDER BY created_at DESC`
+        );
+        res.json(users);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Failed to fetch users.' });
+    }
+});
+
+// Force logout: ends every session the user has open
+app.post('/api/users/:userId/logout', verifyToken, restrictTo('admin'), async (req, res) => {
+    try {
+        const count = await revokeSessions(req.params.userId, {}, 'Signed out by an administrator.');
+        await recordAudit(db, requestActor(req), {
+            action: 'user.force_logout',
+            targetType: 'user',
+            targetId: req.params.userId,
+            after: { sessions_ended: count }
+        });
+        res.json({ message: `Ended ${count} session${count === 1 ? '' : 's'}.`, count });
+    } catch (error) {
+        console.error('Error forcing logout:', error);
+        res.status(500).json({ message: 'Failed to sign the user out.' });
+    }
+});
+
+// User Update Route
+app.put('/api/users/:userId', verifyToken, restrictTo('admin'), async (req, res) => {
+    const connection = await db.getConnection();
+    try {
+        const userId = Number(req.params.userId);
+        const { name, email, role } = req.body;
+        
+        // Validate input
+        if (!name || !email || !role) {
+            return res.status(400).json({ message: 'All fields are required.' });
+        }
+        if (!accountRoles.includes(role)) {
+            return res.status(400).json({ message: 'Invalid role.' });
+        }
+
+        // Check if email is already used by another user
+        const [existingEmail] = await connection.query(
+            'SELECT id FROM users WHERE email = ? AND id != ?',
+            [email, userId]
+        );
+        
+        if (existingEmail.length > 0) {
+            return res.status(409).json({ message: 'Email is already in use by another user.' });
+        }
+
+        // Update user in database, recording the old and new values in the same transaction
+        await connection.beginTransaction();
+        const [[before]] = await connection.query('SELECT name, email, role FROM users WHERE id = ? FOR UPDATE', [userId]);
+        if (!before) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'User not found.' });
+        }
+        await connection.query(
+            'UPDATE users SET name = ?, email = ?, role = ? WHERE id = ?',
+            [name, email, role, userId]
+        );
+        await recordAudit(connection, requestActor(req), {
+            action: 'user.update',
+            targetType: 'user',
+            targetId: userId,
+            targetLabel: email,
+            before,
+            after: { name, email, role },
+            diff: true
+        });
+        await connection.commit();
+
+        pushToUsers([userId], 'account:updated', { name, email, role });
+        res.json({ message: 'User updated successfully' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error updating user:', error);
+        res.status(500).json({ message: 'Failed to update user.' });
+    } finally {
+        connection.release();
+    }
+});
+
+// User Delete Route
+app.delete('/api/users/:userId', verifyToken, restrictTo('admin'), async (req, res) => {
+    try {
+        const userId = req.params.userId;
+
+        await deleteUserAndMedia(db, userId, 'user_deleted', { actor: requestActor(req), action: 'user.delete' });
+
+        pushToUsers([userId], 'account:deleted', {});
+        closeUserSockets(userId, 'Account deleted.');
+        res.json({ message: 'User deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).json({ message: 'Failed to delete user.' });
+    }
+});
+
+// ===== AUDIT LOG ROUTES (for Admins) =====
+const AUDIT_PAGE_SIZE = 50;
+
+// Newest entries first. ?q searches the actor, action, target and IP address; ?action, ?target_type,
+// ?actor_id, ?target_id, ?from and ?to (dates) narrow it down. The actions already logged come back
+// as `actions`, for the filter menu.
+app.get('/api/audit', verifyToken, restrictTo('admin'), async (req, res) => {
+    try {
+        const { q, action, target_type: targetType, actor_id: actorId, target_id: targetId, from, to } = req.query;
+        const conditions = [];
+        const params = [];
+        if (q) {
+            conditions.push('(a.action LIKE ? OR a.target_label LIKE ? OR a.actor_label LIKE ? OR u.name LIKE ? OR u.email LIKE ? OR a.ip_address LIKE ?)');
+            params.push(...Array(6).fill(`%${q}%`));
+        }
+        if (action) {
+            conditions.push('a.action = ?');
+            params.push(action);
+        }
+        if (targetType) {
+            conditions.push('a.target_type = ?');
+            params.push(targetType);
+        }
+        if (actorId) {
+            conditions.push('a.actor_id = ?');
+            params.push(actorId);
+        }
+        if (targetId) {
+            conditions.push('a.target_id = ?');
+            params.push(targetId);
+        }
+        for (const [value, operator, label] of [[from, '>=', 'from'], [to, '<', 'to']]) {
+            if (!value) continue;
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) throw badRequest(`${label} must be a valid date.`);
+            // `to` is inclusive of the whole day it names
+            if (operator === '<') date.setUTCDate(date.getUTCDate() + 1);
+            conditions.push(`a.created_at ${operator} ?`);
+            params.push(date);
+        }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        const pagination = parsePagination(req.query, AUDIT_PAGE_SIZE);
+
+        const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM audit_log a LEFT JOIN users u ON u.id = a.actor_id ${where}`, params);
+        const [entries] = await db.query(
+            `SELECT a.id, a.actor_id, COALESCE(u.name, a.actor_label, CONCAT('Deleted user #', a.actor_id)) AS actor_name, u.email AS actor_email,
+                    a.action, a.target_type, a.target_id, a.target_label, a.before_values, a.after_values, a.ip_address, a.user_agent, a.created_at
+             FROM audit_log a LEFT JOIN users u ON u.id = a.actor_id
+             ${where}
+             ORDER BY a.id DESC LIMIT ? OFFSET ?`,
+            [...params, pagination.limit, pagination.offset]
+        );
+        const [actions] = await db.query('SELECT DISTINCT action FROM audit_log ORDER BY action');
+        res.json({ ...paginated(entries, total, pagination), actions: actions.map(row => row.action) });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to fetch the audit log.' });
+    }
+});
+
+// ===== Talent Attributes =====
+const talentCategories = ['Fashion', 'Commercial', 'Runway', 'Editorial', 'Fitness', 'Plus Size'];
+const hairColours = ['Black', 'Brown', 'Blonde', 'Red', 'Grey', 'Other'];
+const eyeColours = ['Brown', 'Blue', 'Green', 'Hazel', 'Grey', 'Other'];
+const availabilityOptions = ['available', 'limited', 'unavailable'];
+
+// Allowed [min, max] for each numeric attribute, in cm (shoe size is EU)
+const measurementRanges = {
+    height_cm: { label: 'Height', min: 120, max: 220 },
+    bust_cm: { label: 'Bust', min: 50, max: 160 },
+    waist_cm: { label: 'Waist', min: 40, max: 160 },
+    hips_cm: { label: 'Hips', min: 50, max: 170 },
+    shoe_size: { label: 'Shoe size', min: 30, max: 50 }
+};
+
+// Multipart bodies send a single category as a string and several as an array
+const toList = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : String(value).split(',');
+};
+
+// Normalises the optional structured attributes from a JSON or multipart body
+const parseTalentAttributes = (body) => {
+    const attributes = {};
+
+    for (const [field, { label, min, max }] of Object.entries(measurementRanges)) {
+        const raw = body[field];
+        if (raw === undefined || raw === null || raw === '') {
+            attributes[field] = null;
+            continue;
+        }
+        const value = Number(raw);
+        if (!Number.isFinite(value) || value < min || value > max) {
+            throw badRequest(`${label} must be between ${min} and ${max}.`);
+        }
+        attributes[field] = field === 'shoe_size' ? Math.round(value * 2) / 2 : Math.round(value);
+    }
+
+    if (body.hair_colour && !hairColours.includes(body.hair_colour)) throw badRequest('Invalid hair colour.');
+    if (body.eye_colour && !eyeColours.includes(body.eye_colour)) throw badRequest('Invalid eye colour.');
+    attributes.hair_colour = body.hair_colour || null;
+    attributes.eye_colour = body.eye_colour || null;
+
+    const city = (body.city || '').trim();
+    if (city.length > 100) throw badRequest('City must be 100 characters or fewer.');
+    attributes.city = city || null;
+
+    attributes.willing_to_travel = [true, 1, 'true', '1', 'on'].includes(body.willing_to_travel) ? 1 : 0;
+
+    if (body.availability && !availabilityOptions.includes(body.availability)) throw badRequest('Invalid availability.');
+    attributes.availability = body.availability || 'available';
+
+    const categories = [...new Set(toList(body.categories).map(category => String(category).trim()))];
+    const invalidCategory = categories.find(category => !talentCategories.includes(category));
+    if (invalidCategory) throw badRequest(`Unknown category: ${invalidCategory}.`);
+
+    return { attributes, categories };
+};
+
+// Replaces a profile's categories inside the caller's transaction
+const saveCategories = async (connection, modelId, categories) => {
+    await connection.query('DELETE FROM model_categories WHERE model_id = ?', [modelId]);
+    if (categories.length > 0) {
+        await connection.query('INSERT INTO model_categories (model_id, category) VALUES ?', [categories.map(category => [modelId, category])]);
+    }
+};
+
+// Adds a `categories` array to each profile row
+const attachCategories = async (profiles) => {
+    if (profiles.length === 0) return profiles;
+    const [rows] = await db.query('SELECT model_id, category FROM model_categories WHERE model_id IN (?)', [profiles.map(profile => profile.id)]);
+    profiles.forEach(profile => {
+        profile.categories = rows.filter(row => row.model_id === profile.id).map(row => row.category);
+    });
+    return profiles;
+};
+
+// ===== CATALOGUE ROUTES =====
+const MAX_PAGE_SIZE = 100;
+const modelSortOptions = {
+    newest: 'm.created_at DESC',
+    oldest: 'm.created_at ASC',
+    name: 'm.name ASC'
+};
+
+// Reads ?page and ?limit, clamping them to sane bounds
+const parsePagination = (query, defaultLimit = 24) => {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), MAX_PAGE_SIZE);
+    return { page, limit, offset: (page - 1) * limit };
+};
+
+const paginated = (items, total, { page, limit }) => ({
+    items,
+    total,
+    page,
+    limit,
+    hasMore: page * limit < total
+});
+
+// Builds the WHERE clause for catalogue profile searches from the request query string.
+// gender, category, city, availability, hair_colour and eye_colour accept comma-separated (or repeated)
+// values and match any of them.
+const buildModelFilters = (query) => {
+    // Profiles stay out of the catalogue until their owner has verified their email, and while their account is deactivated or disabled
+    const conditions = ['u.email_verified_at IS NOT NULL', activeAccountCondition()];
+    const params = [];
+    const { q, role, created_after: createdAfter } = query;
+
+    if (q) {
+        conditions.push('(m.name LIKE ? OR m.bio LIKE ?)');
+        params.push(`%${q}%`, `%${q}%`);
+    }
+    if (role) {
+        if (!['model', 'photographer'].includes(role)) throw badRequest('Role must be model or photographer.');
+        conditions.push('u.role = ?');
+        params.push(role);
+    }
+    if (createdAfter) {
+        const date = new Date(createdAfter);
+        if (Number.isNaN(date.getTime())) throw badRequest('created_after must be a valid date.');
+        conditions.push('m.created_at >= ?');
+        params.push(date);
+    }
+
+    const listFilters = [
+        ['gender', 'm.gender'], ['city', 'm.city'], ['availability', 'm.availability'],
+        ['hair_colour', 'm.hair_colour'], ['eye_colour', 'm.eye_colour']
+    ];
+    for (const [param, column] of listFilters) {
+        const values = toList(query[param]);
+        if (values.length === 0) continue;
+        conditions.push(`${column} IN (?)`);
+        params.push(values);
+    }
+    const categories = toList(query.category);
+    if (categories.length > 0) {
+        conditions.push('m.id IN (SELECT model_id FROM model_categories WHERE category IN (?))');
+        params.push(categories);
+    }
+    if (query.willing_to_travel === 'true') {
+        conditions.push('m.willing_to_travel = 1');
+    }
+    if (query.has_video === 'true') {
+        conditions.push('m.sample_video_url IS NOT NULL');
+    }
+    for (const [param, operator] of [['min_height', '>='], ['max_height', '<=']]) {
+        if (query[param] === undefined || query[param] === '') continue;
+        const height = Number(query[param]);
+        if (!Number.isFinite(height)) throw badRequest(`${param} must be a number.`);
+        conditions.push(`m.height_cm ${operator} ?`);
+        params.push(height);
+    }
+
+    return { where: `WHERE ${conditions.join(' AND ')}`, params };
+};
+
+// Search profiles: ?q, ?role, ?gender, ?created_after, ?category, ?city, ?availability, ?hair_colour, ?eye_colour,
+// ?willing_to_travel, ?has_video, ?min_height, ?max_height, ?sort=newest|oldest|name, ?page, ?limit
+app.get('/api/models', verifyToken, restrictTo('recruiter', 'admin'), async (req, res) => {
+  try {
+    const { where, params } = buildModelFilters(req.query);
+    const sort = req.query.sort || 'newest';
+    if (!modelSortOptions[sort]) throw badRequest('Invalid sort option.');
+    const pagination = parsePagination(req.query);
+
+    const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM models m JOIN users u ON m.user_id = u.id ${where}`, params);
+    const query = `SELECT m.*, u.role FROM models m JOIN users u ON m.user_id = u.id ${where} ORDER BY ${modelSortOptions[sort]}, m.id DESC LIMIT ? OFFSET ?`;
+    const [results] = await db.query(query, [...params, pagination.limit, pagination.offset]);
+    res.json(paginated(await attachCategories(results), total, pagination));
+  } catch (error) {
+    console.error('Error fetching models:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to fetch models.' });
+  }
+});
+
+// Height buckets offered by the height facet, in cm
+const heightBuckets = [
+    { value: 'under-160', min: null, max: 159 },
+    { value: '160-169', min: 160, max: 169 },
+    { value: '170-179', min: 170, max: 179 },
+    { value: '180-189', min: 180, max: 189 },
+    { value: '190-plus', min: 190, max: null }
+];
+
+// Each facet is counted with every active filter applied except its own, so the sidebar
+// shows how many results picking another value would give. `params` lists the query keys it owns.
+const modelFacets = {
+    gender: { params: ['gender'], value: 'm.gender' },
+    category: { params: ['category'], value: 'mc.category', join: 'JOIN model_categories mc ON mc.model_id = m.id' },
+    city: { params: ['city'], value: 'm.city', limit: 15 },
+    availability: { params: ['availability'], value: 'm.availability' },
+    has_video: { params: ['has_video'], value: 'm.sample_video_url IS NOT NULL' },
+    height: {
+        params: ['min_height', 'max_height'],
+        value: `CASE ${heightBuckets.map(bucket => `WHEN m.height_cm ${bucket.max === null ? `>= ${bucket.min}` : `<= ${bucket.max}`} THEN '${bucket.value}'`).join(' ')} END`
+    }
+};
+
+// Live facet counts for the catalogue sidebar. Accepts the same filters as GET /api/models.
+app.get('/api/models/facets', verifyToken, restrictTo('recruiter', 'admin'), async (req, res) => {
+    try {
+        const { where, params } = buildModelFilters(req.query);
+        const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM models m JOIN users u ON m.user_id = u.id ${where}`, params);
+
+        const facets = {};
+        for (const [name, facet] of Object.entries(modelFacets)) {
+            const otherFilters = { ...req.query };
+            facet.params.forEach(param => delete otherFilters[param]);
+            const filters = buildModelFilters(otherFilters);
+            const conditions = [filters.where, `${facet.value} IS NOT NULL`].join(' AND ');
+            const [rows] = await db.query(
+                `SELECT ${facet.value} AS value, COUNT(DISTINCT m.id) AS count
+                 FROM models m JOIN users u ON m.user_id = u.id ${facet.join || ''}
+                 ${conditions}
+                 GROUP BY value ORDER BY count DESC ${facet.limit ? `LIMIT ${facet.limit}` : ''}`,
+                filters.params
+            );
+            facets[name] = rows;
+        }
+
+        facets.has_video = facets.has_video.map(row => ({ value: Boolean(row.value), count: row.count }));
+        facets.height = heightBuckets
+            .map(bucket => ({ ...bucket, count: (facets.height.find(row => row.value === bucket.value) || { count: 0 }).count }));
+
+        res.json({ total, facets });
+    } catch (error) {
+        console.error('Error fetching facets:', error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to fetch filters.' });
+    }
+});
+
+// Search editor videos: ?q, ?page, ?limit
+app.get('/api/editors/videos', verifyToken, restrictTo('recruiter', 'admin'), async (req, res) => {
+    try {
+        const { q } = req.query;
+        const where = `WHERE u.email_verified_at IS NOT NULL AND ${activeAccountCondition()}${q ? ' AND (e.title LIKE ? OR e.description LIKE ? OR u.name LIKE ?)' : ''}`;
+        const params = q ? [`%${q}%`, `%${q}%`, `%${q}%`] : [];
+        const pagination = parsePagination(req.query);
+
+        const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM editor_uploads e JOIN users u ON e.user_id = u.id ${where}`, params);
+        const query = `SELECT e.id, e.title, e.description, e.video_url, e.created_at, u.name as editor_name, u.id as user_id FROM editor_uploads e JOIN users u ON e.user_id = u.id ${where} ORDER BY e.created_at DESC, e.id DESC LIMIT ? OFFSET ?`;
+        const [videos] = await db.query(query, [...params, pagination.limit, pagination.offset]);
+        res.json(paginated(videos, total, pagination));
+    } catch (error) {
+        console.error('Error fetching editor videos:', error);
+        res.status(500).json({ message: 'Failed to fetch editor videos.' });
+    }
+});
+
+// ===== PROFILE ROUTES =====
+
+// Create initial model/photographer profile
+app.post(
+    '/api/models', 
+    verifyToken, 
+    fileUploader.fields([
+        { name: 'mainImage', maxCount: 1 },
+        { name: 'galleryImages', maxCount: 8 },
+        { name: 'sampleVideo', maxCount: 1 }
+    ]),
+    discardUploadsOnFailure,
+    async (req, res) => {
+        const { name, gender, bio, portfolio, instagram_id, role } = req.body;
+        const user_id = req.user.id;
+
+        const mainImageFile = req.files.mainImage ? req.files.mainImage[0] : null;
+        const sampleVideoFile = req.files.sampleVideo ? req.files.sampleVideo[0] : null;
+        const galleryImageFiles = req.files.galleryImages || [];
+
+        // Validation
+        if (!mainImageFile || !mainImageFile.mimetype.startsWith('image/')) {
+            return res.status(400).json({ message: 'A valid main profile image is required.' });
+        }
+        if (sampleVideoFile && !sampleVideoFile.mimetype.startsWith('video/')) {
+            return res.status(400).json({ message: 'The sample work must be a valid video file.' });
+        }
+        if (['model', 'photographer'].includes(role) && galleryImageFiles.length < 4) {
+            return res.status(400).json({ message: 'A minimum of 4 gallery images are required at signup.' });
+        }
+        if (!name || !gender || !bio) {
+            return res.status(400).json({ message: 'Name, gender, and bio are required.' });
+        }
+
+        let talent;
+        try {
+            talent = parseTalentAttributes(req.body);
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+        const { attributes, categories } = talent;
+
+        const mainImage = mainImageFile.url;
+        const sampleVideo = sampleVideoFile ? sampleVideoFile.url : null;
+        
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+            const [result] = await connection.query(
+                'INSERT INTO models SET ?',
+                [{ name, gender, bio, portfolio, instagram_id, image: mainImage, sample_video_url: sampleVideo, user_id, ...attributes }]
+            );
+            const modelId = result.insertId;
+            await saveCategories(connection, modelId, categories);
+
+            // Add all uploaded images to the gallery
+            const galleryValues = galleryImageFiles.map(file => [modelId, file.url]);
+            if (galleryValues.length > 0) {
+                 await connection.query('INSERT INTO model_images (model_id, image_url) VALUES ?', [galleryValues]);
+            }
+            await recordAudit(connection, requestActor(req), {
+                action: 'profile.create',
+                targetType: 'profile',
+                targetId: modelId,
+                targetLabel: name,
+                after: { name, gender, image: mainImage, sample_video_url: sampleVideo, gallery: galleryImageFiles.length }
+            });
+            
+            await connection.commit();
+            res.status(201).json({ message: 'Profile created successfully!' });
+        } catch (error) {
+            await connection.rollback();
+            console.error(error);
+            res.status(500).json({ message: 'Failed to create profile.' });
+        } finally {
+            connection.release();
+        }
+    }
+);
+
+// Fetch the logged-in user's own profile
+app.get('/api/models/my-profile', verifyToken, async (req, res) => {
+    try {
+        const [profileRows] = await db.query('SELECT * FROM models WHERE user_id = ?', [req.user.id]);
+        if (profileRows.length === 0) return res.status(404).json({ message: 'Profile not found.' });
+        const profile = profileRows[0];
+        const [galleryRows] = await db.query('SELECT id, image_url FROM model_images WHERE model_id = ?', [profile.id]);
+        profile.gallery = galleryRows;
+        await attachCategories([profile]);
+        res.json(profile);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error fetching profile.' });
+    }
+});
+
+// Update profile TEXT details and structured attributes
+app.put('/api/models/my-profile', verifyToken, async (req, res) => {
+    const connection = await db.getConnection();
+    try {
+        const { name, gender, bio, portfolio, instagram_id } = req.body;
+        const { attributes, categories } = parseTalentAttributes(req.body);
+        await connection.beginTransaction();
+        const [modelRows] = await connection.query('SELECT * FROM models WHERE user_id = ? FOR UPDATE', [req.user.id]);
+        if (modelRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Profile not found.' });
+        }
+        const profile = modelRows[0];
+        const changes = { name, gender, bio, portfolio, instagram_id, ...attributes };
+        const [categoryRows] = await connection.query('SELECT category FROM model_categories WHERE model_id = ? ORDER BY category', [profile.id]);
+        await connection.query('UPDATE models SET ? WHERE id = ?', [changes, profile.id]);
+        await saveCategories(connection, profile.id, categories);
+        await recordAudit(connection, requestActor(req), {
+            action: 'profile.update',
+            targetType: 'profile',
+            targetId: profile.id,
+            targetLabel: name,
+            before: {
+                ...Object.fromEntries(Object.keys(changes).map(key => [key, profile[key] ?? null])),
+                categories: categoryRows.map(row => row.category)
+            },
+            after: { ...changes, categories: [...categories].sort() },
+            diff: true
+        });
+        await connection.commit();
+        res.json({ message: 'Profile details updated successfully.' });
+    } catch (error) {
+        await connection.rollback();
+        console.error(error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to update profile details.' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Upload NEW gallery images
+app.post('/api/models/my-profile/gallery', verifyToken, imageUpload.array('galleryImages', 8), discardUploadsOnFailure, async (req, res) => {
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [modelRows] = await connection.query('SELECT id FROM models WHERE user_id = ?', [req.user.id]);
+        if (modelRows.length === 0) throw new Error('Profile not found.');
+        const modelId = modelRows[0].id;
+        const [existingImages] = await connection.query('SELECT COUNT(*) as count FROM model_images WHERE model_id = ?', [modelId]);
+        const existingCount = existingImages[0].count;
+        if (existingCount + req.files.length > 8) {
+            throw new Error(`You can only upload ${8 - existingCount} more images. Limit is 8.`);
+        }
+        if (req.files.length === 0) return res.status(400).json({ message: 'No images were uploaded.' });
+        
+        const galleryValues = req.files.map(file => [modelId, file.url]);
+        await connection.query('INSERT INTO model_images (model_id, image_url) VALUES ?', [galleryValues]);
+        await recordAudit(connection, requestActor(req), {
+            action: 'gallery_image.add',
+            targetType: 'profile',
+            targetId: modelId,
+            after: { image_urls: req.files.map(file => file.url) }
+        });
+        await connection.commit();
+        res.status(201).json({ message: `${req.files.length} images uploaded successfully.` });
+    } catch (error) {
+        await connection.rollback();
+        console.error(error);
+        res.status(500).json({ message: error.message || 'Failed to upload images.' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Set an existing gallery image as the main profile image
+app.put('/api/models/my-profile/main-image', verifyToken, async (req, res) => {
+    const connection = await db.getConnection();
+    try {
+        const { imageUrl } = req.body;
+        if (!imageUrl) return res.status(400).json({ message: 'Image URL is required.' });
+        await connection.beginTransaction();
+        const [modelRows] = await connection.query('SELECT id, name, image FROM models WHERE user_id = ? FOR UPDATE', [req.user.id]);
+        if (modelRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Profile not found.' });
+        }
+        const { id: modelId, name, image: previousImage } = modelRows[0];
+        const [imageRows] = await connection.query('SELECT id FROM model_images WHERE model_id = ? AND image_url = ?', [modelId, imageUrl]);
+        if (imageRows.length === 0) {
+            await connection.rollback();
+            return res.status(403).json({ message: 'This image does not belong to your profile.' });
+        }
+        await connection.query('UPDATE models SET image = ? WHERE id = ?', [imageUrl, modelId]);
+        await recordAudit(connection, requestActor(req), {
+            action: 'profile.main_image',
+            targetType: 'profile',
+            targetId: modelId,
+            targetLabel: name,
+            before: { image: previousImage },
+            after: { image: imageUrl },
+            diff: true
+        });
+        await connection.commit();
+        res.json({ message: 'Main profile image updated successfully.' });
+    } catch (error) {
+        await connection.rollback();
+        console.error(error);
+        res.status(500).json({ message: 'Failed to set main image.' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Delete an image from the gallery
+app.delete('/api/models/my-profile/gallery/:imageId', verifyToken, async (req, res) => {
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+        const { imageId } = req.params;
+        const [modelRows] = await connection.query('SELECT id, name, image FROM models WHERE user_id = ?', [req.user.id]);
+        if (modelRows.length === 0) throw new Error('Profile not found.');
+        const { id: modelId, name, image: mainImage } = modelRows[0];
+        const [imageRows] = await connection.query('SELECT image_url FROM model_images WHERE id = ? AND model_id = ?', [imageId, modelId]);
+        if (imageRows.length === 0) throw new Error('Image not found or you do not have permission to delete it.');
+        const imageUrlToDelete = imageRows[0].image_url;
+        if (mainImage === imageUrlToDelete) {
+            throw new Error('Cannot delete the main profile image. Please set a different one first.');
+        }
+        
+        await connection.query('DELETE FROM model_images WHERE id = ?', [imageId]);
+        await queueMediaDeletion(connection, [imageUrlToDelete], 'gallery_image_deleted');
+        await recordAudit(connection, requestActor(req), {
+            action: 'gallery_image.delete',
+            targetType: 'gallery_image',
+            targetId: imageId,
+            targetLabel: name,
+            before: { model_id: modelId, image_url: imageUrlToDelete }
+        });
+        await connection.commit();
+        res.json({ message: 'Image deleted successfully.' });
+    } catch (error) {
+        await connection.rollback();
+        console.error(error);
+        res.status(400).json({ message: error.message || 'Failed to delete image.' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Fetch a specific public profile by user_id or by its public page slug
+app.get('/api/profile/:handle', verifyToken, async (req, res) => {
+    try {
+        const [condition, value] = profileHandleCondition(req.params.handle);
+        const query = `
+            SELECT m.*, u.role, u.email_verified_at IS NOT NULL AS email_verified, u.deactivated_at IS NOT NULL AS deactivated,
+                   u.disabled_at IS NOT NULL AS disabled,
+                   EXISTS (SELECT 1 FROM featured_profiles f WHERE f.model_id = m.id) AS featured
+            FROM models m 
+            JOIN users u ON m.user_id = u.id 
+            WHERE ${condition}
+        `;
+        const [profileRows] = await db.query(query, [value]);
+
+        // Unverified, deactivated and disabled profiles are only visible to their owner and to admins
+        const isHidden = profileRows.length > 0 && (!profileRows[0].email_verified || profileRows[0].deactivated || profileRows[0].disabled) && profileRows[0].user_id !== req.user.id && req.user.role !== 'admin';
+        if (profileRows.length === 0 || isHidden) {
+            return res.status(404).json({ message: 'Profile not found.' });
+        }
+        const profile = profileRows[0];
+
+        const [galleryRows] = await db.query('SELECT id, image_url FROM model_images WHERE model_id = ?', [profile.id]);
+        profile.gallery = galleryRows;
+        await attachCategories([profile]);
+
+        if (['recruiter', 'admin'].includes(req.user.role) && profile.user_id !== req.user.id) {
+            notify(profile.user_id, 'profile_view', {
+                actorId: req.user.id,
+                title: `${await getUserName(req.user.id)} viewed your profile`,
+                onceWithinHours: 24
+            });
+        }
+
+        res.json(profile);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error fetching profile.' });
+    }
+});
+
+// ===== PUBLIC PROFILE PAGES =====
+// Talent can opt in to a page that anyone can open without an account, at /t/<slug> or /profile/<userId>.
+// It always shows the name, role, main image and categories; everything else only when the talent has
+// switched on its group in public_fields.
+const publicFieldGroups = {
+    bio: ['bio'],
+    gender: ['gender'],
+    gallery: [],
+    measurements: ['height_cm', 'bust_cm', 'waist_cm', 'hips_cm', 'shoe_size'],
+    appearance: ['hair_colour', 'eye_colour'],
+    location: ['city', 'willing_to_travel'],
+    availability: ['availability'],
+    portfolio: ['portfolio'],
+    instagram: ['instagram_id'],
+    sample_video: ['sample_video_url']
+};
+// Shown until the talent picks their own
+const defaultPublicFields = ['availability', 'bio', 'gallery'];
+// 3-40 lowercase letters, digits and single hyphens, starting with a letter so a slug never looks like a user id
+const SLUG_PATTERN = /^[a-z](?:-?[a-z0-9])+$/;
+const SLUG_MAX_LENGTH = 40;
+const PUBLIC_PROFILE_REQUESTS_PER_MINUTE = Number(process.env.PUBLIC_PROFILE_REQUESTS_PER_MINUTE || 60);
+
+// Profile URLs carry either a numeric user id or a slug
+const profileHandleCondition = (handle) => (
+    /^\d+$/.test(handle) ? ['m.user_id = ?', Number(handle)] : ['m.slug = ?', String(handle).toLowerCase()]
+);
+
+const publicFieldsOf = (profile) => (Array.isArray(profile.public_fields) ? profile.public_fields : defaultPublicFields);
+
+// Validates the settings sent from the profile page; an empty slug removes it
+const parsePublicPageSettings = (body) => {
+    const slug = String(body.slug || '').trim().toLowerCase() || null;
+    if (slug && (slug.length < 3 || slug.length > SLUG_MAX_LENGTH || !SLUG_PATTERN.test(slug))) {
+        throw badRequest(`Your page address must be 3-${SLUG_MAX_LENGTH} lowercase letters, numbers and single hyphens, starting with a letter.`);
+    }
+    if (!Array.isArray(body.fields)) throw badRequest('Choose which details to show on your public page.');
+    const unknownField = body.fields.find(field => !(field in publicFieldGroups));
+    if (unknownField) throw badRequest(`Unknown profile field: ${unknownField}.`);
+    return { slug, public_profile: body.enabled === true ? 1 : 0, public_fields: [...new Set(body.fields)].sort() };
+};
+
+app.get('/api/public/profiles/:handle', rateLimit({ windowMs: 60 * 1000, max: PUBLIC_PROFILE_REQUESTS_PER_MINUTE }), async (req, res) => {
+    try {
+        const [condition, value] = profileHandleCondition(req.params.handle);
+        // Private, unverified, deactivated and disabled profiles all look as if they don't exist
+        const [[profile]] = await db.query(
+            `SELECT m.*, u.role FROM models m
+             JOIN users u ON m.user_id = u.id
+             WHERE ${condition} AND m.public_profile = 1
+               AND u.email_verified_at IS NOT NULL AND ${activeAccountCondition()}`,
+            [value]
+        );
+        if (!profile) return res.status(404).json({ message: 'Profile not found.' });
+
+        const fields = publicFieldsOf(profile);
+        await attachCategories([profile]);
+        const publicProfile = {
+            user_id: profile.user_id,
+            name: profile.name,
+            role: profile.role,
+            image: profile.image,
+            slug: profile.slug,
+            categories: profile.categories
+        };
+        fields.forEach(group => publicFieldGroups[group].forEach(column => {
+            publicProfile[column] = profile[column];
+        }));
+        if (fields.includes('gallery')) {
+            const [galleryRows] = await db.query('SELECT id, image_url FROM model_images WHERE model_id = ? ORDER BY id', [profile.id]);
+            publicProfile.gallery = galleryRows;
+        }
+        res.json(publicProfile);
+    } catch (error) {
+        console.error('Error fetching public profile:', error);
+        res.status(500).json({ message: 'Server error fetching profile.' });
+    }
+});
+
+// Turns the signed-in talent's public page on or off and sets its address and visible fields
+app.put('/api/models/my-profile/public-page', verifyToken, async (req, res) => {
     const connection = await db.getConnection();
     try {
+        const settings = parsePublicPageSettings(req.body);
         await connection.beginTransaction();
-        const [modelRows] = await connection.query('SELECT id FROM models WHERE user_id = ?', [req.user.id]);
-        if (modelRows.length === 0) throw new Error('Profile not found.');
-        const modelId = modelRows[0].id;
-        const [existingImages] = await connection.query('SELECT COUNT(*) as count FROM model_images WHERE model_id = ?', [modelId]);
-        const existingCount = existingImages[0].count;
-        if (existingCount + req.files.length > 8) {
-            throw new Error(`You can only upload ${8 - existingCount} more images. Limit is 8.`);
+        const [[profile]] = await connection.query(
+            'SELECT id, name, slug, public_profile, public_fields FROM models WHERE user_id = ? FOR UPDATE',
+            [req.user.id]
+        );
+        if (!profile) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Profile not found.' });
         }
-        if (req.files.length === 0) return res.status(400).json({ message: 'No images were uploaded.' });
-        
-        // Store Cloudinary URLs instead of filenames
-        const galleryValues = req.files.map(file => [modelId, file.path]);
-        await connection.query('INSERT INTO model_images (model_id, image_url) VALUES ?', [galleryValues]);
+        if (settings.slug) {
+            const [taken] = await connection.query('SELECT id FROM models WHERE slug = ? AND id != ?', [settings.slug, profile.id]);
+            if (taken.length > 0) {
+                await connection.rollback();
+                return res.status(409).json({ message: 'That page address is already taken. Please choose another.' });
+            }
+        }
+        await connection.query(
+            'UPDATE models SET slug = ?, public_profile = ?, public_fields = ? WHERE id = ?',
+            [settings.slug, settings.public_profile, JSON.stringify(settings.public_fields), profile.id]
+        );
+        await recordAudit(connection, requestActor(req), {
+            action: 'profile.public_page',
+            targetType: 'profile',
+            targetId: profile.id,
+            targetLabel: profile.name,
+            before: { slug: profile.slug, public_profile: profile.public_profile, public_fields: publicFieldsOf(profile) },
+            after: settings,
+            diff: true
+        });
         await connection.commit();
-        res.status(201).json({ message: `${req.files.length} images uploaded successfully.` });
+        res.json({ message: settings.public_profile ? 'Your public page is live.' : 'Your public page settings were saved.', ...settings });
     } catch (error) {
         await connection.rollback();
-        // Clean up uploaded files from Cloudinary on error
-        if (req.files && req.files.length > 0) {
-            for (const file of req.files) {
-                try {
-                    const publicId = extractPublicId(file.path);
-                    if (publicId) {
-                        await deleteFromCloudinary(publicId);
-                    }
-                } catch (cleanupError) {
-                    console.error('Error cleaning up Cloudinary file:', cleanupError);
-                }
-            }
+        // Two talent claiming the same slug at once: the unique index turns the second one away
+        if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ message: 'That page address is already taken. Please choose another.' });
+        console.error('Error updating public page settings:', error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to update your public page settings.' });
+    } finally {
+        connection.release();
+    }
+});
+
+// ===== FEATURED TALENT =====
+// The Home page's featured talent, shown to everyone including visitors without an account. Unexpired
+// admin pins come first, in the order set in the admin content panel; the remaining places rotate daily
+// through the other public profiles with a main image. Only public profiles are ever listed.
+const FEATURED_PROFILE_COUNT = Number(process.env.FEATURED_PROFILE_COUNT || 6);
+
+// Pins and testimonials are reordered by sending every id in the new order
+const parseOrder = (ids) => {
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => Number.isInteger(id) && id > 0)) {
+        throw badRequest('Send the ids in their new order.');
+    }
+    if (new Set(ids).size !== ids.length) throw badRequest('Each id may only appear once.');
+    return ids;
+};
+
+// An empty value means the pin never expires
+const parsePinExpiry = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const expiresAt = new Date(value);
+    if (Number.isNaN(expiresAt.getTime())) throw badRequest('The expiry must be a valid date.');
+    if (expiresAt <= new Date()) throw badRequest('The expiry must be in the future.');
+    return expiresAt;
+};
+
+app.get('/api/featured', rateLimit({ windowMs: 60 * 1000, max: PUBLIC_PROFILE_REQUESTS_PER_MINUTE }), async (req, res) => {
+    try {
+        // Hashing the id with the date gives an order that is stable for a day and different the next
+        const rotationSeed = new Date().toISOString().slice(0, 10);
+        const [profiles] = await db.query(
+            `SELECT m.id, m.user_id, m.name, m.image, m.slug, m.city, m.public_fields, u.role, f.model_id IS NOT NULL AS pinned
+             FROM models m
+             JOIN users u ON m.user_id = u.id
+             LEFT JOIN featured_profiles f ON f.model_id = m.id AND (f.expires_at IS NULL OR f.expires_at > NOW())
+             WHERE m.public_profile = 1 AND m.image IS NOT NULL
+               AND u.email_verified_at IS NOT NULL AND ${activeAccountCondition()}
+             ORDER BY pinned DESC, f.position, f.created_at DESC, MD5(CONCAT(m.id, ':', ?))
+             LIMIT ?`,
+            [rotationSeed, FEATURED_PROFILE_COUNT]
+        );
+        await attachCategories(profiles);
+
+        res.json(profiles.map(profile => ({
+            user_id: profile.user_id,
+            name: profile.name,
+            role: profile.role,
+            image: profile.image,
+            slug: profile.slug,
+            // The city is part of the location group, which the talent may have kept private
+            city: publicFieldsOf(profile).includes('location') ? profile.city : null,
+            categories: profile.categories,
+            pinned: !!profile.pinned
+        })));
+    } catch (error) {
+        console.error('Error fetching featured profiles:', error);
+        res.status(500).json({ message: 'Failed to fetch featured talent.' });
+    }
+});
+
+// Every pin for the admin content panel, expired ones included, in display order
+app.get('/api/featured/pins', verifyToken, restrictTo('admin'), async (req, res) => {
+    try {
+        const [pins] = await db.query(
+            `SELECT f.model_id, f.position, f.expires_at, f.created_at, f.expires_at IS NOT NULL AND f.expires_at <= NOW() AS expired,
+                    m.user_id, m.name, m.image, m.slug, m.public_profile, fu.name AS featured_by_name
+             FROM featured_profiles f
+             JOIN models m ON f.model_id = m.id
+             LEFT JOIN users fu ON f.featured_by = fu.id
+             ORDER BY f.position, f.created_at DESC`
+        );
+        res.json(pins);
+    } catch (error) {
+        console.error('Error fetching featured pins:', error);
+        res.status(500).json({ message: 'Failed to fetch featured pins.' });
+    }
+});
+
+// Pins a profile to the featured talent, after the existing pins
+app.post('/api/featured', verifyToken, restrictTo('admin'), async (req, res) => {
+    try {
+        const modelId = Number(req.body.model_id);
+        const expiresAt = parsePinExpiry(req.body.expires_at);
+        const [[profile]] = await db.query('SELECT id, name, public_profile FROM models WHERE id = ?', [modelId]);
+        if (!profile) return res.status(404).json({ message: 'Profile not found.' });
+        if (!profile.public_profile) {
+            return res.status(400).json({ message: 'Only profiles with a public page can be featured.' });
+        }
+
+        const [result] = await db.query(
+            `INSERT IGNORE INTO featured_profiles (model_id, featured_by, position, expires_at)
+             SELECT ?, ?, COALESCE(MAX(position) + 1, 0), ? FROM featured_profiles`,
+            [modelId, req.user.id, expiresAt]
+        );
+        if (result.affectedRows === 0) return res.status(409).json({ message: `${profile.name} is already featured.` });
+
+        await recordAudit(db, requestActor(req), {
+            action: 'profile.feature',
+            targetType: 'profile',
+            targetId: modelId,
+            targetLabel: profile.name,
+            after: { expires_at: expiresAt }
+        });
+        res.status(201).json({ message: `${profile.name} is now featured on the Home page.` });
+    } catch (error) {
+        console.error('Error featuring profile:', error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to feature the profile.' });
+    }
+});
+
+app.put('/api/featured/order', verifyToken, restrictTo('admin'), async (req, res) => {
+    const connection = await db.getConnection();
+    try {
+        const modelIds = parseOrder(req.body.model_ids);
+        await connection.beginTransaction();
+        const [pins] = await connection.query('SELECT model_id FROM featured_profiles ORDER BY position, created_at DESC FOR UPDATE');
+        if (pins.length !== modelIds.length || pins.some(pin => !modelIds.includes(pin.model_id))) {
+            await connection.rollback();
+            return res.status(409).json({ message: 'The pins have changed since you loaded them. Please refresh and try again.' });
+        }
+        for (const [position, modelId] of modelIds.entries()) {
+            await connection.query('UPDATE featured_profiles SET position = ? WHERE model_id = ?', [position, modelId]);
+        }
+        await recordAudit(connection, requestActor(req), {
+            action: 'featured.reorder',
+            targetType: 'content',
+            targetLabel: 'featured talent',
+            before: { order: pins.map(pin => pin.model_id) },
+            after: { order: modelIds }
+        });
+        await connection.commit();
+        res.json({ message: 'Featured talent reordered.' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error reordering featured pins:', error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to reorder the featured talent.' });
+    } finally {
+        connection.release();
+    }
+});
+
+// Changes when a pin expires; an expired pin stays listed in the panel until it is renewed or removed
+app.put('/api/featured/:modelId', verifyToken, restrictTo('admin'), async (req, res) => {
+    try {
+        const modelId = Number(req.params.modelId);
+        const expiresAt = parsePinExpiry(req.body.expires_at);
+        const [[pin]] = await db.query(
+            'SELECT f.expires_at, m.name FROM featured_profiles f JOIN models m ON f.model_id = m.id WHERE f.model_id = ?',
+            [modelId]
+        );
+        if (!pin) return res.status(404).json({ message: 'That profile is not pinned.' });
+
+        await db.query('UPDATE featured_profiles SET expires_at = ? WHERE model_id = ?', [expiresAt, modelId]);
+        await recordAudit(db, requestActor(req), {
+            action: 'profile.feature_update',
+            targetType: 'profile',
+            targetId: modelId,
+            targetLabel: pin.name,
+            before: { expires_at: pin.expires_at },
+            after: { expires_at: expiresAt },
+            diff: true
+        });
+        res.json({ message: expiresAt ? `${pin.name}'s pin expiry was updated.` : `${pin.name} stays featured until unpinned.` });
+    } catch (error) {
+        console.error('Error updating featured pin:', error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to update the pin.' });
+    }
+});
+
+// Unpins a profile; it can still come up in the daily rotation
+app.delete('/api/featured/:modelId', verifyToken, restrictTo('admin'), async (req, res) => {
+    try {
+        const modelId = Number(req.params.modelId);
+        const [result] = await db.query('DELETE FROM featured_profiles WHERE model_id = ?', [modelId]);
+        if (result.affectedRows === 0) return res.status(404).json({ message: 'That profile is not pinned.' });
+
+        const [[profile]] = await db.query('SELECT name FROM models WHERE id = ?', [modelId]);
+        await recordAudit(db, requestActor(req), {
+            action: 'profile.unfeature',
+            targetType: 'profile',
+            targetId: modelId,
+            targetLabel: profile?.name
+        });
+        res.json({ message: 'The profile is no longer pinned to the Home page.' });
+    } catch (error) {
+        console.error('Error unfeaturing profile:', error);
+        res.status(500).json({ message: 'Failed to unpin the profile.' });
+    }
+});
+
+// ===== SITE CONTENT =====
+// Editable Home page copy and testimonials. Each site_content key holds one JSON document; a key that has
+// never been saved serves its default below. `fields` gives each field's maximum length.
+const siteContentSections = {
+    hero: {
+        fields: { title: 120, highlight: 60, subtitle: 400 },
+        defaults: {
+            title: 'Where Talent Meets Opportunity',
+            // Part of the title shown in the accent colour
+            highlight: 'Meets',
+            subtitle: 'The premier destination for models to showcase their portfolio and for recruiters to discover the next face of their campaign.'
+        }
+    }
+};
+const TESTIMONIAL_QUOTE_MAX_LENGTH = 600;
+
+const parseSiteContent = (section, body) => {
+    const content = {};
+    for (const [field, maxLength] of Object.entries(siteContentSections[section].fields)) {
+        content[field] = String(body[field] || '').trim();
+        if (content[field].length > maxLength) throw badRequest(`The ${field} may be at most ${maxLength} characters.`);
+    }
+    if (!content.title) throw badRequest('A title is required.');
+    if (content.highlight && !content.title.includes(content.highlight)) {
+        throw badRequest('The highlighted text must be part of the title.');
+    }
+    return content;
+};
+
+const parseTestimonial = (body) => {
+    const testimonial = {
+        quote: String(body.quote || '').trim(),
+        name: String(body.name || '').trim(),
+        role: String(body.role || '').trim() || null
+    };
+    if (!testimonial.quote || !testimonial.name) throw badRequest('A testimonial needs a quote and a name.');
+    if (testimonial.quote.length > TESTIMONIAL_QUOTE_MAX_LENGTH) {
+        throw badRequest(`Quotes may be at most ${TESTIMONIAL_QUOTE_MAX_LENGTH} characters.`);
+    }
+    if (testimonial.name.length > 255 || (testimonial.role && testimonial.role.length > 255)) {
+        throw badRequest('Names and roles may be at most 255 characters.');
+    }
+    return testimonial;
+};
+
+const getSiteContent = async () => {
+    const [rows] = await db.query('SELECT content_key, content FROM site_content WHERE content_key IN (?)', [Object.keys(siteContentSections)]);
+    const content = {};
+    Object.entries(siteContentSections).forEach(([section, { defaults }]) => {
+        const row = rows.find(item => item.content_key === section);
+        content[section] = { ...defaults, ...(row ? row.content : {}) };
+    });
+    return content;
+};
+
+// Everything the Home page shows apart from the featured talent, for every visitor
+app.get('/api/content', rateLimit({ windowMs: 60 * 1000, max: PUBLIC_PROFILE_REQUESTS_PER_MINUTE }), async (req, res) => {
+    try {
+        const [testimonials] = await db.query('SELECT id, quote, name, role FROM testimonials ORDER BY position, id');
+        res.json({ ...(await getSiteContent()), testimonials });
+    } catch (error) {
+        console.error('Error fetching site content:', error);
+        res.status(500).json({ message: 'Failed to fetch site content.' });
+    }
+});
+
+app.put('/api/content/testimonials/order', verifyToken, restrictTo('admin'), async (req, res) => {
+    const connection = await db.getConnection();
+    try {
+        const ids = parseOrder(req.body.ids);
+        await connection.beginTransaction();
+        const [testimonials] = await connection.query('SELECT id FROM testimonials ORDER BY position, id FOR UPDATE');
+        if (testimonials.length !== ids.length || testimonials.some(testimonial => !ids.includes(testimonial.id))) {
+            await connection.rollback();
+            return res.status(409).json({ message: 'The testimonials have changed since you loaded them. Please refresh and try again.' });
+        }
+        for (const [position, id] of ids.entries()) {
+            await connection.query('UPDATE testimonials SET position = ? WHERE id = ?', [position, id]);
+        }
+        await recordAudit(connection, requestActor(req), {
+            action: 'testimonial.reorder',
+            targetType: 'content',
+            targetLabel: 'testimonials',
+            before: { order: testimonials.map(testimonial => testimonial.id) },
+            after: { order: ids }
+        });
+        await connection.commit();
+        res.json({ message: 'Testimonials reordered.' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error reordering testimonials:', error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to reorder the testimonials.' });
+    } finally {
+        connection.release();
+    }
+});
+
+app.put('/api/content/:section', verifyToken, restrictTo('admin'), async (req, res) => {
+    const { section } = req.params;
+    if (!siteContentSections[section]) return res.status(404).json({ message: 'Unknown content section.' });
+    const connection = await db.getConnection();
+    try {
+        const content = parseSiteContent(section, req.body);
+        await connection.beginTransaction();
+        const [[row]] = await connection.query('SELECT content FROM site_content WHERE content_key = ? FOR UPDATE', [section]);
+        await connection.query(
+            `INSERT INTO site_content (content_key, content, updated_by) VALUES (?, ?, ?)
+             ON DUPLICATE KEY UPDATE content = VALUES(content), updated_by = VALUES(updated_by)`,
+            [section, JSON.stringify(content), req.user.id]
+        );
+        await recordAudit(connection, requestActor(req), {
+            action: 'content.update',
+            targetType: 'content',
+            targetLabel: section,
+            before: { ...siteContentSections[section].defaults, ...(row ? row.content : {}) },
+            after: content,
+            diff: true
+        });
+        await connection.commit();
+        res.json({ message: 'Content saved.', content });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error saving site content:', error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to save the content.' });
+    } finally {
+        connection.release();
+    }
+});
+
+// New testimonials go to the end of the list
+app.post('/api/content/testimonials', verifyToken, restrictTo('admin'), async (req, res) => {
+    try {
+        const testimonial = parseTestimonial(req.body);
+        const [result] = await db.query(
+            `INSERT INTO testimonials (quote, name, role, position)
+             SELECT ?, ?, ?, COALESCE(MAX(position) + 1, 0) FROM testimonials`,
+            [testimonial.quote, testimonial.name, testimonial.role]
+        );
+        await recordAudit(db, requestActor(req), {
+            action: 'testimonial.create',
+            targetType: 'testimonial',
+            targetId: result.insertId,
+            targetLabel: testimonial.name,
+            after: testimonial
+        });
+        res.status(201).json({ message: 'Testimonial added.', id: result.insertId });
+    } catch (error) {
+        console.error('Error adding testimonial:', error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to add the testimonial.' });
+    }
+});
+
+app.put('/api/content/testimonials/:testimonialId', verifyToken, restrictTo('admin'), async (req, res) => {
+    const connection = await db.getConnection();
+    try {
+        const testimonial = parseTestimonial(req.body);
+        const testimonialId = Number(req.params.testimonialId);
+        await connection.beginTransaction();
+        const [[before]] = await connection.query('SELECT quote, name, role FROM testimonials WHERE id = ? FOR UPDATE', [testimonialId]);
+        if (!before) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Testimonial not found.' });
+        }
+        await connection.query('UPDATE testimonials SET quote = ?, name = ?, role = ? WHERE id = ?', [testimonial.quote, testimonial.name, testimonial.role, testimonialId]);
+        await recordAudit(connection, requestActor(req), {
+            action: 'testimonial.update',
+            targetType: 'testimonial',
+            targetId: testimonialId,
+            targetLabel: testimonial.name,
+            before,
+            after: testimonial,
+            diff: true
+        });
+        await connection.commit();
+        res.json({ message: 'Testimonial updated.' });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Error updating testimonial:', error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to update the testimonial.' });
+    } finally {
+        connection.release();
+    }
+});
+
+app.delete('/api/content/testimonials/:testimonialId', verifyToken, restrictTo('admin'), async (req, res) => {
+    try {
+        const testimonialId = Number(req.params.testimonialId);
+        const [[testimonial]] = await db.query('SELECT quote, name, role FROM testimonials WHERE id = ?', [testimonialId]);
+        if (!testimonial) return res.status(404).json({ message: 'Testimonial not found.' });
+
+        await db.query('DELETE FROM testimonials WHERE id = ?', [testimonialId]);
+        await recordAudit(db, requestActor(req), {
+            action: 'testimonial.delete',
+            targetType: 'testimonial',
+            targetId: testimonialId,
+            targetLabel: testimonial.name,
+            before: testimonial
+        });
+        res.json({ message: 'Testimonial deleted.' });
+    } catch (error) {
+        console.error('Error deleting testimonial:', error);
+        res.status(500).json({ message: 'Failed to delete the testimonial.' });
+    }
+});
+
+// ===== EDITOR ROUTES =====
+app.post('/api/editor/upload', verifyToken, restrictTo('editor'), videoUpload.single('video'), discardUploadsOnFailure, async (req, res) => {
+    try {
+        const { title, description } = req.body;
+        const videoFile = req.file;
+        const userId = req.user.id;
+        if (!title || !description || !videoFile) {
+            return res.status(400).json({ message: 'Video file, title, and description are required.' });
+        }
+        
+        const [result] = await db.query('INSERT INTO editor_uploads (user_id, title, description, video_url) VALUES (?, ?, ?, ?)', [userId, title, description, videoFile.url]);
+        await recordAudit(db, requestActor(req), {
+            action: 'video.upload',
+            targetType: 'video',
+            targetId: result.insertId,
+            targetLabel: title,
+            after: { title, description, video_url: videoFile.url }
+        });
+        res.status(201).json({ message: 'Video uploaded successfully!' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error during video upload.' });
+    }
+});
+
+app.get('/api/editor/my-videos', verifyToken, restrictTo('editor'), async (req, res) => {
+    try {
+        const [videos] = await db.query('SELECT * FROM editor_uploads WHERE user_id = ? ORDER BY created_at DESC', [req.user.id]);
+        res.json(videos);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Failed to fetch your videos.' });
+    }
+});
+
+app.delete('/api/editor/videos/:videoId', verifyToken, restrictTo('editor'), async (req, res) => {
+    const connection = await db.getConnection();
+    try {
+        const { videoId } = req.params;
+        const userId = req.user.id;
+        await connection.beginTransaction();
+        const [videos] = await connection.query('SELECT title, description, video_url FROM editor_uploads WHERE id = ? AND user_id = ? FOR UPDATE', [videoId, userId]);
+        if (videos.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Video not found or you do not have permission to delete it.' });
         }
+        
+        // Queued first: a queued file is kept for as long as a row still references it
+        await queueMediaDeletion(connection, [videos[0].video_url], 'video_deleted');
+        await connection.query('DELETE FROM editor_uploads WHERE id = ?', [videoId]);
+        await recordAudit(connection, requestActor(req), {
+            action: 'video.delete',
+            targetType: 'video',
+            targetId: videoId,
+            targetLabel: videos[0].title,
+            before: videos[0]
+        });
+        await connection.commit();
+
+        res.json({ message: 'Video deleted successfully.' });
+    } catch (error) {
+        await connection.rollback();
         console.error(error);
-        res.status(500).json({ message: error.message || 'Failed to upload images.' });
+        res.status(500).json({ message: 'Failed to delete video.' });
     } finally {
         connection.release();
     }
 });
 
-// Set an existing gallery image as the main profile image
-app.put('/api/models/my-profile/main-image', verifyToken, async (req, res) => {
+// ===== SHORTLIST ROUTES (for Recruiters) =====
+// A shortlist item points at either a model/photographer profile (model_id) or an editor video (video_id)
+const shortlistStatuses = ['considering', 'contacted', 'booked', 'rejected'];
+
+// Returns the shortlist only if it belongs to the given recruiter
+const findOwnShortlist = async (shortlistId, recruiterId) => {
+    const [rows] = await db.query('SELECT id, name FROM shortlists WHERE id = ? AND recruiter_id = ?', [shortlistId, recruiterId]);
+    return rows[0] || null;
+};
+
+// List the recruiter's shortlists together with the talent on them
+app.get('/api/shortlists', verifyToken, restrictTo('recruiter', 'admin'), async (req, res) => {
     try {
-        const { imageUrl } = req.body;
-        if (!imageUrl) return res.status(400).json({ message: 'Image URL is required.' });
-        const [modelRows] = await db.query('SELECT id FROM models WHERE user_id = ?', [req.user.id]);
+        const [shortlists] = await db.query('SELECT id, name, created_at FROM shortlists WHERE recruiter_id = ? ORDER BY created_at ASC', [req.user.id]);
+        const query = `
+            SELECT si.id, si.shortlist_id, si.model_id, si.video_id, si.note, si.status, si.created_at AS added_at,
+                   COALESCE(m.name, e.title) AS name, m.gender, m.image, e.video_url,
+                   COALESCE(m.user_id, e.user_id) AS user_id, u.name AS user_name, u.role
+            FROM shortlist_items si
+            JOIN shortlists s ON si.shortlist_id = s.id
+            LEFT JOIN models m ON si.model_id = m.id
+            LEFT JOIN editor_uploads e ON si.video_id = e.id
+            JOIN users u ON u.id = COALESCE(m.user_id, e.user_id)
+            WHERE s.recruiter_id = ?
+            ORDER BY si.created_at DESC
+        `;
+        const [items] = await db.query(query, [req.user.id]);
+        res.json(shortlists.map(list => ({
+            ...list,
+            items: items.filter(item => item.shortlist_id === list.id)
+        })));
+    } catch (error) {
+        console.error('Error fetching shortlists:', error);
+        res.status(500).json({ message: 'Failed to fetch shortlists.' });
+    }
+});
+
+// Create a new named shortlist
+app.post('/api/shortlists', verifyToken, restrictTo('recruiter', 'admin'), async (req, res) => {
+    try {
+        const name = (req.body.name || '').trim();
+        if (!name) return res.status(400).json({ message: 'Shortlist name is required.' });
+        const [result] = await db.query('INSERT INTO shortlists (recruiter_id, name) VALUES (?, ?)', [req.user.id, name]);
+        res.status(201).json({ id: result.insertId, name, items: [] });
+    } catch (error) {
+        console.error('Error creating shortlist:', error);
+        res.status(500).json({ message: 'Failed to create shortlist.' });
+    }
+});
+
+// Rename a shortlist
+app.put('/api/shortlists/:shortlistId', verifyToken, restrictTo('recruiter', 'admin'), async (req, res) => {
+    try {
+        const name = (req.body.name || '').trim();
+        if (!name) return res.status(400).json({ message: 'Shortlist name is required.' });
+        const shortlist = await findOwnShortlist(req.params.shortlistId, req.user.id);
+        if (!shortlist) return res.status(404).json({ message: 'Shortlist not found.' });
+        await db.query('UPDATE shortlists SET name = ? WHERE id = ?', [name, shortlist.id]);
+        res.json({ message: 'Shortlist renamed successfully.' });
+    } catch (error) {
+        console.error('Error renaming shortlist:', error);
+        res.status(500).json({ message: 'Failed to rename shortlist.' });
+    }
+});
+
+// Delete a shortlist and everything on it
+app.delete('/api/shortlists/:shortlistId', verifyToken, restrictTo('recruiter', 'admin'), async (req, res) => {
+    try {
+        const shortlist = await findOwnShortlist(req.params.shortlistId, req.user.id);
+        if (!shortlist) return res.status(404).json({ message: 'Shortlist not found.' });
+        await db.query('DELETE FROM shortlists WHERE id = ?', [shortlist.id]);
+        res.json({ message: 'Shortlist deleted successfully.' });
+    } catch (error) {
+        console.error('Error deleting shortlist:', error);
+        res.status(500).json({ message: 'Failed to delete shortlist.' });
+    }
+});
+
+// Add a profile or an editor video to a shortlist
+app.post('/api/shortlists/:shortlistId/items', verifyToken, restrictTo('recruiter', 'admin'), async (req, res) => {
+    try {
+        const { modelId, videoId, note, status = 'considering' } = req.body;
+        if ((modelId && videoId) || (!modelId && !videoId)) return res.status(400).json({ message: 'Provide either a profile ID or a video ID.' });
+        if (!shortlistStatuses.includes(status)) return res.status(400).json({ message: 'Invalid shortlist status.' });
+        const shortlist = await findOwnShortlist(req.params.shortlistId, req.user.id);
+        if (!shortlist) return res.status(404).json({ message: 'Shortlist not found.' });
+
+        const [targetRows] = modelId
+            ? await db.query('SELECT id, user_id FROM models WHERE id = ?', [modelId])
+            : await db.query('SELECT id, user_id, title FROM editor_uploads WHERE id = ?', [videoId]);
+        if (targetRows.length === 0) return res.status(404).json({ message: modelId ? 'Profile not found.' : 'Video not found.' });
+
+        const [existing] = await db.query(
+            `SELECT id FROM shortlist_items WHERE shortlist_id = ? AND ${modelId ? 'model_id' : 'video_id'} = ?`,
+            [shortlist.id, modelId || videoId]
+        );
+        if (existing.length > 0) return res.status(409).json({ message: 'This talent is already on the shortlist.' });
+
+        const [result] = await db.query(
+            'INSERT INTO shortlist_items (shortlist_id, model_id, video_id, note, status) VALUES (?, ?, ?, ?, ?)',
+            [shortlist.id, modelId || null, videoId || null, note || null, status]
+        );
+        const recruiterName = await getUserName(req.user.id);
+        notify(targetRows[0].user_id, 'shortlist', {
+            actorId: req.user.id,
+            title: modelId ? `${recruiterName} added you to a shortlist` : `${recruiterName} shortlisted your video "${targetRows[0].title}"`
+        });
+        res.status(201).json({ id: result.insertId, message: 'Added to shortlist.' });
+    } catch (error) {
+        console.error('Error adding to shortlist:', error);
+        res.status(500).json({ message: 'Failed to add to shortlist.' });
+    }
+});
+
+// Update the recruiter note and status of a shortlist item
+app.put('/api/shortlists/:shortlistId/items/:itemId', verifyToken, restrictTo('recruiter', 'admin'), async (req, res) => {
+    try {
+        const { note, status } = req.body;
+        if (status && !shortlistStatuses.includes(status)) return res.status(400).json({ message: 'Invalid shortlist status.' });
+        const shortlist = await findOwnShortlist(req.params.shortlistId, req.user.id);
+        if (!shortlist) return res.status(404).json({ message: 'Shortlist not found.' });
+        const [itemRows] = await db.query('SELECT id, note, status FROM shortlist_items WHERE id = ? AND shortlist_id = ?', [req.params.itemId, shortlist.id]);
+        if (itemRows.length === 0) return res.status(404).json({ message: 'Shortlist item not found.' });
+        const item = itemRows[0];
+        await db.query(
+            'UPDATE shortlist_items SET note = ?, status = ? WHERE id = ?',
+            [note !== undefined ? note : item.note, status || item.status, item.id]
+        );
+        res.json({ message: 'Shortlist item updated.' });
+    } catch (error) {
+        console.error('Error updating shortlist item:', error);
+        res.status(500).json({ message: 'Failed to update shortlist item.' });
+    }
+});
+
+// Remove an item from a shortlist
+app.delete('/api/shortlists/:shortlistId/items/:itemId', verifyToken, restrictTo('recruiter', 'admin'), async (req, res) => {
+    try {
+        const shortlist = await findOwnShortlist(req.params.shortlistId, req.user.id);
+        if (!shortlist) return res.status(404).json({ message: 'Shortlist not found.' });
+        await db.query('DELETE FROM shortlist_items WHERE id = ? AND shortlist_id = ?', [req.params.itemId, shortlist.id]);
+        res.json({ message: 'Removed from shortlist.' });
+    } catch (error) {
+        console.error('Error removing from shortlist:', error);
+        res.status(500).json({ message: 'Failed to remove from shortlist.' });
+    }
+});
+
+// ===== BOOKING ROUTES =====
+// A recruiter sends a booking request to a talent profile. The talent can accept, decline or counter
+// with new terms; a counter goes back to the recruiter, who can accept it, decline it, counter again
+// or cancel. Every transition is recorded in booking_events together with the terms at that point.
+const bookingTransitions = {
+    talent: {
+        pending: { accept: 'accepted', decline: 'declined', counter: 'countered' }
+    },
+    recruiter: {
+        pending: { cancel: 'cancelled' },
+        countered: { accept: 'accepted', decline: 'declined', counter: 'pending', cancel: 'cancelled' },
+        accepted: { cancel: 'cancelled' }
+    }
+};
+
+const bookingActionMessages = {
+    accept: 'Booking accepted.',
+    decline: 'Booking declined.',
+    counter: 'Counter-offer sent.',
+    cancel: 'Booking cancelled.'
+};
+
+// Completes "<name> ..." in the notification the other party receives
+const bookingNotificationTitles = {
+    accept: 'accepted your booking',
+    decline: 'declined your booking',
+    counter: 'sent a counter-offer on your booking',
+    cancel: 'cancelled your booking'
+};
+
+const isoDatePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validates the dates, location and rate of a request or counter-offer
+const parseBookingTerms = (body) => {
+    const { startDate, endDate } = body;
+    if (!isoDatePattern.test(startDate || '') || Number.isNaN(Date.parse(startDate))) throw badRequest('A valid start date is required.');
+    if (!isoDatePattern.test(endDate || '') || Number.isNaN(Date.parse(endDate))) throw badRequest('A valid end date is required.');
+    if (startDate < new Date().toISOString().slice(0, 10)) throw badRequest('The start date cannot be in the past.');
+    if (endDate < startDate) throw badRequest('The end date cannot be before the start date.');
+
+    const location = (body.location || '').trim();
+    if (!location) throw badRequest('Location is required.');
+    if (location.length > 255) throw badRequest('Location must be 255 characters or fewer.');
+
+    const rate = Number(body.rate);
+    if (body.rate === '' || body.rate === undefined || body.rate === null || !Number.isFinite(rate) || rate <= 0 || rate >= 1e8) {
+        throw badRequest('Rate must be a positive amount.');
+    }
+
+    return { start_date: startDate, end_date: endDate, location, rate: Math.round(rate * 100) / 100 };
+};
+
+const bookingColumns = `
+    b.id, b.recruiter_id, b.model_id, DATE_FORMAT(b.start_date, '%Y-%m-%d') AS start_date,
+    DATE_FORMAT(b.end_date, '%Y-%m-%d') AS end_date, b.location, b.rate, b.brief, b.status, b.created_at, b.updated_at,
+    m.name AS talent_name, m.image AS talent_image, m.user_id AS talent_user_id, u.name AS recruiter_name
+`;
+
+// Bookings the user sent (as a recruiter) or received (as talent), newest activity first
+app.get('/api/bookings', verifyToken, async (req, res) => {
+    try {
+        const [bookings] = await db.query(
+            `SELECT ${bookingColumns}
+             FROM bookings b
+             JOIN models m ON b.model_id = m.id
+             JOIN users u ON u.id = b.recruiter_id
+             WHERE b.recruiter_id = ? OR m.user_id = ?
+             ORDER BY b.updated_at DESC`,
+            [req.user.id, req.user.id]
+        );
+        if (bookings.length === 0) return res.json([]);
+
+        const [events] = await db.query(
+            `SELECT e.id, e.booking_id, e.status, DATE_FORMAT(e.start_date, '%Y-%m-%d') AS start_date,
+                    DATE_FORMAT(e.end_date, '%Y-%m-%d') AS end_date, e.location, e.rate, e.note, e.created_at,
+                    e.actor_id, u.name AS actor_name
+             FROM booking_events e
+             JOIN users u ON u.id = e.actor_id
+             WHERE e.booking_id IN (?)
+             ORDER BY e.created_at ASC, e.id ASC`,
+            [bookings.map(booking => booking.id)]
+        );
+
+        res.json(bookings.map(booking => {
+            const side = booking.recruiter_id === req.user.id ? 'recruiter' : 'talent';
+            return {
+                ...booking,
+                side,
+                actions: Object.keys(bookingTransitions[side][booking.status] || {}),
+                history: events.filter(event => event.booking_id === booking.id)
+            };
+        }));
+    } catch (error) {
+        console.error('Error fetching bookings:', error);
+        res.status(500).json({ message: 'Failed to fetch bookings.' });
+    }
+});
+
+// Send a booking request to a model or photographer profile
+app.post('/api/bookings', verifyToken, restrictTo('recruiter', 'admin'), async (req, res) => {
+    const connection = await db.getConnection();
+    try {
+        const { modelId } = req.body;
+        const brief = (req.body.brief || '').trim();
+        const terms = parseBookingTerms(req.body);
+        if (!brief) throw badRequest('Please include a brief describing the job.');
+
+        const [modelRows] = await connection.query(
+            `SELECT m.id, m.user_id FROM models m JOIN users u ON m.user_id = u.id WHERE m.id = ? AND ${activeAccountCondition()}`,
+            [modelId]
+        );
         if (modelRows.length === 0) return res.status(404).json({ message: 'Profile not found.' });
-        const modelId = modelRows[0].id;
-        const [imageRows] = await db.query('SELECT id FROM model_images WHERE model_id = ? AND image_url = ?', [modelId, imageUrl]);
-        if (imageRows.length === 0) return res.status(403).json({ message: 'This image does not belong to your profile.' });
-        await db.query('UPDATE models SET image = ? WHERE id = ?', [imageUrl, modelId]);
-        res.json({ message: 'Main profile image updated successfully.' });
+        if (modelRows[0].user_id === req.user.id) throw badRequest('You cannot book your own profile.');
+
+        await connection.beginTransaction();
+        const [result] = await connection.query(
+            'INSERT INTO bookings SET ?',
+            [{ recruiter_id: req.user.id, model_id: modelId, brief, status: 'pending', ...terms }]
+        );
+        await connection.query(
+            'INSERT INTO booking_events SET ?',
+            [{ booking_id: result.insertId, actor_id: req.user.id, status: 'pending', ...terms }]
+        );
+        await connection.commit();
+        pushToUsers([req.user.id, modelRows[0].user_id], 'booking:updated', { bookingId: result.insertId, status: 'pending' });
+        notify(modelRows[0].user_id, 'booking', {
+            actorId: req.user.id,
+            title: `${await getUserName(req.user.id)} sent you a booking request`,
+            body: `${terms.start_date} · ${terms.location}`,
+            link: '/profile'
+        });
+        res.status(201).json({ id: result.insertId, message: 'Booking request sent.' });
     } catch (error) {
-        console.error(error);
-        res.status(500).json({ message: 'Failed to set main image.' });
+        await connection.rollback();
+        console.error('Error creating booking:', error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to send booking request.' });
+    } finally {
+        connection.release();
     }
 });
 
-// Delete an image from the gallery
-app.delete('/api/models/my-profile/gallery/:imageId', verifyToken, async (req, res) => {
+// Accept, decline, counter or cancel a booking. A counter-offer carries new dates, location and rate.
+app.put('/api/bookings/:bookingId', verifyToken, async (req, res) => {
     const connection = await db.getConnection();
     try {
+        const { action } = req.body;
+        const note = (req.body.note || '').trim() || null;
+        if (!Object.keys(bookingActionMessages).includes(action)) throw badRequest('Invalid booking action.');
+
         await connection.beginTransaction();
-        const { imageId } = req.params;
-        const [modelRows] = await connection.query('SELECT id, image FROM models WHERE user_id = ?', [req.user.id]);
-        if (modelRows.length === 0) throw new Error('Profile not found.');
-        const { id: modelId, image: mainImage } = modelRows[0];
-        const [imageRows] = await connection.query('SELECT image_url FROM model_images WHERE id = ? AND model_id = ?', [imageId, modelId]);
-        if (imageRows.length === 0) throw new Error('Image not found or you do not have permission to delete it.');
-        const imageUrlToDelete = imageRows[0].image_url;
-        if (mainImage === imageUrlToDelete) {
-            throw new Error('Cannot delete the main profile image. Please set a different one first.');
+        const [bookingRows] = await connection.query(
+            `SELECT b.id, b.recruiter_id, b.status, DATE_FORMAT(b.start_date, '%Y-%m-%d') AS start_date,
+                    DATE_FORMAT(b.end_date, '%Y-%m-%d') AS end_date, b.location, b.rate, m.user_id AS talent_user_id
+             FROM bookings b
+             JOIN models m ON b.model_id = m.id
+             WHERE b.id = ? AND (b.recruiter_id = ? OR m.user_id = ?)
+             FOR UPDATE`,
+            [req.params.bookingId, req.user.id, req.user.id]
+        );
+        if (bookingRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ message: 'Booking not found.' });
         }
-        
-        await connection.query('DELETE FROM model_images WHERE id = ?', [imageId]);
-        
-        // Delete from Cloudinary
-        try {
-            const publicId = extractPublicId(imageUrlToDelete);
-            if (publicId) {
-                await deleteFromCloudinary(publicId);
-            }
-        } catch (cloudinaryError) {
-            console.error('Error deleting from Cloudinary:', cloudinaryError);
-            // Continue anyway since DB deletion was successful
+        const booking = bookingRows[0];
+        const side = booking.recruiter_id === req.user.id ? 'recruiter' : 'talent';
+        const nextStatus = (bookingTransitions[side][booking.status] || {})[action];
+        if (!nextStatus) {
+            await connection.rollback();
+            return res.status(409).json({ message: `You cannot ${action} a booking that is ${booking.status}.` });
         }
-        
+
+        const terms = action === 'counter'
+            ? parseBookingTerms(req.body)
+            : { start_date: booking.start_date, end_date: booking.end_date, location: booking.location, rate: booking.rate };
+        await connection.query('UPDATE bookings SET ? WHERE id = ?', [{ status: nextStatus, ...terms }, booking.id]);
+        await connection.query(
+            'INSERT INTO booking_events SET ?',
+            [{ booking_id: booking.id, actor_id: req.user.id, status: nextStatus, note, ...terms }]
+        );
         await connection.commit();
-        res.json({ message: 'Image deleted successfully.' });
+        pushToUsers([booking.recruiter_id, booking.talent_user_id], 'booking:updated', { bookingId: booking.id, status: nextStatus });
+        notify(side === 'recruiter' ? booking.talent_user_id : booking.recruiter_id, 'booking', {
+            actorId: req.user.id,
+            title: `${await getUserName(req.user.id)} ${bookingNotificationTitles[action]}`,
+            body: note,
+            link: '/profile'
+        });
+        res.json({ status: nextStatus, message: bookingActionMessages[action] });
     } catch (error) {
         await connection.rollback();
-        console.error(error);
-        res.status(400).json({ message: error.message || 'Failed to delete image.' });
+        console.error('Error updating booking:', error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to update booking.' });
     } finally {
         connection.release();
     }
 });
 
-// Fetch a specific public profile by user_id
-app.get('/api/profile/:userId', verifyToken, async (req, res) => {
+// ===== MESSAGING ROUTES =====
+// Conversations are between exactly two users, at least one of them a recruiter or admin.
+// pair_key ("<lower id>:<higher id>") keeps a single thread per pair; unread counts are
+// derived from each participant's last_read_message_id.
+const MAX_MESSAGE_LENGTH = 5000;
+const conversationPairKey = (userA, userB) => [userA, userB].sort((a, b) => a - b).join(':');
+
+// Returns the conversation only if the user takes part in it
+const findOwnConversation = async (conversationId, userId) => {
+    const [rows] = await db.query(
+        'SELECT conversation_id AS id, last_read_message_id FROM conversation_participants WHERE conversation_id = ? AND user_id = ?',
+        [conversationId, userId]
+    );
+    return rows[0] || null;
+};
+
+const parseMessageBody = (body) => {
+    const text = (body || '').trim();
+    if (!text) throw badRequest('Message cannot be empty.');
+    if (text.length > MAX_MESSAGE_LENGTH) throw badRequest(`Messages must be ${MAX_MESSAGE_LENGTH} characters or fewer.`);
+    return text;
+};
+
+// Stores a message and marks it as read for its sender
+const insertMessage = async (connection, conversationId, senderId, body) => {
+    const [result] = await connection.query(
+        'INSERT INTO messages (conversation_id, sender_id, body) VALUES (?, ?, ?)',
+        [conversationId, senderId, body]
+    );
+    await connection.query('UPDATE conversations SET last_message_at = CURRENT_TIMESTAMP WHERE id = ?', [conversationId]);
+    await connection.query(
+        'UPDATE conversation_participants SET last_read_message_id = ? WHERE conversation_id = ? AND user_id = ?',
+        [result.insertId, conversationId, senderId]
+    );
+    const [rows] = await connection.query('SELECT id, conversation_id, sender_id, body, created_at FROM messages WHERE id = ?', [result.insertId]);
+    return rows[0];
+};
+
+// Delivers a new message to both participants, including the sender's other open tabs
+const pushNewMessage = async (message) => {
+    const [participants] = await db.query('SELECT user_id FROM conversation_participants WHERE conversation_id = ?', [message.conversation_id]);
+    pushToUsers(participants.map(participant => participant.user_id), 'message:new', { message });
+};
+
+// The user's threads with the other participant, the latest message and the unread count
+app.get('/api/conversations', verifyToken, async (req, res) => {
     try {
-        const { userId } = req.params;
         const query = `
-            SELECT m.*, u.role 
-            FROM models m 
-            JOIN users u ON m.user_id = u.id 
-            WHERE m.user_id = ?
+            SELECT c.id, c.last_message_at, c.created_at,
+                   other.user_id AS other_user_id, u.name AS other_name, u.role AS other_role, m.image AS other_image,
+                   last.body AS last_message, last.sender_id AS last_sender_id,
+                   (SELECT COUNT(*) FROM messages unread
+                    WHERE unread.conversation_id = c.id AND unread.sender_id != me.user_id
+                      AND unread.id > COALESCE(me.last_read_message_id, 0)) AS unread_count
+            FROM conversation_participants me
+            JOIN conversations c ON c.id = me.conversation_id
+            JOIN conversation_participants other ON other.conversation_id = c.id AND other.user_id != me.user_id
+            JOIN users u ON u.id = other.user_id
+            LEFT JOIN models m ON m.user_id = other.user_id
+            LEFT JOIN messages last ON last.id = (SELECT MAX(id) FROM messages WHERE conversation_id = c.id)
+            WHERE me.user_id = ?
+            ORDER BY COALESCE(c.last_message_at, c.created_at) DESC
         `;
-        const [profileRows] = await db.query(query, [userId]);
+        const [conversations] = await db.query(query, [req.user.id]);
+        res.json(conversations);
+    } catch (error) {
+        console.error('Error fetching conversations:', error);
+        res.status(500).json({ message: 'Failed to fetch conversations.' });
+    }
+});
 
-        if (profileRows.length === 0) {
-            return res.status(404).json({ message: 'Profile not found.' });
-        }
-        const profile = profileRows[0];
+// Open (or reuse) the conversation with another user, optionally sending a first message
+app.post('/api/conversations', verifyToken, async (req, res) => {
+    const connection = await db.getConnection();
+    try {
+        const otherUserId = Number(req.body.userId);
+        if (!otherUserId || otherUserId === req.user.id) throw badRequest('Choose someone else to message.');
+        const body = req.body.body ? parseMessageBody(req.body.body) : null;
 
-        const [galleryRows] = await db.query('SELECT id, image_url FROM model_images WHERE model_id = ?', [profile.id]);
-        profile.gallery = galleryRows;
+        const [userRows] = await connection.query(`SELECT id, role FROM users WHERE id = ? AND ${activeAccountCondition('users')}`, [otherUserId]);
+        if (userRows.length === 0) return res.status(404).json({ message: 'User not found.' });
+        if (![req.user.role, userRows[0].role].some(role => ['recruiter', 'admin'].includes(role))) {
+            return res.status(403).json({ message: 'Messaging is only available between recruiters and talent.' });
+        }
 
-        res.json(profile);
+        await connection.beginTransaction();
+        const pairKey = conversationPairKey(req.user.id, otherUserId);
+        await connection.query('INSERT IGNORE INTO conversations (pair_key) VALUES (?)', [pairKey]);
+        const [conversationRows] = await connection.query('SELECT id FROM conversations WHERE pair_key = ?', [pairKey]);
+        const conversationId = conversationRows[0].id;
+        await connection.query(
+            'INSERT IGNORE INTO conversation_participants (conversation_id, user_id) VALUES ?',
+            [[[conversationId, req.user.id], [conversationId, otherUserId]]]
+        );
+        const message = body ? await insertMessage(connection, conversationId, req.user.id, body) : null;
+        await connection.commit();
+        if (message) pushNewMessage(message).catch(err => console.error('Error pushing message:', err));
+        res.status(201).json({ id: conversationId, message });
     } catch (error) {
-        console.error(error);
-        res.status(500).json({ message: 'Server error fetching profile.' });
+        await connection.rollback();
+        console.error('Error starting conversation:', error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to start conversation.' });
+    } finally {
+        connection.release();
     }
 });
 
-// ===== EDITOR ROUTES =====
-app.post('/api/editor/upload', verifyToken, restrictTo('editor'), videoUpload.single('video'), async (req, res) => {
+// Messages in a thread, oldest first. `before` pages back through history and `after` fetches
+// anything newer than the last message the client has.
+app.get('/api/conversations/:conversationId/messages', verifyToken, async (req, res) => {
     try {
-        const { title, description } = req.body;
-        const videoFile = req.file;
-        const userId = req.user.id;
-        if (!title || !description || !videoFile) {
-            return res.status(400).json({ message: 'Video file, title, and description are required.' });
+        const conversation = await findOwnConversation(req.params.conversationId, req.user.id);
+        if (!conversation) return res.status(404).json({ message: 'Conversation not found.' });
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 30, 1), MAX_PAGE_SIZE);
+        const before = parseInt(req.query.before, 10);
+        const after = parseInt(req.query.after, 10);
+
+        let query = 'SELECT id, conversation_id, sender_id, body, created_at FROM messages WHERE conversation_id = ?';
+        const params = [conversation.id];
+        if (after) {
+            query += ' AND id > ? ORDER BY id ASC LIMIT ?';
+            params.push(after, limit + 1);
+        } else {
+            if (before) {
+                query += ' AND id < ?';
+                params.push(before);
+            }
+            query += ' ORDER BY id DESC LIMIT ?';
+            params.push(limit + 1);
         }
-        
-        // Store Cloudinary URL instead of filename
-        await db.query('INSERT INTO editor_uploads (user_id, title, description, video_url) VALUES (?, ?, ?, ?)', [userId, title, description, videoFile.path]);
-        res.status(201).json({ message: 'Video uploaded successfully!' });
+        const [rows] = await db.query(query, params);
+        const hasMore = rows.length > limit;
+        const items = rows.slice(0, limit);
+        res.json({ items: after ? items : items.reverse(), hasMore });
     } catch (error) {
-        console.error(error);
-        res.status(500).json({ message: 'Server error during video upload.' });
+        console.error('Error fetching messages:', error);
+        res.status(500).json({ message: 'Failed to fetch messages.' });
     }
 });
 
-app.get('/api/editor/my-videos', verifyToken, restrictTo('editor'), async (req, res) => {
+// Send a message in an existing thread
+app.post('/api/conversations/:conversationId/messages', verifyToken, async (req, res) => {
+    const connection = await db.getConnection();
     try {
-        const [videos] = await db.query('SELECT * FROM editor_uploads WHERE user_id = ? ORDER BY created_at DESC', [req.user.id]);
-        res.json(videos);
+        const body = parseMessageBody(req.body.body);
+        const conversation = await findOwnConversation(req.params.conversationId, req.user.id);
+        if (!conversation) return res.status(404).json({ message: 'Conversation not found.' });
+        await connection.beginTransaction();
+        const message = await insertMessage(connection, conversation.id, req.user.id, body);
+        await connection.commit();
+        pushNewMessage(message).catch(err => console.error('Error pushing message:', err));
+        res.status(201).json(message);
     } catch (error) {
-        console.error(error);
-        res.status(500).json({ message: 'Failed to fetch your videos.' });
+        await connection.rollback();
+        console.error('Error sending message:', error);
+        res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to send message.' });
+    } finally {
+        connection.release();
     }
 });
 
-app.delete('/api/editor/videos/:videoId', verifyToken, restrictTo('editor'), async (req, res) => {
+// Mark everything in a thread as read
+app.put('/api/conversations/:conversationId/read', verifyToken, async (req, res) => {
     try {
-        const { videoId } = req.params;
-        const userId = req.user.id;
-        const [videos] = await db.query('SELECT video_url FROM editor_uploads WHERE id = ? AND user_id = ?', [videoId, userId]);
-        if (videos.length === 0) {
-            return res.status(404).json({ message: 'Video not found or you do not have permission to delete it.' });
+        const conversation = await findOwnConversation(req.params.conversationId, req.user.id);
+        if (!conversation) return res.status(404).json({ message: 'Conversation not found.' });
+        await db.query(
+            `UPDATE conversation_participants
+             SET last_read_message_id = (SELECT MAX(id) FROM messages WHERE conversation_id = ?)
+             WHERE conversation_id = ? AND user_id = ?`,
+            [conversation.id, conversation.id, req.user.id]
+        );
+        res.json({ message: 'Conversation marked as read.' });
+    } catch (error) {
+        console.error('Error marking conversation as read:', error);
+        res.status(500).json({ message: 'Failed to mark conversation as read.' });
+    }
+});
+
+// Total unread messages across all of the user's threads, for the navbar badge
+app.get('/api/messages/unread-count', verifyToken, async (req, res) => {
+    try {
+        const [rows] = await db.query(
+            `SELECT COUNT(*) AS count
+             FROM messages m
+             JOIN conversation_participants p ON p.conversation_id = m.conversation_id AND p.user_id = ?
+             WHERE m.sender_id != ? AND m.id > COALESCE(p.last_read_message_id, 0)`,
+            [req.user.id, req.user.id]
+        );
+        res.json({ count: rows[0].count });
+    } catch (error) {
+        console.error('Error counting unread messages:', error);
+        res.status(500).json({ message: 'Failed to count unread messages.' });
+    }
+});
+
+// ===== NOTIFICATION ROUTES =====
+// In-app notifications for profile views, shortlists and bookings. Each type can be switched off
+// in notification_preferences, where users can also opt in to a daily email digest of anything
+// they have not read yet.
+const notificationTypes = ['profile_view', 'shortlist', 'booking'];
+const defaultNotificationPreferences = { profile_view: 1, shortlist: 1, booking: 1, email_digest: 0 };
+const DIGEST_HOUR_UTC = Number(process.env.DIGEST_HOUR_UTC || 8);
+
+const getUserName = async (userId) => {
+    const [rows] = await db.query('SELECT name FROM users WHERE id = ?', [userId]);
+    return rows[0] ? rows[0].name : 'Someone';
+};
+
+const getNotificationPreferences = async (userId) => {
+    const [rows] = await db.query(
+        'SELECT profile_view, shortlist, booking, email_digest FROM notification_preferences WHERE user_id = ?',
+        [userId]
+    );
+    return rows[0] || { ...defaultNotificationPreferences };
+};
+
+// Stores a notification and pushes it to the user's open sessions. `onceWithinHours` skips it when
+// the same actor already triggered this type recently. Failures are logged, never thrown, so a
+// notification can't break the request that caused it.
+const notify = async (userId, type, { actorId = null, title, body = null, link = null, onceWithinHours = null }) => {
+    try {
+        const preferences = await getNotificationPreferences(userId);
+        if (!preferences[type]) return;
+        if (onceWithinHours) {
+            const [recent] = await db.query(
+                'SELECT id FROM notifications WHERE user_id = ? AND type = ? AND actor_id = ? AND created_at > NOW() - INTERVAL ? HOUR LIMIT 1',
+                [userId, type, actorId, onceWithinHours]
+            );
+            if (recent.length > 0) return;
         }
-        
-        await db.query('DELETE FROM editor_uploads WHERE id = ?', [videoId]);
-        
-        // Delete from Cloudinary
+        const [result] = await db.query('INSERT INTO notifications SET ?', [{ user_id: userId, actor_id: actorId, type, title, body, link }]);
+        const [rows] = await db.query('SELECT id, type, title, body, link, read_at, created_at FROM notifications WHERE id = ?', [result.insertId]);
+        pushToUsers([userId], 'notification:new', rows[0]);
+    } catch (error) {
+        console.error('Error creating notification:', error);
+    }
+};
+
+// Emails each opted-in user a summary of their unread notifications that were not in an earlier digest
+const sendEmailDigests = async () => {
+    const [rows] = await db.query(`
+        SELECT n.id, n.user_id, n.title, n.body, n.link, n.created_at, u.name, u.email
+        FROM notifications n
+        JOIN notification_preferences p ON p.user_id = n.user_id AND p.email_digest = 1
+        JOIN users u ON u.id = n.user_id
+        -- Only confirmed addresses of accounts that are still in use get digests
+        WHERE n.read_at IS NULL AND n.emailed_at IS NULL
+          AND u.email_verified_at IS NOT NULL AND ${activeAccountCondition()}
+        ORDER BY n.created_at ASC
+    `);
+    const byUser = new Map();
+    rows.forEach(row => {
+        if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+        byUser.get(row.user_id).push(row);
+    });
+
+    let sent = 0;
+    for (const notifications of byUser.values()) {
+        const { name, email } = notifications[0];
+        const lines = notifications.map(n => `- ${n.title}${n.body ? ` (${n.body})` : ''}${n.link ? `\n  ${FRONTEND_URL}${n.link}` : ''}`);
         try {
-            const publicId = extractPublicId(videos[0].video_url);
-            if (publicId) {
-                await deleteFromCloudinary(publicId, 'video');
-            }
-        } catch (cloudinaryError) {
-            console.error('Error deleting video from Cloudinary:', cloudinaryError);
+            await mailer.send({
+                to: email,
+                subject: `You have ${notifications.length} new notification${notifications.length === 1 ? '' : 's'}`,
+                text: `Hi ${name},\n\nHere is what happened since your last digest:\n\n${lines.join('\n')}\n\nManage your email preferences at ${FRONTEND_URL}/settings/notifications\n`
+            });
+            await db.query('UPDATE notifications SET emailed_at = CURRENT_TIMESTAMP WHERE id IN (?)', [notifications.map(n => n.id)]);
+            sent += 1;
+        } catch (error) {
+            console.error(`Error sending digest to ${email}:`, error);
         }
-        
-        res.json({ message: 'Video deleted successfully.' });
+    }
+    return sent;
+};
+
+// Runs the digest once a day at DIGEST_HOUR_UTC
+const scheduleEmailDigests = () => {
+    const runDigest = () => sendEmailDigests()
+        .then(sent => console.log(`✅ Sent ${sent} notification digest(s) via ${mailer.transport} transport`))
+        .catch(err => console.error('❌ Notification digest error:', err));
+    const nextRun = new Date();
+    nextRun.setUTCHours(DIGEST_HOUR_UTC, 0, 0, 0);
+    if (nextRun <= new Date()) nextRun.setUTCDate(nextRun.getUTCDate() + 1);
+    setTimeout(() => {
+        runDigest();
+        setInterval(runDigest, 24 * 60 * 60 * 1000);
+    }, nextRun - new Date());
+};
+
+// Latest notifications for the bell dropdown, with the total unread count
+app.get('/api/notifications', verifyToken, async (req, res) => {
+    try {
+        const pagination = parsePagination(req.query, 20);
+        const [items] = await db.query(
+            'SELECT id, type, title, body, link, read_at, created_at FROM notifications WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?',
+            [req.user.id, pagination.limit, pagination.offset]
+        );
+        const [[counts]] = await db.query(
+            'SELECT COUNT(*) AS total, COALESCE(SUM(read_at IS NULL), 0) AS unread FROM notifications WHERE user_id = ?',
+            [req.user.id]
+        );
+        res.json({ ...paginated(items, counts.total, pagination), unreadCount: Number(counts.unread) });
     } catch (error) {
-        console.error(error);
-        res.status(500).json({ message: 'Failed to delete video.' });
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({ message: 'Failed to fetch notifications.' });
+    }
+});
+
+app.put('/api/notifications/read-all', verifyToken, async (req, res) => {
+    try {
+        await db.query('UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL', [req.user.id]);
+        res.json({ message: 'All notifications marked as read.' });
+    } catch (error) {
+        console.error('Error marking notifications as read:', error);
+        res.status(500).json({ message: 'Failed to mark notifications as read.' });
+    }
+});
+
+app.put('/api/notifications/:notificationId/read', verifyToken, async (req, res) => {
+    try {
+        const [result] = await db.query(
+            'UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP) WHERE id = ? AND user_id = ?',
+            [req.params.notificationId, req.user.id]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ message: 'Notification not found.' });
+        res.json({ message: 'Notification marked as read.' });
+    } catch (error) {
+        console.error('Error marking notification as read:', error);
+        res.status(500).json({ message: 'Failed to mark notification as read.' });
+    }
+});
+
+app.get('/api/notifications/preferences', verifyToken, async (req, res) => {
+    try {
+        const preferences = await getNotificationPreferences(req.user.id);
+        res.json(Object.fromEntries(Object.entries(preferences).map(([key, value]) => [key, !!value])));
+    } catch (error) {
+        console.error('Error fetching notification preferences:', error);
+        res.status(500).json({ message: 'Failed to fetch notification preferences.' });
+    }
+});
+
+// Saves the preferences; keys that are left out keep their current value
+app.put('/api/notifications/preferences', verifyToken, async (req, res) => {
+    try {
+        const current = await getNotificationPreferences(req.user.id);
+        const preferences = {};
+        [...notificationTypes, 'email_digest'].forEach(key => {
+            preferences[key] = req.body[key] === undefined ? current[key] : (req.body[key] ? 1 : 0);
+        });
+        await db.query(
+            'INSERT INTO notification_preferences SET ? ON DUPLICATE KEY UPDATE ?',
+            [{ user_id: req.user.id, ...preferences }, preferences]
+        );
+        res.json({ message: 'Notification preferences saved.' });
+    } catch (error) {
+        console.error('Error saving notification preferences:', error);
+        res.status(500).json({ message: 'Failed to save notification preferences.' });
     }
 });
 
+// ===== Media Cleanup Jobs =====
+const MEDIA_DELETION_INTERVAL_MINUTES = 5;
+// Set MEDIA_RECONCILE_INTERVAL_HOURS=0 to turn off the periodic orphan sweep
+const MEDIA_RECONCILE_INTERVAL_HOURS = Number(process.env.MEDIA_RECONCILE_INTERVAL_HOURS ?? 24);
+
+const scheduleMediaCleanup = () => {
+    const runDeletions = () => processMediaDeletions(db, storage)
+        .then(({ deleted, failed }) => {
+            if (deleted || failed) console.log(`🧹 Deleted ${deleted} media file(s) from ${storage.driver} storage${failed ? `; ${failed} failed and will be retried` : ''}`);
+        })
+        .catch(err => console.error('❌ Media deletion error:', err));
+    const runReconciliation = () => reconcileMedia(db, storage)
+        .then(report => console.log(`🧹 Media reconciliation: ${report.stored} stored, ${report.queued} orphan(s) queued for deletion, ${report.missing.length} referenced but missing`))
+        .catch(err => console.error('❌ Media reconciliation error:', err));
+    setInterval(runDeletions, MEDIA_DELETION_INTERVAL_MINUTES * 60 * 1000);
+    if (MEDIA_RECONCILE_INTERVAL_HOURS > 0) setInterval(runReconciliation, MEDIA_RECONCILE_INTERVAL_HOURS * 60 * 60 * 1000);
+};
+
+// ===== Account Retention Job =====
+const ACCOUNT_PURGE_INTERVAL_MINUTES = 60;
+
+// Deletes accounts whose deletion grace period has run out; returns how many
+const purgeScheduledDeletions = async () => {
+    const [users] = await db.query('SELECT id FROM users WHERE deletion_scheduled_for <= NOW()');
+    for (const { id } of users) {
+        await deleteUserAndMedia(db, id, 'account_purged', { actor: { actorLabel: 'Account retention job' }, action: 'account.purge' });
+        closeUserSockets(id, 'Account deleted.');
+    }
+    return users.length;
+};
+
+const scheduleAccountPurge = () => {
+    const runPurge = () => purgeScheduledDeletions()
+        .then(purged => {
+            if (purged) console.log(`🗑️  Purged ${purged} account(s) past their deletion date`);
+        })
+        .catch(err => console.error('❌ Account purge error:', err));
+    setInterval(runPurge, ACCOUNT_PURGE_INTERVAL_MINUTES * 60 * 1000);
+};
+
 // ===== Global Error Handler =====
 app.use((err, req, res, next) => {
     console.error(err.stack);
     if (err instanceof multer.MulterError) {
         return res.status(400).json({ message: err.message });
  }
+    // e.g. an upload in a format the storage driver doesn't accept
+    if (err.status === 400) {
+        return res.status(400).json({ message: err.message });
+    }
     res.status(500).send('Something broke!');
 });
 
 // ===== Start Server =====
-app.listen(PORT, () => console.log(`✅ Server running on port ${PORT} with Cloudinary integration`));
\ No newline at end of file
+const server = app.listen(PORT, () => console.log(`✅ Server running on port ${PORT} with ${storage.driver} storage and ${mailer.transport} mail`));
+attachRealtime(server);
+scheduleEmailDigests();
+scheduleMediaCleanup();
+scheduleAccountPurge();
\ No newline at end of file
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const cloudinary = require('cloudinary').v2;
+
+// ===== Media Storage Drivers =====
+// Uploaded images and videos are stored by a named driver picked with STORAGE_DRIVER:
+//   cloudinary - uploads to the account in CLOUDINARY_CLOUD_NAME / CLOUDINARY_API_KEY / CLOUDINARY_API_SECRET,
+//                resizing on the way in
+//   local      - writes files under LOCAL_STORAGE_DIR (default ./uploads), which server.js serves at /uploads;
+//                LOCAL_STORAGE_URL is the public address of that route (default http://localhost:PORT/uploads)
+// Without STORAGE_DRIVER, Cloudinary is used when CLOUDINARY_CLOUD_NAME is set and local disk otherwise;
+// when NODE_ENV is production STORAGE_DRIVER is required.
+// Other drivers can be added with registerDriver(name, factory), where the factory returns an object with
+//   save(stream, { kind, originalname }) -> Promise<{ url, size }>   kind is 'image' or 'video'
+//   locate(url) -> the file's key, or null when the URL isn't one this driver stored
+//   remove(key) -> Promise
+//   list() -> async iterable of { key, url, createdAt } for every file the driver has stored
+// and optionally staticDir, a folder server.js should serve at /uploads, and read(key) -> Promise<Readable>
+// for drivers that can read their files without going through the public URL.
+
+const allowedFormats = {
+    image: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
+    video: ['mp4', 'mov', 'avi', 'mkv', 'webm']
+};
+
+// Upload errors that are the client's fault; the global error handler reports them as a 400
+const rejectedUpload = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+const parseUrl = (url) => {
+    try {
+        return new URL(url);
+    } catch {
+        return null;
+    }
+};
+
+const drivers = {
+    cloudinary: () => {
+        cloudinary.config({
+            cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+            api_key: process.env.CLOUDINARY_API_KEY,
+            api_secret: process.env.CLOUDINARY_API_SECRET
+        });
+        const uploadOptions = {
+            image: {
+                folder: 'modelconnect/images',
+                allowed_formats: allowedFormats.image,
+                transformation: [{ width: 1200, height: 1200, crop: 'limit', quality: 'auto' }]
+            },
+            video: {
+                folder: 'modelconnect/videos',
+                resource_type: 'video',
+                allowed_formats: allowedFormats.video,
+                transformation: [{ width: 1280, height: 720, crop: 'limit', quality: 'auto' }]
+            }
+        };
+        return {
+            save: (stream, { kind }) => new Promise((resolve, reject) => {
+                const upload = cloudinary.uploader.upload_stream(uploadOptions[kind], (error, result) => {
+                    if (error) reject(error.http_code === 400 ? rejectedUpload(error.message) : error);
+                    else resolve({ url: result.secure_url, size: result.bytes });
+                });
+                stream.pipe(upload);
+            }),
+            // Delivery URLs look like https://res.cloudinary.com/<cloud>/<image|video>/upload/[<transformations>/]v<version>/<public id>.<ext>
+            locate: (url) => {
+                const parsed = parseUrl(url);
+                if (!parsed || parsed.hostname !== 'res.cloudinary.com') return null;
+                const [cloudName, resourceType, deliveryType, ...rest] = parsed.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+                if (cloudName !== process.env.CLOUDINARY_CLOUD_NAME || deliveryType !== 'upload' || rest.length === 0) return null;
+                const versionIndex = rest.findIndex(segment => /^v\d+$/.test(segment));
+                const publicId = rest.slice(versionIndex + 1).join('/').replace(/\.[^/.]+$/, '');
+                return publicId ? `${resourceType}/${publicId}` : null;
+            },
+            // Keys are <resource type>/<public id>
+            remove: async (key) => {
+                const [resourceType, ...publicId] = key.split('/');
+                const result = await cloudinary.uploader.destroy(publicId.join('/'), { resource_type: resourceType });
+                if (!['ok', 'not found'].includes(result.result)) throw new Error(`Cloudinary could not delete ${key}: ${result.result}`);
+            },
+            list: async function* () {
+                for (const resourceType of ['image', 'video']) {
+                    let nextCursor;
+                    do {
+                        const page = await cloudinary.api.resources({
+                            type: 'upload',
+                            resource_type: resourceType,
+                            prefix: 'modelconnect/',
+                            max_results: 500,
+                            next_cursor: nextCursor
+                        });
+                        for (const resource of page.resources) {
+                            yield { key: `${resourceType}/${resource.public_id}`, url: resource.secure_url, createdAt: new Date(resource.created_at) };
+                        }
+                        nextCursor = page.next_cursor;
+                    } while (nextCursor);
+                }
+            }
+        };
+    },
+    local: () => {
+        const rootDir = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, 'uploads'));
+        const baseUrl = (process.env.LOCAL_STORAGE_URL || `http://localhost:${process.env.PORT || 5000}/uploads`).replace(/\/+$/, '');
+        return {
+            staticDir: rootDir,
+            save: async (stream, { kind, originalname }) => {
+                const extension = path.extname(originalname).slice(1).toLowerCase();
+                if (!allowedFormats[kind].includes(extension)) {
+                    stream.resume();
+                    throw rejectedUpload(`Unsupported ${kind} format. Allowed: ${allowedFormats[kind].join(', ')}.`);
+                }
+                const folder = `${kind}s`;
+                const fileName = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}.${extension}`;
+                const target = path.join(rootDir, folder, fileName);
+                await fs.promises.mkdir(path.dirname(target), { recursive: true });
+                await pipeline(stream, fs.createWriteStream(target));
+                const { size } = await fs.promises.stat(target);
+                return { url: `${baseUrl}/${folder}/${fileName}`, size };
+            },
+            // Keys are paths relative to the storage folder, e.g. images/1700000000000-ab12cd34ef56.jpg
+            locate: (url) => {
+                if (typeof url !== 'string' || !url.startsWith(`${baseUrl}/`)) return null;
+                const relativePath = decodeURIComponent(url.slice(baseUrl.length + 1).split(/[?#]/)[0]);
+                const filePath = path.resolve(rootDir, relativePath);
+                // Never follow a crafted URL outside the storage folder
+                if (!filePath.startsWith(`${rootDir}${path.sep}`)) return null;
+                return path.relative(rootDir, filePath).split(path.sep).join('/');
+            },
+            read: async (key) => {
+                const filePath = path.join(rootDir, key);
+                await fs.promises.access(filePath);
+                return fs.createReadStream(filePath);
+            },
+            remove: async (key) => {
+                try {
+                    await fs.promises.unlink(path.join(rootDir, key));
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                }
+            },
+            // Only the folders save() writes to, so other files kept in the same directory are left alone
+            list: async function* () {
+                for (const folder of ['images', 'videos']) {
+                    let entries;
+                    try {
+                        entries = await fs.promises.readdir(path.join(rootDir, folder), { withFileTypes: true });
+                    } catch (error) {
+                        if (error.code === 'ENOENT') continue;
+                        throw error;
+                    }
+                    for (const entry of entries.filter(item => item.isFile())) {
+                        const key = `${folder}/${entry.name}`;
+                        const { mtime } = await fs.promises.stat(path.join(rootDir, key));
+                        yield { key, url: `${baseUrl}/${key}`, createdAt: mtime };
+                    }
+                }
+            }
+        };
+    }
+};
+
+const registerDriver = (name, factory) => {
+    drivers[name] = factory;
+};
+
+// Returns storage bound to the configured driver. `engine` is a multer storage engine that sends video
+// files to the video store and everything else to the image store, and sets file.url on each upload.
+const configuredDriver = () => {
+    if (process.env.STORAGE_DRIVER) return process.env.STORAGE_DRIVER;
+    // Hosts like Render wipe the local disk on every deploy, so a guessed driver could quietly lose uploads
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('STORAGE_DRIVER must be set in production (e.g. STORAGE_DRIVER=cloudinary).');
+    }
+    const name = process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local';
+    console.warn(`STORAGE_DRIVER is not set; using ${name} storage.`);
+    return name;
+};
+
+const createStorage = (name = configuredDriver()) => {
+    if (!Object.prototype.hasOwnProperty.call(drivers, name)) throw new Error(`Unknown storage driver: ${name}`);
+    const driver = drivers[name]();
+
+    // Deletes a stored file by its URL; returns false for URLs this driver doesn't manage
+    const remove = async (url) => {
+        const key = driver.locate(url);
+        if (!key) return false;
+        await driver.remove(key);
+        return true;
+    };
+
+    // A stream of a file's contents. Anything the driver can't read directly (Cloudinary delivery URLs,
+    // seed media, other hosts) is downloaded from its URL.
+    const open = async (url) => {
+        const key = driver.locate(url);
+        if (key && driver.read) return driver.read(key);
+        const response = await fetch(url, { signal: AbortSignal.timeout(2 * 60 * 1000) });
+        if (!response.ok) throw new Error(`Fetching ${url} failed with status ${response.status}`);
+        return Readable.fromWeb(response.body);
+    };
+
+    return {
+        driver: name,
+        staticDir: driver.staticDir || null,
+        // The driver's key for a URL it stored (null otherwise); two URLs for the same file share a key
+        keyOf: (url) => driver.locate(url),
+        owns: (url) => driver.locate(url) !== null,
+        remove,
+        open,
+        list: () => driver.list(),
+        engine: {
+            _handleFile: (req, file, cb) => {
+                const kind = file.mimetype.startsWith('video/') ? 'video' : 'image';
+                driver.save(file.stream, { kind, originalname: file.originalname })
+                    .then(({ url, size }) => cb(null, { url, size }))
+                    .catch(cb);
+            },
+            // multer calls this for files already stored when a later file in the same request fails
+            _removeFile: (req, file, cb) => {
+                remove(file.url).then(() => cb(null), cb);
+            }
+        }
+    };
+};
+
+module.exports = { createStorage, registerDriver };
@@ -1,6 +1,8 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate, Outlet } from 'react-router-dom';
 import { AuthProvider, useAuth } from './Context/AuthContext';
+import { RealtimeProvider } from './Context/RealtimeContext';
+import { MessagesProvider } from './Context/MessagesContext';
 
 // Import Components and Pages
 import Navbar from './Components/NavBar';
@@ -9,12 +11,18 @@ import Catalogue from './pages/Catalogue';
 import About from './pages/About';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Profile from './pages/Profile';
 import ModelUpload from './pages/ModelUpload';
 import PhotographerUpload from './pages/PhotographerUpload';
 import AdminDashboard from './pages/AdminDashboard'; 
 import PublicProfile from './pages/PublicProfile';
 import EditorUpload from './pages/EditorUpload';
+import RecruiterPanel from './pages/RecruiterPanel';
+import Messages from './pages/Messages';
+import NotificationSettings from './pages/NotificationSettings';
 
 // New Controller to handle which upload page to show
 const UploadController = () => {
@@ -42,42 +50,54 @@ const ProtectedRoute = ({ allowedRoles }) => {
 function App() {
   return (
     <AuthProvider>
-      <Router>
-        <Navbar />
-        <main>
-          <Routes>
-            {/* Public Routes */}
-            <Route path="/" element={<Home />} />
-            <Route path="/about" element={<About />} />
-            <Route path="/login" element={<Login />} />
-            <Route path="/register" element={<Register />} />
-            <Route path="/profile/:userId" element={<PublicProfile />} />
+      <RealtimeProvider>
+        <MessagesProvider>
+          <Router>
+            <Navbar />
+            <main>
+              <Routes>
+                {/* Public Routes */}
+                <Route path="/" element={<Home />} />
+                <Route path="/about" element={<About />} />
+                <Route path="/login" element={<Login />} />
+                <Route path="/register" element={<Register />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/verify-email" element={<VerifyEmail />} />
+                <Route path="/profile/:userId" element={<PublicProfile />} />
+                <Route path="/t/:slug" element={<PublicProfile />} />
 
-            {/* General Protected Routes */}
-            <Route element={<ProtectedRoute />}>
-              <Route path="/profile" element={<Profile />} />
-            </Route>
+                {/* General Protected Routes */}
+                <Route element={<ProtectedRoute />}>
+                  <Route path="/profile" element={<Profile />} />
+                  <Route path="/messages" element={<Messages />} />
+                  <Route path="/messages/:conversationId" element={<Messages />} />
+                  <Route path="/settings/notifications" element={<NotificationSettings />} />
+                </Route>
 
-            {/* CORRECTED: Unified upload route for all creative roles */}
-            <Route element={<ProtectedRoute allowedRoles={['model', 'photographer', 'editor']} />}>
-              <Route path="/upload" element={<UploadController />} />
-            </Route>
+                {/* CORRECTED: Unified upload route for all creative roles */}
+                <Route element={<ProtectedRoute allowedRoles={['model', 'photographer', 'editor']} />}>
+                  <Route path="/upload" element={<UploadController />} />
+                </Route>
             
-            {/* Recruiter & Admin Only Routes */}
-            <Route element={<ProtectedRoute allowedRoles={['recruiter', 'admin']} />}>
-                <Route path="/catalogue" element={<Catalogue />} />
-            </Route>
+                {/* Recruiter & Admin Only Routes */}
+                <Route element={<ProtectedRoute allowedRoles={['recruiter', 'admin']} />}>
+                    <Route path="/catalogue" element={<Catalogue />} />
+                    <Route path="/recruiter" element={<RecruiterPanel />} />
+                </Route>
             
-            {/* Admin Only Routes */}
-            <Route element={<ProtectedRoute allowedRoles={['admin']} />}>
-                <Route path="/admin/dashboard" element={<AdminDashboard />} />
-            </Route>
+                {/* Admin Only Routes */}
+                <Route element={<ProtectedRoute allowedRoles={['admin']} />}>
+                    <Route path="/admin/dashboard" element={<AdminDashboard />} />
+                </Route>
 
-            {/* 404 Not Found Page */}
-            <Route path="*" element={ <div className="text-center mt-20 p-4"> <h1 className="text-4xl font-bold text-pink-500">404</h1> <p className="text-lg text-gray-400">Page Not Found</p> </div> } />
-          </Routes>
-        </main>
-      </Router>
+                {/* 404 Not Found Page */}
+                <Route path="*" element={ <div className="text-center mt-20 p-4"> <h1 className="text-4xl font-bold text-pink-500">404</h1> <p className="text-lg text-gray-400">Page Not Found</p> </div> } />
+              </Routes>
+            </main>
+          </Router>
+        </MessagesProvider>
+      </RealtimeProvider>
     </AuthProvider>
   );
 }
@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { useAuth } from '../Context/AuthContext';
+import { useApi } from '../api/useApi';
+import { Download, EyeOff, Eye, Trash2, Loader, AlertTriangle, CheckCircle } from 'lucide-react';
+
+// Data export, deactivation and deletion for the signed-in user's own account
+const AccountSettings = () => {
+  const [message, setMessage] = useState(null);
+  const [busyAction, setBusyAction] = useState(null);
+  // 'deactivate' or 'delete' while the password prompt for it is open
+  const [confirming, setConfirming] = useState(null);
+  const [password, setPassword] = useState('');
+  const { user, updateUser, logout } = useAuth();
+  const api = useApi();
+
+  const run = async (action, task) => {
+    setBusyAction(action);
+    setMessage(null);
+    try {
+      await task();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleExport = () => run('export', async () => {
+    const res = await api.get('/account/export', { raw: true });
+    const fileName = (res.headers.get('Content-Disposition') || '').match(/filename="?([^"]+)"?/)?.[1] || 'modelconnect-export.zip';
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+    setMessage({ type: 'success', text: 'Your data export has downloaded.' });
+  });
+
+  const handleConfirm = (e) => {
+    e.preventDefault();
+    run(confirming, async () => {
+      const data = await api.post(`/account/${confirming}`, { password });
+      setPassword('');
+      setConfirming(null);
+      if (confirming === 'delete') {
+        // The server has already ended every session; this clears the local one
+        window.alert(data.message);
+        logout();
+        return;
+      }
+      updateUser(data.user);
+      setMessage({ type: 'success', text: data.message });
+    });
+  };
+
+  const handleReactivate = () => run('reactivate', async () => {
+    const data = await api.post('/account/reactivate', {});
+    updateUser(data.user);
+    setMessage({ type: 'success', text: data.message });
+  });
+
+  if (!user) return null;
+
+  return (
+    <section className="p-8">
+      <h3 className="text-lg font-semibold text-gray-700 border-b pb-2 mb-4">Your Account &amp; Data</h3>
+      {message && (
+        <div className={`flex items-center gap-2 p-3 rounded-lg mb-4 text-sm border ${message.type === 'error' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'}`}>
+          {message.type === 'error' ? <AlertTriangle size={16} /> : <CheckCircle size={16} />} {message.text}
+        </div>
+      )}
+      {user.deactivated && (
+        <div className="flex flex-wrap items-center gap-3 p-4 rounded-lg mb-4 bg-yellow-50 border border-yellow-200 text-yellow-800 text-sm">
+          <EyeOff size={20} className="shrink-0" />
+          <p className="flex-1 min-w-[12rem]">
+            {user.deletion_scheduled_for
+              ? <>Your account is scheduled for deletion on <strong>{new Date(user.deletion_scheduled_for).toLocaleDateString()}</strong>. Until then it is hidden, and you can still restore it.</>
+              : 'Your account is deactivated. Your profile and videos are hidden from everyone else.'}
+          </p>
+          <button
+            type="button"
+            onClick={handleReactivate}
+            disabled={busyAction !== null}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg font-semibold bg-yellow-400 hover:bg-yellow-500 text-yellow-900 disabled:opacity-50"
+          >
+            {busyAction === 'reactivate' ? <Loader className="animate-spin" size={16} /> : <Eye size={16} />} {user.deletion_scheduled_for ? 'Restore Account' : 'Reactivate'}
+          </button>
+        </div>
+      )}
+      <div className="flex flex-wrap gap-3">
+        <button
+          type="button"
+          onClick={handleExport}
+          disabled={busyAction !== null}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg font-semibold bg-gray-200 hover:bg-gray-300 text-gray-800 disabled:opacity-50"
+        >
+          {busyAction === 'export' ? <Loader className="animate-spin" size={16} /> : <Download size={16} />} Download My Data
+        </button>
+        {!user.deactivated && (
+          <button
+            type="button"
+            onClick={() => setConfirming('deactivate')}
+            disabled={busyAction !== null}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg font-semibold bg-gray-200 hover:bg-gray-300 text-gray-800 disabled:opacity-50"
+          >
+            <EyeOff size={16} /> Deactivate Account
+          </button>
+        )}
+        {!user.deletion_scheduled_for && (
+          <button
+            type="button"
+            onClick={() => setConfirming('delete')}
+            disabled={busyAction !== null}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg font-semibold bg-red-600 hover:bg-red-700 text-white disabled:opacity-50"
+          >
+            <Trash2 size={16} /> Delete Account
+          </button>
+        )}
+      </div>
+      <p className="text-xs text-gray-500 mt-3">
+        The download is a ZIP of your profile, gallery, videos, messages and bookings. Deleting your account hides it straight away
+        and removes everything permanently after a grace period, during which you can log in and restore it.
+      </p>
+      {confirming && (
+        <form onSubmit={handleConfirm} className="mt-4 p-4 border rounded-xl bg-white space-y-3">
+          <p className="text-sm text-gray-700">
+            {confirming === 'delete'
+              ? 'Enter your password to schedule your account for deletion. You will be signed out everywhere.'
+              : 'Enter your password to deactivate your account. You can reactivate it at any time.'}
+          </p>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            autoComplete="current-password"
+            required
+            className="w-full p-2 border rounded-lg"
+          />
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={busyAction !== null}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg font-semibold bg-red-600 hover:bg-red-700 text-white disabled:opacity-50"
+            >
+              {busyAction === confirming && <Loader className="animate-spin" size={16} />} {confirming === 'delete' ? 'Delete My Account' : 'Deactivate'}
+            </button>
+            <button
+              type="button"
+              onClick={() => { setConfirming(null); setPassword(''); }}
+              className="px-4 py-2 rounded-lg font-semibold bg-gray-200 hover:bg-gray-300 text-gray-800"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </section>
+  );
+};
+
+export default AccountSettings;
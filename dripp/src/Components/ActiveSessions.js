@@ -0,0 +1,127 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../Context/AuthContext';
+import { useApi } from '../api/useApi';
+import { Monitor, Smartphone, LogOut, Loader, AlertTriangle } from 'lucide-react';
+
+const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari']];
+const systems = [['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+// A readable "Chrome on macOS" label from a user agent string
+const describeUserAgent = (userAgent = '') => {
+  const browser = browsers.find(([needle]) => userAgent.includes(needle));
+  const system = systems.find(([needle]) => userAgent.includes(needle));
+  return {
+    label: `${browser ? browser[1] : 'Unknown browser'} on ${system ? system[1] : 'unknown device'}`,
+    isMobile: ['iOS', 'iPadOS', 'Android'].includes(system?.[1])
+  };
+};
+
+// Every device the user is signed in on, with buttons to sign any of them out
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [revokingId, setRevokingId] = useState(null);
+  const { token, logout } = useAuth();
+  const api = useApi();
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      setSessions(await api.get('/sessions'));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    if (token) fetchSessions();
+  }, [token, fetchSessions]);
+
+  const revokeSession = async (session) => {
+    if (session.current) {
+      if (window.confirm('Sign out of this device?')) logout();
+      return;
+    }
+    setRevokingId(session.id);
+    try {
+      await api.delete(`/sessions/${session.id}`);
+      setSessions(prev => prev.filter(item => item.id !== session.id));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const revokeOthers = async () => {
+    if (!window.confirm('Sign out of every other device?')) return;
+    setRevokingId('others');
+    try {
+      await api.delete('/sessions');
+      await fetchSessions();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <section className="p-8">
+      <div className="flex flex-wrap items-center justify-between gap-3 border-b pb-2 mb-4">
+        <h3 className="text-lg font-semibold text-gray-700">Active Sessions</h3>
+        {sessions.length > 1 && (
+          <button
+            type="button"
+            onClick={revokeOthers}
+            disabled={revokingId !== null}
+            className="flex items-center gap-2 text-sm font-semibold text-red-600 hover:text-red-700 disabled:opacity-50"
+          >
+            {revokingId === 'others' ? <Loader className="animate-spin" size={16} /> : <LogOut size={16} />} Sign out all other sessions
+          </button>
+        )}
+      </div>
+      {error && (
+        <div className="flex items-center gap-2 bg-red-50 border border-red-200 text-red-700 p-3 rounded-lg mb-4 text-sm">
+          <AlertTriangle size={16} /> {error}
+        </div>
+      )}
+      {isLoading ? (
+        <div className="flex justify-center py-8"><Loader className="animate-spin text-pink-500" size={32} /></div>
+      ) : (
+        <ul className="divide-y bg-white border rounded-xl">
+          {sessions.map(session => {
+            const device = describeUserAgent(session.user_agent);
+            return (
+              <li key={session.id} className="flex items-center gap-4 p-4">
+                {device.isMobile ? <Smartphone className="text-gray-400 shrink-0" size={24} /> : <Monitor className="text-gray-400 shrink-0" size={24} />}
+                <div className="flex-1 min-w-0">
+                  <p className="font-semibold text-gray-800">
+                    {device.label}
+                    {session.current && <span className="ml-2 text-xs font-bold px-2 py-0.5 rounded-full bg-green-100 text-green-800">This device</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {session.ip_address || 'Unknown IP'} · Last active {new Date(session.last_used_at).toLocaleString()} · Signed in {new Date(session.created_at).toLocaleDateString()}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => revokeSession(session)}
+                  disabled={revokingId !== null}
+                  className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm font-semibold bg-gray-200 hover:bg-gray-300 text-gray-800 disabled:opacity-50"
+                >
+                  {revokingId === session.id ? <Loader className="animate-spin" size={16} /> : <LogOut size={16} />} Sign out
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,199 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from '../Context/AuthContext';
+import { useApi } from '../api/useApi';
+import { Search, Loader, AlertTriangle, ChevronLeft, ChevronRight } from 'lucide-react';
+
+const PAGE_SIZE = 50;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// "field: old → new" for every field an entry recorded
+const ChangeSummary = ({ before, after }) => {
+  const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  if (fields.length === 0) return <span className="text-gray-400">—</span>;
+  return (
+    <ul className="space-y-0.5">
+      {fields.map(field => (
+        <li key={field} className="break-all">
+          <span className="font-semibold text-gray-700">{field}:</span>{' '}
+          {before && <span className="text-red-700 line-through decoration-red-300">{formatValue(before[field])}</span>}
+          {before && after && ' → '}
+          {after && <span className="text-green-700">{formatValue(after[field])}</span>}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Admin view of the audit log: who changed what, searchable and filterable by action and date
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [filters, setFilters] = useState({ q: '', action: '', from: '', to: '' });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const requestIdRef = useRef(0);
+  const { token } = useAuth();
+  const api = useApi();
+
+  // Wait for the admin to stop typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setFilters(prev => (prev.q === searchTerm.trim() ? prev : { ...prev, q: searchTerm.trim() }));
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  const fetchEntries = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
+    setIsLoading(true);
+    try {
+      const query = new URLSearchParams({ page, limit: PAGE_SIZE });
+      Object.entries(filters).forEach(([key, value]) => value && query.set(key, value));
+      const data = await api.get(`/audit?${query}`);
+      if (requestId !== requestIdRef.current) return;
+      setEntries(data.items);
+      setTotal(data.total);
+      setActions(data.actions);
+      setError(null);
+    } catch (err) {
+      if (requestId === requestIdRef.current) setError(err.message);
+    } finally {
+      if (requestId === requestIdRef.current) setIsLoading(false);
+    }
+  }, [api, page, filters]);
+
+  useEffect(() => {
+    if (token) fetchEntries();
+  }, [token, fetchEntries]);
+
+  const updateFilter = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  const pageCount = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6">
+      <div className="flex flex-col lg:flex-row justify-between lg:items-center mb-6 gap-4">
+        <h2 className="text-2xl font-semibold text-gray-800">Audit Log ({total})</h2>
+        <div className="flex flex-wrap gap-3">
+          <div className="relative w-full sm:w-72">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+            <input
+              type="text"
+              placeholder="Search actor, target or IP..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="w-full pl-10 pr-4 py-2.5 border border-gray-300 rounded-lg focus:ring-pink-500 focus:border-pink-500 transition"
+            />
+          </div>
+          <select
+            name="action"
+            value={filters.action}
+            onChange={updateFilter}
+            className="border border-gray-300 rounded-lg px-3 py-2.5 focus:ring-pink-500 focus:border-pink-500"
+          >
+            <option value="">All actions</option>
+            {actions.map(action => <option key={action} value={action}>{action}</option>)}
+          </select>
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            From
+            <input type="date" name="from" value={filters.from} onChange={updateFilter} className="border border-gray-300 rounded-lg px-3 py-2" />
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            To
+            <input type="date" name="to" value={filters.to} onChange={updateFilter} className="border border-gray-300 rounded-lg px-3 py-2" />
+          </label>
+        </div>
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 bg-red-50 border border-red-200 text-red-700 p-3 rounded-lg mb-4 text-sm">
+          <AlertTriangle size={16} /> {error}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+              <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Who</th>
+              <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+              <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Target</th>
+              <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Changes</th>
+              <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP Address</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {entries.map(entry => (
+              <tr key={entry.id} className="align-top">
+                <td className="px-4 py-3 whitespace-nowrap text-gray-500">{new Date(entry.created_at).toLocaleString()}</td>
+                <td className="px-4 py-3">
+                  <div className="font-medium text-gray-900">{entry.actor_name || 'Unknown'}</div>
+                  {entry.actor_email && <div className="text-xs text-gray-500">{entry.actor_email}</div>}
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap">
+                  <span className="bg-gray-100 text-gray-800 border border-gray-200 text-xs font-semibold px-2.5 py-1 rounded-full">{entry.action}</span>
+                </td>
+                <td className="px-4 py-3">
+                  <div className="text-gray-900">{entry.target_label || '—'}</div>
+                  <div className="text-xs text-gray-500">{entry.target_type}{entry.target_id ? ` #${entry.target_id}` : ''}</div>
+                </td>
+                <td className="px-4 py-3 text-xs max-w-md">
+                  <ChangeSummary before={entry.before_values} after={entry.after_values} />
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap text-gray-500" title={entry.user_agent || ''}>{entry.ip_address || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {isLoading && (
+        <div className="flex justify-center py-8"><Loader className="animate-spin text-pink-500" size={32} /></div>
+      )}
+      {!isLoading && entries.length === 0 && (
+        <div className="text-center py-10">
+          <p className="text-gray-500">No audit entries match your filters.</p>
+        </div>
+      )}
+
+      {pageCount > 1 && (
+        <div className="flex items-center justify-end gap-3 mt-4 text-sm text-gray-600">
+          <button
+            type="button"
+            onClick={() => setPage(prev => prev - 1)}
+            disabled={page <= 1 || isLoading}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-gray-200 hover:bg-gray-300 disabled:opacity-50"
+          >
+            <ChevronLeft size={16} /> Newer
+          </button>
+          <span>Page {page} of {pageCount}</span>
+          <button
+            type="button"
+            onClick={() => setPage(prev => prev + 1)}
+            disabled={page >= pageCount || isLoading}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-gray-200 hover:bg-gray-300 disabled:opacity-50"
+          >
+            Older <ChevronRight size={16} />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../Context/AuthContext';
+import { useRealtime } from '../Context/RealtimeContext';
+import { useApi } from '../api/useApi';
+import { BookingTermsFields } from './BookingRequestForm';
+import { Calendar, MapPin, Wallet, Loader, AlertTriangle, Check, X, Repeat, ChevronDown, ChevronUp, Briefcase } from 'lucide-react';
+
+const statusStyles = {
+  pending: { label: 'Awaiting talent', className: 'bg-yellow-100 text-yellow-800' },
+  countered: { label: 'Counter-offer', className: 'bg-blue-100 text-blue-800' },
+  accepted: { label: 'Accepted', className: 'bg-green-100 text-green-800' },
+  declined: { label: 'Declined', className: 'bg-red-100 text-red-800' },
+  cancelled: { label: 'Cancelled', className: 'bg-gray-100 text-gray-600' },
+};
+
+const actionButtons = {
+  accept: { label: 'Accept', icon: <Check size={16} />, className: 'bg-green-500 hover:bg-green-600 text-white' },
+  counter: { label: 'Counter', icon: <Repeat size={16} />, className: 'bg-blue-500 hover:bg-blue-600 text-white' },
+  decline: { label: 'Decline', icon: <X size={16} />, className: 'bg-red-500 hover:bg-red-600 text-white' },
+  cancel: { label: 'Cancel Booking', icon: <X size={16} />, className: 'bg-gray-200 hover:bg-gray-300 text-gray-800' },
+};
+
+const formatDates = ({ start_date, end_date }) => (start_date === end_date ? start_date : `${start_date} → ${end_date}`);
+
+const BookingCard = ({ booking, onAction }) => {
+  const [isCountering, setIsCountering] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [terms, setTerms] = useState({ startDate: booking.start_date, endDate: booking.end_date, location: booking.location, rate: booking.rate });
+  const [note, setNote] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const status = statusStyles[booking.status];
+  const isTalent = booking.side === 'talent';
+
+  const runAction = async (action, body = {}) => {
+    setIsSubmitting(true);
+    const ok = await onAction(booking, { action, ...body });
+    setIsSubmitting(false);
+    if (ok) setIsCountering(false);
+  };
+
+  const handleAction = (action) => {
+    if (action === 'counter') return setIsCountering(true);
+    if (action !== 'accept' && !window.confirm(`${actionButtons[action].label} this booking?`)) return;
+    runAction(action);
+  };
+
+  const handleCounter = (e) => {
+    e.preventDefault();
+    runAction('counter', { ...terms, note });
+  };
+
+  return (
+    <div className="bg-white border rounded-xl p-5 shadow-sm">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div className="flex items-center gap-3">
+          {isTalent ? (
+            <div className="w-12 h-12 rounded-full bg-pink-100 flex items-center justify-center"><Briefcase className="text-pink-500" size={22} /></div>
+          ) : (
+            <img src={booking.talent_image} alt={booking.talent_name} className="w-12 h-12 rounded-full object-cover" />
+          )}
+          <div>
+            <p className="font-bold text-gray-900">
+              {isTalent ? `From ${booking.recruiter_name}` : <Link to={`/profile/${booking.talent_user_id}`} className="hover:text-pink-600">{booking.talent_name}</Link>}
+            </p>
+            <p className="text-xs text-gray-500">Requested {new Date(booking.created_at).toLocaleDateString()}</p>
+          </div>
+        </div>
+        <span className={`text-xs font-bold px-3 py-1 rounded-full ${status.className}`}>{status.label}</span>
+      </div>
+
+      <div className="mt-4 grid sm:grid-cols-3 gap-2 text-sm text-gray-700">
+        <span className="flex items-center gap-2"><Calendar size={16} className="text-gray-400" /> {formatDates(booking)}</span>
+        <span className="flex items-center gap-2"><MapPin size={16} className="text-gray-400" /> {booking.location}</span>
+        <span className="flex items-center gap-2"><Wallet size={16} className="text-gray-400" /> {Number(booking.rate).toLocaleString()}</span>
+      </div>
+      <p className="mt-3 text-sm text-gray-600 whitespace-pre-line">{booking.brief}</p>
+
+      {isCountering ? (
+        <form onSubmit={handleCounter} className="mt-4 space-y-3 border-t pt-4">
+          <BookingTermsFields values={terms} onChange={setTerms} />
+          <textarea
+            rows={2}
+            placeholder="Add a note explaining your counter-offer (optional)"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-pink-500 focus:border-pink-500"
+          />
+          <div className="flex gap-2">
+            <button type="submit" disabled={isSubmitting} className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-semibold bg-blue-500 hover:bg-blue-600 text-white disabled:opacity-50">
+              {isSubmitting ? <Loader className="animate-spin" size={16} /> : <Repeat size={16} />} Send Counter-offer
+            </button>
+            <button type="button" onClick={() => setIsCountering(false)} className="px-4 py-2 rounded-lg text-sm font-semibold bg-gray-200 hover:bg-gray-300 text-gray-800">Back</button>
+          </div>
+        </form>
+      ) : booking.actions.length > 0 && (
+        <div className="mt-4 flex flex-wrap gap-2">
+          {booking.actions.map(action => (
+            <button
+              key={action}
+              type="button"
+              disabled={isSubmitting}
+              onClick={() => handleAction(action)}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-semibold transition disabled:opacity-50 ${actionButtons[action].className}`}
+            >
+              {actionButtons[action].icon} {actionButtons[action].label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <button type="button" onClick={() => setShowHistory(!showHistory)} className="mt-4 flex items-center gap-1 text-xs font-semibold text-gray-500 hover:text-gray-700">
+        {showHistory ? <ChevronUp size={14} /> : <ChevronDown size={14} />} History ({booking.history.length})
+      </button>
+      {showHistory && (
+        <ol className="mt-2 space-y-2 border-l-2 border-gray-200 pl-4">
+          {booking.history.map(event => (
+            <li key={event.id} className="text-xs text-gray-600">
+              <span className="font-semibold text-gray-800">{event.actor_name}</span> · {statusStyles[event.status].label} · {new Date(event.created_at).toLocaleString()}
+              <div>{formatDates(event)} · {event.location} · {Number(event.rate).toLocaleString()}</div>
+              {event.note && <div className="italic">“{event.note}”</div>}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+// Booking requests the signed-in user has sent or received, with the actions available to them
+const BookingList = ({ title = 'Bookings', emptyMessage = 'No booking requests yet.' }) => {
+  const [bookings, setBookings] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { token } = useAuth();
+  const api = useApi();
+  const { subscribe } = useRealtime();
+
+  const fetchBookings = useCallback(async () => {
+    try {
+      setBookings(await api.get('/bookings'));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    if (token) fetchBookings();
+  }, [token, fetchBookings]);
+
+  // The other party's responses arrive over the realtime channel
+  useEffect(() => subscribe('booking:updated', fetchBookings), [subscribe, fetchBookings]);
+
+  // Returns whether the action succeeded so the card can close its counter form
+  const handleAction = async (booking, body) => {
+    try {
+      await api.put(`/bookings/${booking.id}`, body);
+      await fetchBookings();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  return (
+    <section className="p-8">
+      <h3 className="text-lg font-semibold text-gray-700 border-b pb-2 mb-4">{title}</h3>
+      {error && (
+        <div className="flex items-center gap-2 bg-red-50 border border-red-200 text-red-700 p-3 rounded-lg mb-4 text-sm">
+          <AlertTriangle size={16} /> {error}
+        </div>
+      )}
+      {isLoading ? (
+        <div className="flex justify-center py-8"><Loader className="animate-spin text-pink-500" size={32} /></div>
+      ) : bookings.length > 0 ? (
+        <div className="space-y-4">
+          {bookings.map(booking => <BookingCard key={`${booking.id}-${booking.updated_at}`} booking={booking} onAction={handleAction} />)}
+        </div>
+      ) : (
+        <p className="text-gray-500">{emptyMessage}</p>
+      )}
+    </section>
+  );
+};
+
+export default BookingList;
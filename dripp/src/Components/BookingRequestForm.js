@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { useApi } from '../api/useApi';
+import { X, Send, Loader, CheckCircle } from 'lucide-react';
+
+export const emptyBookingTerms = { startDate: '', endDate: '', location: '', rate: '' };
+
+// Date, location and rate inputs shared by a new booking request and a counter-offer
+export const BookingTermsFields = ({ values, onChange }) => {
+  const today = new Date().toISOString().slice(0, 10);
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-pink-500';
+
+  return (
+    <div className="grid grid-cols-2 gap-4">
+      <label className="space-y-1 text-sm font-medium text-gray-700">
+        <span>Start date</span>
+        <input type="date" required min={today} value={values.startDate} onChange={(e) => onChange({ ...values, startDate: e.target.value })} className={inputClass} />
+      </label>
+      <label className="space-y-1 text-sm font-medium text-gray-700">
+        <span>End date</span>
+        <input type="date" required min={values.startDate || today} value={values.endDate} onChange={(e) => onChange({ ...values, endDate: e.target.value })} className={inputClass} />
+      </label>
+      <label className="space-y-1 text-sm font-medium text-gray-700">
+        <span>Location</span>
+        <input type="text" required maxLength={255} placeholder="e.g., Studio 4, Mumbai" value={values.location} onChange={(e) => onChange({ ...values, location: e.target.value })} className={inputClass} />
+      </label>
+      <label className="space-y-1 text-sm font-medium text-gray-700">
+        <span>Rate</span>
+        <input type="number" required min="1" step="0.01" placeholder="Total fee" value={values.rate} onChange={(e) => onChange({ ...values, rate: e.target.value })} className={inputClass} />
+      </label>
+    </div>
+  );
+};
+
+// Modal a recruiter uses to send a booking request to a talent profile
+const BookingRequestForm = ({ modelId, talentName, onClose }) => {
+  const [terms, setTerms] = useState(emptyBookingTerms);
+  const [brief, setBrief] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isSent, setIsSent] = useState(false);
+  const [error, setError] = useState(null);
+  const api = useApi();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await api.post('/bookings', { modelId, brief, ...terms });
+      setIsSent(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="w-full max-w-lg bg-white rounded-2xl shadow-2xl p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-2xl font-bold text-gray-900">Book {talentName}</h2>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600"><X size={22} /></button>
+        </div>
+
+        {isSent ? (
+          <div className="text-center py-6">
+            <CheckCircle className="mx-auto text-green-500" size={48} />
+            <p className="mt-4 text-gray-700">Your request has been sent. You can follow its progress on your profile page.</p>
+            <button type="button" onClick={onClose} className="mt-6 px-6 py-2 bg-pink-600 text-white rounded-lg font-semibold hover:bg-pink-700">Done</button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <BookingTermsFields values={terms} onChange={setTerms} />
+            <label className="block space-y-1 text-sm font-medium text-gray-700">
+              <span>Brief</span>
+              <textarea
+                required
+                rows={4}
+                placeholder="Describe the job, usage and anything the talent should know."
+                value={brief}
+                onChange={(e) => setBrief(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-pink-500"
+              />
+            </label>
+            {error && <p className="text-sm text-red-500">{error}</p>}
+            <button type="submit" disabled={isSubmitting} className="w-full flex items-center justify-center gap-2 px-6 py-3 bg-pink-600 text-white rounded-lg font-semibold hover:bg-pink-700 disabled:bg-pink-300">
+              {isSubmitting ? <Loader className="animate-spin" size={18} /> : <Send size={18} />} Send Request
+            </button>
+          </form>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default BookingRequestForm;
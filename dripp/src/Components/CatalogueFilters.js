@@ -0,0 +1,119 @@
+import React from 'react';
+import { SlidersHorizontal, X } from 'lucide-react';
+import { availabilityOptions } from './TalentAttributeFields';
+
+// URL query keys the sidebar controls. Multi-select facets are stored as comma-separated lists.
+export const catalogueFilterKeys = ['gender', 'category', 'city', 'availability', 'has_video', 'min_height', 'max_height'];
+
+const splitList = (value) => (value ? value.split(',') : []);
+
+const heightLabel = ({ min, max }) => {
+  if (min === null) return `Under ${max + 1} cm`;
+  if (max === null) return `${min} cm +`;
+  return `${min}–${max} cm`;
+};
+
+const availabilityLabel = (value) => availabilityOptions.find(option => option.value === value)?.label || value;
+
+// A facet with checkboxes; selected values are kept visible even when they currently have no matches
+const MultiFacet = ({ title, name, rows = [], values, onChange, formatLabel = (value) => value }) => {
+  const selected = splitList(values[name]);
+  const options = [...rows];
+  selected.forEach(value => {
+    if (!options.some(row => String(row.value) === value)) options.push({ value, count: 0 });
+  });
+  if (options.length === 0) return null;
+
+  const toggle = (value) => {
+    const next = selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value];
+    onChange({ [name]: next.join(',') });
+  };
+
+  return (
+    <div>
+      <h4 className="text-sm font-semibold text-gray-900 mb-2">{title}</h4>
+      <ul className="space-y-1">
+        {options.map(row => (
+          <li key={row.value}>
+            <label className="flex items-center justify-between text-sm text-gray-700 cursor-pointer hover:text-pink-600">
+              <span className="flex items-center gap-2">
+                <input type="checkbox" checked={selected.includes(String(row.value))} onChange={() => toggle(String(row.value))} className="accent-pink-500" />
+                {formatLabel(row.value)}
+              </span>
+              <span className="text-xs text-gray-400">{row.count}</span>
+            </label>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Sidebar of catalogue facets. `facets` comes from GET /api/models/facets and `values` holds the
+// active filters as they appear in the URL; `onChange` receives the query keys to update.
+const CatalogueFilters = ({ facets, values, onChange, onClear }) => {
+  const hasActiveFilters = catalogueFilterKeys.some(key => values[key]);
+  const videoCount = facets?.has_video.find(row => row.value === true)?.count || 0;
+
+  return (
+    <aside className="w-full lg:w-64 shrink-0 bg-white rounded-xl shadow-sm border p-5 space-y-6 self-start">
+      <div className="flex items-center justify-between">
+        <h3 className="flex items-center gap-2 font-bold text-gray-900"><SlidersHorizontal size={18} /> Filters</h3>
+        {hasActiveFilters && (
+          <button onClick={onClear} className="flex items-center gap-1 text-xs text-pink-600 hover:underline"><X size={12} /> Clear all</button>
+        )}
+      </div>
+
+      {!facets ? (
+        <p className="text-sm text-gray-400">Loading filters...</p>
+      ) : (
+        <>
+          <MultiFacet title="Gender" name="gender" rows={facets.gender} values={values} onChange={onChange} />
+          <MultiFacet title="Category" name="category" rows={facets.category} values={values} onChange={onChange} />
+          <MultiFacet title="City" name="city" rows={facets.city} values={values} onChange={onChange} />
+
+          <div>
+            <h4 className="text-sm font-semibold text-gray-900 mb-2">Height</h4>
+            <ul className="space-y-1">
+              <li>
+                <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer hover:text-pink-600">
+                  <input type="radio" name="height" checked={!values.min_height && !values.max_height} onChange={() => onChange({ min_height: '', max_height: '' })} className="accent-pink-500" />
+                  Any height
+                </label>
+              </li>
+              {facets.height.map(bucket => (
+                <li key={bucket.value}>
+                  <label className="flex items-center justify-between text-sm text-gray-700 cursor-pointer hover:text-pink-600">
+                    <span className="flex items-center gap-2">
+                      <input
+                        type="radio"
+                        name="height"
+                        checked={values.min_height === String(bucket.min ?? '') && values.max_height === String(bucket.max ?? '')}
+                        onChange={() => onChange({ min_height: String(bucket.min ?? ''), max_height: String(bucket.max ?? '') })}
+                        className="accent-pink-500"
+                      />
+                      {heightLabel(bucket)}
+                    </span>
+                    <span className="text-xs text-gray-400">{bucket.count}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <MultiFacet title="Availability" name="availability" rows={facets.availability} values={values} onChange={onChange} formatLabel={availabilityLabel} />
+
+          <label className="flex items-center justify-between text-sm text-gray-700 cursor-pointer hover:text-pink-600">
+            <span className="flex items-center gap-2">
+              <input type="checkbox" checked={values.has_video === 'true'} onChange={(e) => onChange({ has_video: e.target.checked ? 'true' : '' })} className="accent-pink-500" />
+              Has sample video
+            </span>
+            <span className="text-xs text-gray-400">{videoCount}</span>
+          </label>
+        </>
+      )}
+    </aside>
+  );
+};
+
+export default CatalogueFilters;
@@ -0,0 +1,354 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useApi } from '../api/useApi';
+import { invalidateQueries, optimisticUpdate } from '../api/queryCache';
+import { featuredPinsKey, featuredProfilesKey, siteContentKey, useFeaturedPins, useSiteContent } from '../api/queries';
+import { Pin, Megaphone, MessageSquareQuote, Search, Loader, AlertTriangle, CheckCircle, ArrowUp, ArrowDown, Trash2, Edit, Save, X, Plus } from 'lucide-react';
+
+const inputClass = 'w-full p-2.5 border border-gray-300 rounded-lg focus:ring-pink-500 focus:border-pink-500';
+const iconButtonClass = 'p-1.5 rounded-lg text-gray-500 hover:bg-gray-100 hover:text-gray-800 disabled:opacity-30 disabled:hover:bg-transparent';
+
+// Returns a copy of `list` with the item at `index` moved one place up (-1) or down (1)
+const moveItem = (list, index, offset) => {
+  const moved = [...list];
+  [moved[index], moved[index + offset]] = [moved[index + offset], moved[index]];
+  return moved;
+};
+
+// Pins expire at the end of the chosen day, in the admin's time zone
+const toExpiry = (date) => (date ? new Date(`${date}T23:59:59`).toISOString() : null);
+const toDateInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+const Feedback = ({ message, onDismiss }) => message && (
+  <div className={`flex items-center gap-2 p-3 rounded-lg mb-4 text-sm border ${message.type === 'error' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'}`}>
+    {message.type === 'error' ? <AlertTriangle size={16} /> : <CheckCircle size={16} />}
+    <span className="flex-1">{message.text}</span>
+    <button type="button" onClick={onDismiss} className="hover:opacity-70"><X size={16} /></button>
+  </div>
+);
+
+// Profiles pinned to the top of the Home page's featured talent, in order, with optional expiry dates
+const FeaturedPins = () => {
+  const { data: pins, error: loadError } = useFeaturedPins();
+  const [searchTerm, setSearchTerm] = useState('');
+  const [results, setResults] = useState(null);
+  const [newExpiry, setNewExpiry] = useState('');
+  const [isSearching, setIsSearching] = useState(false);
+  const [message, setMessage] = useState(null);
+  const api = useApi();
+
+  // Runs a change, then refreshes both the pins and the public feed
+  const run = async (request) => {
+    setMessage(null);
+    try {
+      const data = await request();
+      if (data?.message) setMessage({ type: 'success', text: data.message });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      invalidateQueries(featuredProfilesKey);
+    }
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!searchTerm.trim()) return;
+    setIsSearching(true);
+    setMessage(null);
+    try {
+      const data = await api.get(`/models?${new URLSearchParams({ q: searchTerm.trim(), limit: 8 })}`);
+      setResults(data.items);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const handlePin = (profile) => run(() => api.post('/featured', { model_id: profile.id, expires_at: toExpiry(newExpiry) }));
+  const handleUnpin = (pin) => run(() => api.delete(`/featured/${pin.model_id}`));
+  const handleExpiryChange = (pin, date) => run(() => api.put(`/featured/${pin.model_id}`, { expires_at: toExpiry(date) }));
+  const handleMove = (index, offset) => {
+    const reordered = moveItem(pins, index, offset);
+    run(() => optimisticUpdate(featuredPinsKey, reordered, () => api.put('/featured/order', { model_ids: reordered.map(pin => pin.model_id) })));
+  };
+
+  const pinnedIds = new Set((pins || []).map(pin => pin.model_id));
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6 mb-8">
+      <h2 className="flex items-center gap-2 text-2xl font-semibold text-gray-800 mb-1"><Pin className="text-pink-600" /> Featured Talent</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Pinned profiles lead the Home page's featured talent in this order; the remaining places rotate daily through other public profiles.
+        Only profiles with a public page can be pinned.
+      </p>
+      <Feedback message={message || (loadError && !pins && { type: 'error', text: loadError.message })} onDismiss={() => setMessage(null)} />
+
+      {!pins ? (
+        !loadError && <Loader className="animate-spin text-pink-600" size={24} />
+      ) : pins.length === 0 ? (
+        <p className="text-gray-500 mb-4">Nothing is pinned, so every place rotates.</p>
+      ) : (
+        <ol className="divide-y divide-gray-200 border rounded-lg mb-4">
+          {pins.map((pin, index) => (
+            <li key={pin.model_id} className="flex flex-wrap items-center gap-3 p-3">
+              <div className="flex flex-col">
+                <button type="button" onClick={() => handleMove(index, -1)} disabled={index === 0} className={iconButtonClass} title="Move up"><ArrowUp size={16} /></button>
+                <button type="button" onClick={() => handleMove(index, 1)} disabled={index === pins.length - 1} className={iconButtonClass} title="Move down"><ArrowDown size={16} /></button>
+              </div>
+              <img src={pin.image} alt={pin.name} className="h-12 w-12 rounded-full object-cover bg-gray-200" />
+              <div className="flex-1 min-w-[10rem]">
+                <Link to={pin.slug ? `/t/${pin.slug}` : `/profile/${pin.user_id}`} className="font-semibold text-gray-900 hover:text-pink-600">{pin.name}</Link>
+                <div className="flex flex-wrap gap-2 mt-1 text-xs">
+                  {!!pin.expired && <span className="bg-gray-100 text-gray-600 border border-gray-200 font-semibold px-2 py-0.5 rounded-full">Expired</span>}
+                  {!pin.public_profile && <span className="bg-yellow-100 text-yellow-800 border border-yellow-200 font-semibold px-2 py-0.5 rounded-full">Public page off</span>}
+                  {pin.featured_by_name && <span className="text-gray-500">Pinned by {pin.featured_by_name}</span>}
+                </div>
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-600">
+                Until
+                <input type="date" value={toDateInput(pin.expires_at)} onChange={(e) => handleExpiryChange(pin, e.target.value)} className="border border-gray-300 rounded-lg px-3 py-2" />
+              </label>
+              <button type="button" onClick={() => handleUnpin(pin)} className={iconButtonClass} title="Unpin"><Trash2 size={18} /></button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <form onSubmit={handleSearch} className="flex flex-wrap gap-3">
+        <div className="relative flex-1 min-w-[14rem]">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+          <input
+            type="text"
+            placeholder="Find a profile to pin..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="w-full pl-10 pr-4 py-2.5 border border-gray-300 rounded-lg focus:ring-pink-500 focus:border-pink-500 transition"
+          />
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          Pin until
+          <input type="date" value={newExpiry} onChange={(e) => setNewExpiry(e.target.value)} className="border border-gray-300 rounded-lg px-3 py-2" />
+        </label>
+        <button type="submit" disabled={isSearching} className="flex items-center gap-2 px-4 py-2 rounded-lg font-semibold bg-gray-200 hover:bg-gray-300 text-gray-800 disabled:opacity-50">
+          {isSearching ? <Loader className="animate-spin" size={16} /> : <Search size={16} />} Search
+        </button>
+      </form>
+      {results && (
+        <ul className="mt-3 divide-y divide-gray-200 border rounded-lg">
+          {results.length === 0 && <li className="p-3 text-sm text-gray-500">No profiles match your search.</li>}
+          {results.map(profile => (
+            <li key={profile.id} className="flex items-center gap-3 p-3 text-sm">
+              <img src={profile.image} alt={profile.name} className="h-10 w-10 rounded-full object-cover bg-gray-200" />
+              <span className="flex-1 font-medium text-gray-900">{profile.name} <span className="text-gray-500 font-normal capitalize">· {profile.role}</span></span>
+              {pinnedIds.has(profile.id) ? (
+                <span className="text-gray-500">Pinned</span>
+              ) : profile.public_profile ? (
+                <button type="button" onClick={() => handlePin(profile)} className="flex items-center gap-1 px-3 py-1.5 rounded-lg font-semibold bg-pink-600 hover:bg-pink-700 text-white">
+                  <Pin size={14} /> Pin
+                </button>
+              ) : (
+                <span className="text-gray-400">No public page</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// The headline and introduction at the top of the Home page
+const HeroCopy = ({ hero }) => {
+  const [form, setForm] = useState(hero);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const api = useApi();
+
+  const handleChange = (e) => setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      const data = await api.put('/content/hero', form);
+      setForm(data.content);
+      setMessage({ type: 'success', text: data.message });
+      invalidateQueries(siteContentKey);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6 mb-8">
+      <h2 className="flex items-center gap-2 text-2xl font-semibold text-gray-800 mb-4"><Megaphone className="text-pink-600" /> Hero Copy</h2>
+      <Feedback message={message} onDismiss={() => setMessage(null)} />
+      <form onSubmit={handleSave} className="space-y-4">
+        <div className="grid md:grid-cols-3 gap-4">
+          <label className="md:col-span-2 space-y-1 text-sm font-medium text-gray-700">
+            <span>Title</span>
+            <input name="title" value={form.title} onChange={handleChange} maxLength={120} required className={inputClass} />
+          </label>
+          <label className="space-y-1 text-sm font-medium text-gray-700">
+            <span>Highlighted words</span>
+            <input name="highlight" value={form.highlight} onChange={handleChange} maxLength={60} placeholder="Part of the title" className={inputClass} />
+          </label>
+        </div>
+        <label className="block space-y-1 text-sm font-medium text-gray-700">
+          <span>Introduction</span>
+          <textarea name="subtitle" value={form.subtitle} onChange={handleChange} maxLength={400} rows={3} className={inputClass} />
+        </label>
+        <button type="submit" disabled={isSaving} className="flex items-center gap-2 px-4 py-2 rounded-lg font-semibold bg-pink-600 hover:bg-pink-700 text-white disabled:opacity-50">
+          {isSaving ? <Loader className="animate-spin" size={16} /> : <Save size={16} />} Save Hero Copy
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const emptyTestimonial = { quote: '', name: '', role: '' };
+
+const TestimonialForm = ({ initial = emptyTestimonial, submitLabel, onSubmit, onCancel }) => {
+  const [form, setForm] = useState({ ...initial, role: initial.role || '' });
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleChange = (e) => setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const saved = await onSubmit(form);
+    setIsSaving(false);
+    if (saved && !onCancel) setForm(emptyTestimonial);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <textarea name="quote" value={form.quote} onChange={handleChange} maxLength={600} rows={2} required placeholder="Quote" className={inputClass} />
+      <div className="grid sm:grid-cols-2 gap-3">
+        <input name="name" value={form.name} onChange={handleChange} maxLength={255} required placeholder="Name" className={inputClass} />
+        <input name="role" value={form.role} onChange={handleChange} maxLength={255} placeholder="Role, e.g. Casting Director" className={inputClass} />
+      </div>
+      <div className="flex gap-2">
+        <button type="submit" disabled={isSaving} className="flex items-center gap-2 px-4 py-2 rounded-lg font-semibold bg-pink-600 hover:bg-pink-700 text-white disabled:opacity-50">
+          {isSaving ? <Loader className="animate-spin" size={16} /> : onCancel ? <Save size={16} /> : <Plus size={16} />} {submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-4 py-2 rounded-lg font-semibold bg-gray-200 hover:bg-gray-300 text-gray-800">Cancel</button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+// Quotes shown in the Home page's "What Our Community Says" section, in order
+const Testimonials = ({ testimonials }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [message, setMessage] = useState(null);
+  const api = useApi();
+
+  // Runs a change and refreshes the content; resolves to whether it succeeded
+  const run = async (request) => {
+    setMessage(null);
+    try {
+      const data = await request();
+      if (data?.message) setMessage({ type: 'success', text: data.message });
+      return true;
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+      return false;
+    } finally {
+      invalidateQueries(siteContentKey);
+    }
+  };
+
+  const handleCreate = (testimonial) => run(() => api.post('/content/testimonials', testimonial));
+  const handleUpdate = async (testimonial) => {
+    const saved = await run(() => api.put(`/content/testimonials/${editingId}`, testimonial));
+    if (saved) setEditingId(null);
+    return saved;
+  };
+  const handleDelete = (testimonial) => {
+    if (!window.confirm(`Delete the testimonial from ${testimonial.name}?`)) return;
+    run(() => api.delete(`/content/testimonials/${testimonial.id}`));
+  };
+  const handleMove = (index, offset) => {
+    const reordered = moveItem(testimonials, index, offset);
+    run(() => optimisticUpdate(
+      siteContentKey,
+      current => ({ ...current, testimonials: reordered }),
+      () => api.put('/content/testimonials/order', { ids: reordered.map(testimonial => testimonial.id) })
+    ));
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6 mb-8">
+      <h2 className="flex items-center gap-2 text-2xl font-semibold text-gray-800 mb-4"><MessageSquareQuote className="text-pink-600" /> Testimonials</h2>
+      <Feedback message={message} onDismiss={() => setMessage(null)} />
+      {testimonials.length === 0 ? (
+        <p className="text-gray-500 mb-4">There are no testimonials, so the Home page leaves the section out.</p>
+      ) : (
+        <ol className="divide-y divide-gray-200 border rounded-lg mb-6">
+          {testimonials.map((testimonial, index) => (
+            <li key={testimonial.id} className="p-3">
+              {editingId === testimonial.id ? (
+                <TestimonialForm initial={testimonial} submitLabel="Save" onSubmit={handleUpdate} onCancel={() => setEditingId(null)} />
+              ) : (
+                <div className="flex items-start gap-3">
+                  <div className="flex flex-col">
+                    <button type="button" onClick={() => handleMove(index, -1)} disabled={index === 0} className={iconButtonClass} title="Move up"><ArrowUp size={16} /></button>
+                    <button type="button" onClick={() => handleMove(index, 1)} disabled={index === testimonials.length - 1} className={iconButtonClass} title="Move down"><ArrowDown size={16} /></button>
+                  </div>
+                  <blockquote className="flex-1">
+                    <p className="italic text-gray-800">"{testimonial.quote}"</p>
+                    <cite className="block mt-1 text-sm not-italic font-semibold text-gray-700">
+                      {testimonial.name}{testimonial.role && <span className="font-normal text-gray-500">, {testimonial.role}</span>}
+                    </cite>
+                  </blockquote>
+                  <button type="button" onClick={() => setEditingId(testimonial.id)} className={iconButtonClass} title="Edit"><Edit size={18} /></button>
+                  <button type="button" onClick={() => handleDelete(testimonial)} className={iconButtonClass} title="Delete"><Trash2 size={18} /></button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+      <h3 className="font-semibold text-gray-700 mb-2">Add a testimonial</h3>
+      <TestimonialForm submitLabel="Add Testimonial" onSubmit={handleCreate} />
+    </div>
+  );
+};
+
+// Admin tab for the Home page: featured talent pins, hero copy and testimonials
+const ContentManager = () => {
+  const { data: content, error } = useSiteContent();
+
+  return (
+    <>
+      <FeaturedPins />
+      {error && !content && (
+        <div className="flex items-center gap-2 bg-red-50 border border-red-200 text-red-700 p-3 rounded-lg mb-4 text-sm">
+          <AlertTriangle size={16} /> {error.message}
+        </div>
+      )}
+      {!content ? (
+        !error && <div className="flex justify-center py-8"><Loader className="animate-spin text-pink-500" size={32} /></div>
+      ) : (
+        <>
+          <HeroCopy hero={content.hero} />
+          <Testimonials testimonials={content.testimonials} />
+        </>
+      )}
+    </>
+  );
+};
+
+export default ContentManager;
@@ -0,0 +1,46 @@
+import React, { useState } from 'react';
+import { useAuth } from '../Context/AuthContext';
+import { apiRequest } from '../api/client';
+import { MailWarning, Loader } from 'lucide-react';
+
+// Reminds signed-in users who haven't verified their email yet, with a button to resend the link
+const EmailVerificationBanner = () => {
+  const [status, setStatus] = useState(null);
+  const [isSending, setIsSending] = useState(false);
+  const { user } = useAuth();
+
+  if (user?.email_verified !== false) return null;
+
+  const handleResend = async () => {
+    setIsSending(true);
+    try {
+      const data = await apiRequest('/auth/resend-verification', { method: 'POST', body: { email: user.email } });
+      setStatus(data.message);
+    } catch (err) {
+      setStatus(err.message || 'Could not send the verification email.');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 m-4 md:mx-8 p-4 rounded-lg bg-yellow-50 border border-yellow-200 text-yellow-800 text-sm">
+      <MailWarning size={20} className="shrink-0" />
+      <p className="flex-1 min-w-[12rem]">
+        Please verify your email address using the link we sent to <strong>{user.email}</strong>.
+        {['model', 'photographer', 'editor'].includes(user.role) && ' Your work won\'t appear in the catalogue until you do.'}
+        {status && <span className="block mt-1 text-yellow-700">{status}</span>}
+      </p>
+      <button
+        type="button"
+        onClick={handleResend}
+        disabled={isSending}
+        className="flex items-center gap-2 px-4 py-2 rounded-lg font-semibold bg-yellow-400 hover:bg-yellow-500 text-yellow-900 disabled:opacity-50"
+      >
+        {isSending && <Loader className="animate-spin" size={16} />} Resend Link
+      </button>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -1,16 +1,19 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { NavLink, useLocation } from 'react-router-dom';
 import { useAuth } from '../Context/AuthContext';
+import { useMessages } from '../Context/MessagesContext';
+import NotificationBell from './NotificationBell';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
     Menu, X, User, LogIn, LogOut, Upload, Home, Info, Clapperboard, 
-    Crown, LayoutDashboard, ChevronDown, Film 
+    Crown, LayoutDashboard, ChevronDown, Film, Star, MessageSquare, Bell 
 } from 'lucide-react';
 
 const Navbar = () => {
   const [menuOpen, setMenuOpen] = useState(false);
   const [profileOpen, setProfileOpen] = useState(false);
   const { user, logout, isAuthenticated } = useAuth();
+  const { unreadCount } = useMessages();
   const location = useLocation();
   const profileRef = useRef(null);
 
@@ -43,6 +46,8 @@ const Navbar = () => {
     { to: "/", text: "Home", icon: <Home size={18} />, className: linkClass, show: 'always' },
     { to: "/about", text: "About", icon: <Info size={18} />, className: linkClass, show: 'always' },
     { to: "/catalogue", text: "Catalogue", icon: <Clapperboard size={18} />, className: linkClass, show: 'recruiter_or_admin' },
+    { to: "/recruiter", text: "Shortlist", icon: <Star size={18} />, className: linkClass, show: 'recruiter_or_admin' },
+    { to: "/messages", text: "Messages", icon: <MessageSquare size={18} />, className: linkClass, show: 'authenticated', badge: unreadCount },
     // CORRECTED: A single upload link for all creative roles, pointing to /upload
     { to: "/upload", text: "Create/Upload", icon: <Upload size={18} />, className: linkClass, show: 'creative' },
     { to: "/admin/dashboard", text: "Admin Panel", icon: <Crown size={18} />, className: adminLinkClass, show: 'admin' }
@@ -56,6 +61,8 @@ const Navbar = () => {
     
     const userRole = user.role;
     switch (link.show) {
+        case 'authenticated':
+            return true;
         case 'recruiter_or_admin':
             return userRole === 'recruiter' || userRole === 'admin';
         case 'creative':
@@ -81,52 +88,60 @@ const Navbar = () => {
             {navItems.map(item => (
               <NavLink key={item.to} to={item.to} className={item.className}>
                 {item.icon}<span>{item.text}</span>
+                {item.badge > 0 && <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 flex items-center justify-center rounded-full bg-red-500 text-white text-xs font-bold">{item.badge > 99 ? '99+' : item.badge}</span>}
               </NavLink>
             ))}
           </div>
 
-          {/* Desktop Auth Section */}
-          <div className="hidden md:flex items-center space-x-3">
-            {isAuthenticated ? (
-              <div className="relative" ref={profileRef}>
-                <button onClick={() => setProfileOpen(!profileOpen)} className="flex items-center gap-2 text-gray-300 hover:text-white transition-colors p-2 rounded-lg hover:bg-gray-700">
-                  <User size={18} />
-                  <span>Hi, {user.name}</span>
-                  <ChevronDown size={16} className={`transition-transform ${profileOpen ? 'rotate-180' : ''}`} />
-                </button>
-                <AnimatePresence>
-                  {profileOpen && (
-                    <motion.div
-                      initial={{ opacity: 0, y: 10 }}
-                      animate={{ opacity: 1, y: 0 }}
-                      exit={{ opacity: 0, y: 10 }}
-                      className="absolute right-0 mt-2 w-48 bg-gray-700 rounded-md shadow-lg z-20"
-                    >
-                      <div className="py-1">
-                        <NavLink to="/profile" className="flex items-center gap-3 w-full text-left px-4 py-2 text-sm text-gray-200 hover:bg-gray-600">
-                           <LayoutDashboard size={16} /> My Dashboard
-                        </NavLink>
-                        <button onClick={logout} className="flex items-center gap-3 w-full text-left px-4 py-2 text-sm text-red-400 hover:bg-gray-600">
-                           <LogOut size={16} /> Logout
-                        </button>
-                      </div>
-                    </motion.div>
-                  )}
-                </AnimatePresence>
-              </div>
-            ) : (
-              <>
-                <NavLink to="/login" className={linkClass}><LogIn size={18} /><span>Login</span></NavLink>
-                <NavLink to="/register" className={`${navLinkBaseClasses} bg-pink-500 text-white hover:bg-pink-600`}><span>Register</span></NavLink>
-              </>
-            )}
-          </div>
+          <div className="flex items-center gap-2">
+            {isAuthenticated && <NotificationBell />}
 
-          {/* Hamburger Icon */}
-          <div className="md:hidden flex items-center">
-            <button onClick={() => setMenuOpen(!menuOpen)} className="p-2 rounded-md text-gray-400 hover:text-white hover:bg-gray-700">
-              {menuOpen ? <X size={24} /> : <Menu size={24} />}
-            </button>
+            {/* Desktop Auth Section */}
+            <div className="hidden md:flex items-center space-x-3">
+              {isAuthenticated ? (
+                <div className="relative" ref={profileRef}>
+                  <button onClick={() => setProfileOpen(!profileOpen)} className="flex items-center gap-2 text-gray-300 hover:text-white transition-colors p-2 rounded-lg hover:bg-gray-700">
+                    <User size={18} />
+                    <span>Hi, {user.name}</span>
+                    <ChevronDown size={16} className={`transition-transform ${profileOpen ? 'rotate-180' : ''}`} />
+                  </button>
+                  <AnimatePresence>
+                    {profileOpen && (
+                      <motion.div
+                        initial={{ opacity: 0, y: 10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: 10 }}
+                        className="absolute right-0 mt-2 w-48 bg-gray-700 rounded-md shadow-lg z-20"
+                      >
+                        <div className="py-1">
+                          <NavLink to="/profile" className="flex items-center gap-3 w-full text-left px-4 py-2 text-sm text-gray-200 hover:bg-gray-600">
+                             <LayoutDashboard size={16} /> My Dashboard
+                          </NavLink>
+                          <NavLink to="/settings/notifications" className="flex items-center gap-3 w-full text-left px-4 py-2 text-sm text-gray-200 hover:bg-gray-600">
+                             <Bell size={16} /> Notifications
+                          </NavLink>
+                          <button onClick={logout} className="flex items-center gap-3 w-full text-left px-4 py-2 text-sm text-red-400 hover:bg-gray-600">
+                             <LogOut size={16} /> Logout
+                          </button>
+                        </div>
+                      </motion.div>
+                    )}
+                  </AnimatePresence>
+                </div>
+              ) : (
+                <>
+                  <NavLink to="/login" className={linkClass}><LogIn size={18} /><span>Login</span></NavLink>
+                  <NavLink to="/register" className={`${navLinkBaseClasses} bg-pink-500 text-white hover:bg-pink-600`}><span>Register</span></NavLink>
+                </>
+              )}
+            </div>
+
+            {/* Hamburger Icon */}
+            <div className="md:hidden flex items-center">
+              <button onClick={() => setMenuOpen(!menuOpen)} className="p-2 rounded-md text-gray-400 hover:text-white hover:bg-gray-700">
+                {menuOpen ? <X size={24} /> : <Menu size={24} />}
+              </button>
+            </div>
           </div>
 
         </div>
@@ -140,6 +155,7 @@ const Navbar = () => {
               {navItems.map(item => (
                 <NavLink key={item.to} to={item.to} className={`${item.className} block`} onClick={() => setMenuOpen(false)}>
                   {item.icon}<span>{item.text}</span>
+                  {item.badge > 0 && <span className="ml-auto px-2 rounded-full bg-red-500 text-white text-xs font-bold">{item.badge}</span>}
                 </NavLink>
               ))}
               <div className="border-t border-gray-700 my-2"></div>
@@ -148,6 +164,9 @@ const Navbar = () => {
                   <NavLink to="/profile" className={`${linkClass({isActive: false})} w-full block`} onClick={() => setMenuOpen(false)}>
                     <LayoutDashboard size={18} /><span>My Dashboard</span>
                   </NavLink>
+                  <NavLink to="/settings/notifications" className={`${linkClass({isActive: false})} w-full block`} onClick={() => setMenuOpen(false)}>
+                    <Bell size={18} /><span>Notification Settings</span>
+                  </NavLink>
                   <button onClick={logout} className={`${navLinkBaseClasses} bg-red-500 text-white hover:bg-red-600 w-full justify-center`}>
                     <LogOut size={18} /><span>Logout</span>
                   </button>
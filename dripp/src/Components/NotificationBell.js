@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useAuth } from '../Context/AuthContext';
+import { useRealtime } from '../Context/RealtimeContext';
+import { useApi } from '../api/useApi';
+import { Bell, Eye, Star, CalendarCheck, Settings, Loader } from 'lucide-react';
+
+const typeIcons = {
+  profile_view: <Eye size={16} className="text-blue-400" />,
+  shortlist: <Star size={16} className="text-yellow-400" />,
+  booking: <CalendarCheck size={16} className="text-green-400" />,
+};
+
+const timeAgo = (timestamp) => {
+  const minutes = Math.floor((Date.now() - new Date(timestamp)) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(timestamp).toLocaleDateString();
+};
+
+// Bell icon with an unread badge and a dropdown of the latest notifications
+const NotificationBell = () => {
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const { token } = useAuth();
+  const api = useApi();
+  const { subscribe } = useRealtime();
+  const navigate = useNavigate();
+  const menuRef = useRef(null);
+
+  const loadNotifications = useCallback(async () => {
+    try {
+      const data = await api.get('/notifications?limit=15');
+      setNotifications(data.items);
+      setUnreadCount(data.unreadCount);
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    if (!token) return;
+    setIsLoading(true);
+    loadNotifications();
+  }, [token, loadNotifications]);
+
+  // New notifications are pushed over the realtime channel; resync after a reconnect
+  useEffect(() => {
+    const unsubscribeNew = subscribe('notification:new', (notification) => {
+      setNotifications(prev => [notification, ...prev.filter(item => item.id !== notification.id)]);
+      setUnreadCount(count => count + 1);
+    });
+    const unsubscribeReady = subscribe('ready', loadNotifications);
+    return () => {
+      unsubscribeNew();
+      unsubscribeReady();
+    };
+  }, [subscribe, loadNotifications]);
+
+  // Close the dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const markRead = (notification) => {
+    if (notification.read_at) return;
+    setNotifications(prev => prev.map(item => (item.id === notification.id ? { ...item, read_at: new Date().toISOString() } : item)));
+    setUnreadCount(count => Math.max(count - 1, 0));
+    api.put(`/notifications/${notification.id}/read`).catch(err => console.error('Error marking notification as read:', err));
+  };
+
+  const handleOpenNotification = (notification) => {
+    markRead(notification);
+    setOpen(false);
+    if (notification.link) navigate(notification.link);
+  };
+
+  const markAllRead = async () => {
+    try {
+      await api.put('/notifications/read-all');
+      setNotifications(prev => prev.map(item => ({ ...item, read_at: item.read_at || new Date().toISOString() })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error('Error marking notifications as read:', err);
+    }
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button onClick={() => setOpen(!open)} className="relative p-2 rounded-lg text-gray-300 hover:text-white hover:bg-gray-700 transition-colors" aria-label="Notifications">
+        <Bell size={20} />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 flex items-center justify-center rounded-full bg-red-500 text-white text-xs font-bold">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 10 }}
+            className="absolute right-0 mt-2 w-80 bg-gray-700 rounded-md shadow-lg z-20 overflow-hidden"
+          >
+            <div className="flex items-center justify-between px-4 py-2 border-b border-gray-600">
+              <span className="text-sm font-semibold text-white">Notifications</span>
+              {unreadCount > 0 && <button onClick={markAllRead} className="text-xs text-pink-400 hover:underline">Mark all as read</button>}
+            </div>
+            <div className="max-h-96 overflow-y-auto">
+              {isLoading ? (
+                <div className="flex justify-center py-6"><Loader className="animate-spin text-pink-400" size={20} /></div>
+              ) : notifications.length > 0 ? notifications.map(notification => (
+                <button
+                  key={notification.id}
+                  onClick={() => handleOpenNotification(notification)}
+                  className={`flex items-start gap-3 w-full text-left px-4 py-3 text-sm hover:bg-gray-600 ${notification.read_at ? 'text-gray-400' : 'text-gray-100 bg-gray-600/40'}`}
+                >
+                  <span className="mt-0.5">{typeIcons[notification.type]}</span>
+                  <span className="flex-1 min-w-0">
+                    <span className="block">{notification.title}</span>
+                    {notification.body && <span className="block text-xs text-gray-400 truncate">{notification.body}</span>}
+                    <span className="block text-xs text-gray-500 mt-0.5">{timeAgo(notification.created_at)}</span>
+                  </span>
+                  {!notification.read_at && <span className="mt-1.5 w-2 h-2 rounded-full bg-pink-400 shrink-0" />}
+                </button>
+              )) : (
+                <p className="px-4 py-6 text-center text-sm text-gray-400">You're all caught up.</p>
+              )}
+            </div>
+            <Link to="/settings/notifications" onClick={() => setOpen(false)} className="flex items-center gap-2 px-4 py-2 text-xs text-gray-300 hover:bg-gray-600 border-t border-gray-600">
+              <Settings size={14} /> Notification settings
+            </Link>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default NotificationBell;
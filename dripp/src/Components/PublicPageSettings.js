@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { useApi } from '../api/useApi';
+import { setQueryData } from '../api/queryCache';
+import { myProfileKey } from '../api/queries';
+import { Globe, Copy, Save, Loader, AlertTriangle, CheckCircle } from 'lucide-react';
+
+// Mirrors publicFieldGroups in server.js; name, main image and categories are always shown
+const publicFieldOptions = [
+  { value: 'bio', label: 'Bio' },
+  { value: 'gender', label: 'Gender' },
+  { value: 'gallery', label: 'Photo gallery' },
+  { value: 'measurements', label: 'Measurements' },
+  { value: 'appearance', label: 'Hair and eye colour' },
+  { value: 'location', label: 'City and travel' },
+  { value: 'availability', label: 'Availability' },
+  { value: 'portfolio', label: 'Portfolio link' },
+  { value: 'instagram', label: 'Instagram' },
+  { value: 'sample_video', label: 'Sample video' },
+];
+const defaultPublicFields = ['availability', 'bio', 'gallery'];
+
+// A suggested address from the talent's name, e.g. "Anna Singh" -> "anna-singh"
+const suggestSlug = (name = '') => name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-').slice(0, 40).replace(/^[^a-z]+|-+$/g, '');
+
+// Lets talent share their profile with people who don't have an account, at an address they choose
+const PublicPageSettings = ({ profile }) => {
+  const [enabled, setEnabled] = useState(!!profile.public_profile);
+  const [slug, setSlug] = useState(profile.slug || suggestSlug(profile.name));
+  const [fields, setFields] = useState(profile.public_fields || defaultPublicFields);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const api = useApi();
+
+  const pageUrl = profile.public_profile
+    ? `${window.location.origin}${profile.slug ? `/t/${profile.slug}` : `/profile/${profile.user_id}`}`
+    : null;
+
+  const toggleField = (field) => {
+    setFields(prev => (prev.includes(field) ? prev.filter(item => item !== field) : [...prev, field]));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      const data = await api.put('/models/my-profile/public-page', { enabled, slug, fields });
+      setQueryData(myProfileKey, current => ({ ...current, slug: data.slug, public_profile: data.public_profile, public_fields: data.public_fields }));
+      setSlug(data.slug || '');
+      setMessage({ type: 'success', text: data.message });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(pageUrl);
+      setMessage({ type: 'success', text: 'Link copied.' });
+    } catch (err) {
+      setMessage({ type: 'error', text: 'Could not copy the link. Select it and copy it instead.' });
+    }
+  };
+
+  return (
+    <section className="p-8">
+      <h3 className="flex items-center gap-2 text-lg font-semibold text-gray-700 border-b pb-2 mb-4"><Globe size={20} /> Public Page</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        A public page can be opened by anyone with the link, including clients without an account. It always shows your name,
+        main image and categories; choose what else to include below.
+      </p>
+      {message && (
+        <div className={`flex items-center gap-2 p-3 rounded-lg mb-4 text-sm border ${message.type === 'error' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'}`}>
+          {message.type === 'error' ? <AlertTriangle size={16} /> : <CheckCircle size={16} />} {message.text}
+        </div>
+      )}
+      {pageUrl && (
+        <div className="flex flex-wrap items-center gap-3 p-3 rounded-lg mb-4 bg-gray-50 border text-sm">
+          <a href={pageUrl} target="_blank" rel="noopener noreferrer" className="flex-1 min-w-[12rem] text-pink-600 font-semibold break-all hover:underline">{pageUrl}</a>
+          <button type="button" onClick={copyLink} className="flex items-center gap-2 px-3 py-1.5 rounded-lg font-semibold bg-gray-200 hover:bg-gray-300 text-gray-800">
+            <Copy size={14} /> Copy Link
+          </button>
+        </div>
+      )}
+      <form onSubmit={handleSave} className="space-y-4">
+        <label className="flex items-center gap-3 font-medium text-gray-700">
+          <input type="checkbox" checked={enabled} onChange={(e) => setEnabled(e.target.checked)} className="h-4 w-4 accent-pink-600" />
+          Make my profile public
+        </label>
+        <div className="space-y-2">
+          <label htmlFor="public-page-slug" className="font-medium text-gray-700">Page address</label>
+          <div className="flex items-center border rounded-lg overflow-hidden focus-within:ring-2 focus-within:ring-pink-500">
+            <span className="px-3 py-2 bg-gray-100 text-gray-500 text-sm whitespace-nowrap">{window.location.host}/t/</span>
+            <input
+              id="public-page-slug"
+              type="text"
+              value={slug}
+              onChange={(e) => setSlug(e.target.value.toLowerCase())}
+              placeholder="your-name"
+              maxLength={40}
+              className="flex-1 min-w-0 p-2 outline-none"
+            />
+          </div>
+          <p className="text-xs text-gray-500">Lowercase letters, numbers and hyphens. Leave it empty to share your profile by its number instead.</p>
+        </div>
+        <fieldset>
+          <legend className="font-medium text-gray-700 mb-2">Also show</legend>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+            {publicFieldOptions.map(option => (
+              <label key={option.value} className="flex items-center gap-2 text-sm text-gray-700">
+                <input type="checkbox" checked={fields.includes(option.value)} onChange={() => toggleField(option.value)} className="h-4 w-4 accent-pink-600" />
+                {option.label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg font-semibold bg-pink-600 hover:bg-pink-700 text-white disabled:opacity-50"
+        >
+          {isSaving ? <Loader className="animate-spin" size={16} /> : <Save size={16} />} Save Public Page
+        </button>
+      </form>
+    </section>
+  );
+};
+
+export default PublicPageSettings;
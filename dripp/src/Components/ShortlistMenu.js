@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useApi } from '../api/useApi';
+import { Star, Check, Plus, Loader } from 'lucide-react';
+
+// Dropdown that adds a profile (modelId) or an editor video (videoId) to any of the recruiter's named shortlists
+const ShortlistMenu = ({ modelId, videoId, className = '' }) => {
+  const [open, setOpen] = useState(false);
+  const [shortlists, setShortlists] = useState([]);
+  const [newListName, setNewListName] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const api = useApi();
+  const menuRef = useRef(null);
+
+  const loadShortlists = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setShortlists(await api.get('/shortlists'));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Close the dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const findItem = (list) => list.items.find(item => (modelId ? item.model_id === modelId : item.video_id === videoId));
+
+  const handleToggleOpen = () => {
+    if (!open) loadShortlists();
+    setOpen(!open);
+  };
+
+  const toggleMembership = async (list) => {
+    setError(null);
+    try {
+      const item = findItem(list);
+      if (item) {
+        await api.delete(`/shortlists/${list.id}/items/${item.id}`);
+      } else {
+        await api.post(`/shortlists/${list.id}/items`, modelId ? { modelId } : { videoId });
+      }
+      await loadShortlists();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const createList = async (e) => {
+    e.preventDefault();
+    if (!newListName.trim()) return;
+    setError(null);
+    try {
+      const list = await api.post('/shortlists', { name: newListName });
+      setNewListName('');
+      await toggleMembership(list);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button type="button" onClick={handleToggleOpen} className={className}>
+        <Star size={16} className="mr-2" /> Shortlist
+      </button>
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 10 }}
+            className="absolute left-0 bottom-full mb-2 w-64 bg-white text-gray-800 rounded-lg shadow-xl border z-30 p-2"
+          >
+            <p className="px-2 py-1 text-xs font-semibold text-gray-500 uppercase">Add to shortlist</p>
+            {isLoading ? (
+              <div className="flex justify-center py-3"><Loader className="animate-spin text-pink-500" size={20} /></div>
+            ) : (
+              shortlists.map(list => (
+                <button
+                  key={list.id}
+                  type="button"
+                  onClick={() => toggleMembership(list)}
+                  className="flex items-center justify-between w-full text-left px-2 py-2 text-sm rounded hover:bg-gray-100"
+                >
+                  <span className="truncate">{list.name}</span>
+                  {findItem(list) && <Check size={16} className="text-green-500" />}
+                </button>
+              ))
+            )}
+            <form onSubmit={createList} className="flex gap-1 mt-2 border-t pt-2">
+              <input
+                type="text"
+                placeholder="New list, e.g. Runway Feb"
+                value={newListName}
+                onChange={(e) => setNewListName(e.target.value)}
+                className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-pink-500 focus:border-pink-500"
+              />
+              <button type="submit" className="p-1.5 bg-pink-500 text-white rounded hover:bg-pink-600"><Plus size={16} /></button>
+            </form>
+            {error && <p className="px-2 pt-2 text-xs text-red-500">{error}</p>}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default ShortlistMenu;
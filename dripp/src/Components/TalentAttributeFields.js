@@ -0,0 +1,145 @@
+import React from 'react';
+
+// Keep these lists in sync with the validation in Backend/server.js
+export const talentCategories = ['Fashion', 'Commercial', 'Runway', 'Editorial', 'Fitness', 'Plus Size'];
+export const hairColours = ['Black', 'Brown', 'Blonde', 'Red', 'Grey', 'Other'];
+export const eyeColours = ['Brown', 'Blue', 'Green', 'Hazel', 'Grey', 'Other'];
+export const availabilityOptions = [
+  { value: 'available', label: 'Available' },
+  { value: 'limited', label: 'Limited availability' },
+  { value: 'unavailable', label: 'Not available' },
+];
+
+export const measurementFields = [
+  { name: 'height_cm', label: 'Height (cm)', min: 120, max: 220, step: 1 },
+  { name: 'bust_cm', label: 'Bust (cm)', min: 50, max: 160, step: 1 },
+  { name: 'waist_cm', label: 'Waist (cm)', min: 40, max: 160, step: 1 },
+  { name: 'hips_cm', label: 'Hips (cm)', min: 50, max: 170, step: 1 },
+  { name: 'shoe_size', label: 'Shoe Size (EU)', min: 30, max: 50, step: 0.5 },
+];
+
+export const emptyTalentAttributes = {
+  height_cm: '', bust_cm: '', waist_cm: '', hips_cm: '', shoe_size: '',
+  hair_colour: '', eye_colour: '', city: '', willing_to_travel: false, availability: 'available', categories: [],
+};
+
+// Appends the attributes to a multipart FormData body the way POST /api/models expects them
+export const appendTalentAttributes = (formData, attributes) => {
+  Object.entries(attributes).forEach(([key, value]) => {
+    if (key === 'categories') value.forEach(category => formData.append('categories', category));
+    else formData.append(key, value ?? '');
+  });
+};
+
+// Form inputs for the structured talent attributes. `values` holds the attribute fields and
+// `onChange(name, value)` is called with the new value of a single field.
+const TalentAttributeFields = ({ values, onChange, showMeasurements = true, inputClassName = '' }) => {
+  const toggleCategory = (category) => {
+    const current = values.categories || [];
+    onChange('categories', current.includes(category) ? current.filter(c => c !== category) : [...current, category]);
+  };
+
+  return (
+    <div className="space-y-4">
+      {showMeasurements && (
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+          {measurementFields.map(field => (
+            <div key={field.name} className="space-y-2">
+              <label htmlFor={field.name} className="font-medium text-gray-700">{field.label}</label>
+              <input
+                id={field.name}
+                type="number"
+                min={field.min}
+                max={field.max}
+                step={field.step}
+                value={values[field.name] ?? ''}
+                onChange={(e) => onChange(field.name, e.target.value)}
+                className={inputClassName}
+              />
+            </div>
+          ))}
+          <div className="space-y-2">
+            <label htmlFor="hair_colour" className="font-medium text-gray-700">Hair Colour</label>
+            <select id="hair_colour" value={values.hair_colour || ''} onChange={(e) => onChange('hair_colour', e.target.value)} className={inputClassName}>
+              <option value="">Select...</option>
+              {hairColours.map(colour => <option key={colour}>{colour}</option>)}
+            </select>
+          </div>
+          <div className="space-y-2">
+            <label htmlFor="eye_colour" className="font-medium text-gray-700">Eye Colour</label>
+            <select id="eye_colour" value={values.eye_colour || ''} onChange={(e) => onChange('eye_colour', e.target.value)} className={inputClassName}>
+              <option value="">Select...</option>
+              {eyeColours.map(colour => <option key={colour}>{colour}</option>)}
+            </select>
+          </div>
+        </div>
+      )}
+      <div className="grid md:grid-cols-3 gap-4">
+        <div className="space-y-2">
+          <label htmlFor="city" className="font-medium text-gray-700">City</label>
+          <input id="city" type="text" placeholder="e.g., Mumbai" value={values.city || ''} onChange={(e) => onChange('city', e.target.value)} className={inputClassName} />
+        </div>
+        <div className="space-y-2">
+          <label htmlFor="availability" className="font-medium text-gray-700">Availability</label>
+          <select id="availability" value={values.availability || 'available'} onChange={(e) => onChange('availability', e.target.value)} className={inputClassName}>
+            {availabilityOptions.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        </div>
+        <label className="flex items-center gap-3 md:mt-8 font-medium text-gray-700 cursor-pointer">
+          <input type="checkbox" checked={!!values.willing_to_travel} onChange={(e) => onChange('willing_to_travel', e.target.checked)} className="h-5 w-5 accent-pink-500" />
+          Willing to travel
+        </label>
+      </div>
+      <div className="space-y-2">
+        <span className="font-medium text-gray-700">Categories</span>
+        <div className="flex flex-wrap gap-2">
+          {talentCategories.map(category => (
+            <button
+              key={category}
+              type="button"
+              onClick={() => toggleCategory(category)}
+              className={`px-3 py-1.5 rounded-full text-sm font-semibold border transition ${(values.categories || []).includes(category) ? 'bg-pink-500 text-white border-pink-500' : 'bg-white text-gray-700 border-gray-300 hover:border-pink-400'}`}
+            >
+              {category}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Read-only summary of the attributes a profile has filled in
+export const TalentAttributeSummary = ({ profile }) => {
+  const rows = [
+    ...measurementFields.map(field => [field.label, profile[field.name]]),
+    ['Hair Colour', profile.hair_colour],
+    ['Eye Colour', profile.eye_colour],
+    ['City', profile.city],
+    // Missing from public pages that don't share the location
+    ['Willing to travel', profile.willing_to_travel === undefined ? null : profile.willing_to_travel ? 'Yes' : 'No'],
+    ['Availability', availabilityOptions.find(option => option.value === profile.availability)?.label],
+  ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+  return (
+    <div className="space-y-3">
+      {profile.categories?.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {profile.categories.map(category => (
+            <span key={category} className="px-3 py-1 rounded-full text-xs font-bold bg-pink-100 text-pink-800">{category}</span>
+          ))}
+        </div>
+      )}
+      <dl className="grid grid-cols-2 gap-x-6 gap-y-2 text-sm">
+        {rows.map(([label, value]) => (
+          <div key={label} className="flex justify-between border-b border-gray-100 py-1">
+            <dt className="text-gray-500">{label}</dt>
+            <dd className="font-semibold text-gray-800">{value}</dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+};
+
+export default TalentAttributeFields;
@@ -0,0 +1,72 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../Context/AuthContext';
+import { useApi } from '../api/useApi';
+import { ShieldCheck, Loader, AlertTriangle } from 'lucide-react';
+
+// Admin card for choosing which roles must use two-factor authentication
+const TwoFactorPolicies = () => {
+  const [policies, setPolicies] = useState(null);
+  const [savingRole, setSavingRole] = useState(null);
+  const [error, setError] = useState(null);
+  const { token } = useAuth();
+  const api = useApi();
+
+  const fetchPolicies = useCallback(async () => {
+    try {
+      setPolicies(await api.get('/auth/2fa/policies'));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    if (token) fetchPolicies();
+  }, [token, fetchPolicies]);
+
+  const togglePolicy = async (role, required) => {
+    if (required && !window.confirm(`Require two-factor authentication for every ${role}? Those without it will have to set it up at their next login.`)) return;
+    setSavingRole(role);
+    setError(null);
+    try {
+      await api.put(`/auth/2fa/policies/${role}`, { required });
+      setPolicies(prev => prev.map(policy => (policy.role === role ? { ...policy, required } : policy)));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSavingRole(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6 mb-8">
+      <h2 className="flex items-center gap-2 text-2xl font-semibold text-gray-800 mb-1"><ShieldCheck className="text-pink-600" /> Two-Factor Authentication</h2>
+      <p className="text-sm text-gray-500 mb-4">Roles switched on here must sign in with an authenticator code. The change applies from each user's next login.</p>
+      {error && (
+        <div className="flex items-center gap-2 bg-red-50 border border-red-200 text-red-700 p-3 rounded-lg mb-4 text-sm">
+          <AlertTriangle size={16} /> {error}
+        </div>
+      )}
+      {!policies ? (
+        <Loader className="animate-spin text-pink-600" size={24} />
+      ) : (
+        <div className="flex flex-wrap gap-3">
+          {policies.map(policy => (
+            <label key={policy.role} className="flex items-center gap-2 px-4 py-2 border rounded-lg cursor-pointer text-gray-800 capitalize">
+              <input
+                type="checkbox"
+                checked={policy.required}
+                disabled={savingRole !== null}
+                onChange={(e) => togglePolicy(policy.role, e.target.checked)}
+                className="h-4 w-4 accent-pink-600"
+              />
+              {policy.role}s
+              {savingRole === policy.role && <Loader className="animate-spin text-gray-400" size={14} />}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorPolicies;
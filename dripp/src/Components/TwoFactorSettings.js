@@ -0,0 +1,146 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../Context/AuthContext';
+import { useApi } from '../api/useApi';
+import { TotpEnrolment, RecoveryCodes } from './TwoFactorSetup';
+import { ShieldCheck, ShieldOff, RefreshCw, Loader, AlertTriangle, CheckCircle } from 'lucide-react';
+
+const confirmActions = {
+  disable: { label: 'Turn Off', prompt: 'Enter a code from your authenticator app (or a recovery code) to turn off two-factor authentication.' },
+  regenerate: { label: 'Generate New Codes', prompt: 'Enter a code from your authenticator app (or a recovery code) to replace your recovery codes.' },
+};
+
+// Two-factor authentication status for the signed-in user, with setup, recovery codes and turning it off
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [code, setCode] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [message, setMessage] = useState(null);
+  const { token } = useAuth();
+  const api = useApi();
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      setStatus(await api.get('/auth/2fa'));
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    }
+  }, [api]);
+
+  useEffect(() => {
+    if (token) fetchStatus();
+  }, [token, fetchStatus]);
+
+  const run = async (request) => {
+    setIsSubmitting(true);
+    setMessage(null);
+    try {
+      await request();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const startSetup = () => run(async () => setSetup(await api.post('/auth/2fa/setup')));
+
+  const confirmSetup = (setupCode) => run(async () => {
+    const data = await api.post('/auth/2fa/enable', { code: setupCode });
+    setSetup(null);
+    setRecoveryCodes(data.recoveryCodes);
+    setMessage({ type: 'success', text: data.message });
+    await fetchStatus();
+  });
+
+  const handleConfirmAction = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = pendingAction === 'disable'
+        ? await api.delete('/auth/2fa', { body: { code } })
+        : await api.post('/auth/2fa/recovery-codes', { code });
+      if (data.recoveryCodes) setRecoveryCodes(data.recoveryCodes);
+      setPendingAction(null);
+      setCode('');
+      setMessage({ type: 'success', text: data.message });
+      await fetchStatus();
+    });
+  };
+
+  return (
+    <section className="p-8">
+      <h3 className="text-lg font-semibold text-gray-700 border-b pb-2 mb-4">Two-Factor Authentication</h3>
+      {message && (
+        <div className={`flex items-center gap-2 p-3 rounded-lg mb-4 text-sm ${message.type === 'success' ? 'bg-green-50 border border-green-200 text-green-700' : 'bg-red-50 border border-red-200 text-red-700'}`}>
+          {message.type === 'success' ? <CheckCircle size={16} /> : <AlertTriangle size={16} />} {message.text}
+        </div>
+      )}
+      {!status ? (
+        <div className="flex justify-center py-8"><Loader className="animate-spin text-pink-500" size={32} /></div>
+      ) : (
+        <div className="bg-white border rounded-xl p-5 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <p className="flex items-center gap-2 font-semibold text-gray-800">
+              {status.enabled ? <ShieldCheck className="text-green-500" size={20} /> : <ShieldOff className="text-gray-400" size={20} />}
+              {status.enabled ? 'On' : 'Off'}
+              {status.required && <span className="text-xs font-bold px-2 py-0.5 rounded-full bg-pink-100 text-pink-700">Required for your role</span>}
+            </p>
+            {status.enabled && (
+              <p className="text-sm text-gray-500">{status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left</p>
+            )}
+          </div>
+
+          {recoveryCodes ? (
+            <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+          ) : setup ? (
+            <div className="max-w-sm">
+              <TotpEnrolment setup={setup} onSubmit={confirmSetup} isSubmitting={isSubmitting} />
+              <button type="button" onClick={() => setSetup(null)} className="mt-3 text-sm font-medium text-gray-500 hover:underline">Cancel</button>
+            </div>
+          ) : pendingAction ? (
+            <form onSubmit={handleConfirmAction} className="space-y-3 max-w-sm">
+              <p className="text-sm text-gray-600">{confirmActions[pendingAction].prompt}</p>
+              <input
+                autoFocus
+                autoComplete="one-time-code"
+                placeholder="Authentication code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-pink-500 focus:border-pink-500 tracking-widest"
+                required
+              />
+              <div className="flex gap-2">
+                <button type="submit" disabled={isSubmitting} className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-semibold bg-pink-600 hover:bg-pink-700 text-white disabled:opacity-50">
+                  {isSubmitting && <Loader className="animate-spin" size={16} />} {confirmActions[pendingAction].label}
+                </button>
+                <button type="button" onClick={() => { setPendingAction(null); setCode(''); }} className="px-4 py-2 rounded-lg text-sm font-semibold bg-gray-200 hover:bg-gray-300 text-gray-800">Cancel</button>
+              </div>
+            </form>
+          ) : status.enabled ? (
+            <div className="flex flex-wrap gap-2">
+              <button type="button" onClick={() => setPendingAction('regenerate')} className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-semibold bg-gray-200 hover:bg-gray-300 text-gray-800">
+                <RefreshCw size={16} /> New Recovery Codes
+              </button>
+              {!status.required && (
+                <button type="button" onClick={() => setPendingAction('disable')} className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-semibold bg-red-500 hover:bg-red-600 text-white">
+                  <ShieldOff size={16} /> Turn Off
+                </button>
+              )}
+            </div>
+          ) : (
+            <div className="space-y-3">
+              <p className="text-sm text-gray-600">Protect your account with a code from an authenticator app in addition to your password.</p>
+              <button type="button" onClick={startSetup} disabled={isSubmitting} className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-semibold bg-pink-600 hover:bg-pink-700 text-white disabled:opacity-50">
+                {isSubmitting ? <Loader className="animate-spin" size={16} /> : <ShieldCheck size={16} />} Set Up Two-Factor Authentication
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { Loader, ShieldCheck, Copy, Download, KeyRound } from 'lucide-react';
+
+// Scan-or-type step of authenticator setup, followed by the first code to confirm it worked.
+// `setup` is the { secret, qrCode } returned by the API.
+export const TotpEnrolment = ({ setup, onSubmit, isSubmitting }) => {
+  const [code, setCode] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(code);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      <ol className="list-decimal list-inside space-y-1 text-sm text-gray-600">
+        <li>Open an authenticator app such as Google Authenticator, 1Password or Authy.</li>
+        <li>Scan the QR code, or enter the key by hand.</li>
+        <li>Type the 6-digit code the app shows.</li>
+      </ol>
+      <div className="flex flex-col items-center gap-3">
+        <img src={setup.qrCode} alt="Authenticator QR code" className="w-44 h-44 border rounded-lg" />
+        <code className="px-3 py-1.5 rounded bg-gray-100 text-gray-800 text-sm tracking-wider break-all">{setup.secret}</code>
+      </div>
+      <div className="relative">
+        <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+        <input
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          placeholder="6-digit code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          className="w-full pl-10 pr-4 py-3 text-gray-900 border border-gray-300 rounded-lg focus:ring-pink-500 focus:border-pink-500 transition tracking-widest"
+          required
+        />
+      </div>
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="w-full flex justify-center items-center gap-2 bg-pink-500 hover:bg-pink-600 text-white p-3 rounded-lg font-bold transition-all duration-300 disabled:bg-pink-300"
+      >
+        {isSubmitting ? <Loader className="animate-spin" size={18} /> : <ShieldCheck size={18} />} Turn On Two-Factor Authentication
+      </button>
+    </form>
+  );
+};
+
+// Shows freshly issued recovery codes once, with ways to keep a copy
+export const RecoveryCodes = ({ codes, onDone, doneLabel = "I've saved these codes" }) => {
+  const [copied, setCopied] = useState(false);
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(text);
+    setCopied(true);
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Keep these recovery codes somewhere safe. Each one works once, in place of an authenticator code, if you lose your device. They won't be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 p-4 rounded-lg bg-gray-100 font-mono text-sm text-gray-800">
+        {codes.map(code => <li key={code}>{code}</li>)}
+      </ul>
+      <div className="flex gap-2">
+        <button type="button" onClick={handleCopy} className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-semibold bg-gray-200 hover:bg-gray-300 text-gray-800">
+          <Copy size={16} /> {copied ? 'Copied' : 'Copy'}
+        </button>
+        <button type="button" onClick={handleDownload} className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-semibold bg-gray-200 hover:bg-gray-300 text-gray-800">
+          <Download size={16} /> Download
+        </button>
+      </div>
+      {onDone && (
+        <button type="button" onClick={onDone} className="w-full bg-pink-500 hover:bg-pink-600 text-white p-3 rounded-lg font-bold transition-all duration-300">
+          {doneLabel}
+        </button>
+      )}
+    </div>
+  );
+};
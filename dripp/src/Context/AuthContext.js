@@ -1,40 +1,148 @@
-import React, { createContext, useState, useContext, useEffect } from 'react';
+import React, { createContext, useState, useContext, useEffect, useCallback, useRef } from 'react';
+import { apiRequest } from '../api/client';
+import { clearQueryCache } from '../api/queryCache';
+
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+// Wait before trying again when a refresh fails for a reason other than the session ending (e.g. offline)
+const REFRESH_RETRY_MS = 30 * 1000;
+
+// Reads the expiry time (in ms) out of a JWT; the signature is the server's concern
+const getTokenExpiry = (jwt) => {
+    try {
+        const payload = JSON.parse(atob(jwt.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return payload.exp * 1000;
+    } catch (error) {
+        return 0;
+    }
+};
 
 // Create the context
 const AuthContext = createContext(null);
 
-// Create a provider component
+// Create a provider component. The access token is short-lived; the refresh token lives in an
+// httpOnly cookie that only the /api/auth routes can see, and is swapped for a new access token
+// shortly before the current one expires.
 export const AuthProvider = ({ children }) => {
     const [user, setUser] = useState(null);
     const [token, setToken] = useState(null);
+    const refreshRequestRef = useRef(null);
 
-    // On initial load, check localStorage for existing session
-    useEffect(() => {
-        const storedToken = localStorage.getItem('token');
-        const storedUser = localStorage.getItem('user');
-
-        // For a session to be valid, we need both the user object and the token
-        if (storedToken && storedUser) {
-            setUser(JSON.parse(storedUser));
-            setToken(storedToken);
-        }
-    }, []);
-
-    // Login function updates state and localStorage
-    const login = (userData, userToken) => {
+    const storeSession = useCallback((userData, userToken) => {
         localStorage.setItem('token', userToken);
         localStorage.setItem('user', JSON.stringify(userData));
         setToken(userToken);
         setUser(userData);
-    };
+    }, []);
 
-    // Logout function clears state and localStorage
-    const logout = () => {
+    const clearSession = useCallback(() => {
         localStorage.removeItem('token');
         localStorage.removeItem('user');
+        clearQueryCache();
         setToken(null);
         setUser(null);
-    };
+    }, []);
+
+    // Resolves to the new access token, or null if it couldn't get one. Concurrent callers share a
+    // single request, and a 401 means the session is over, so the user is signed out.
+    const refreshSession = useCallback(() => {
+        if (!refreshRequestRef.current) {
+            refreshRequestRef.current = (async () => {
+                try {
+                    // Safe to retry: if a lost response had already rotated the token, the old one is honoured for a short grace period
+                    const data = await apiRequest('/auth/refresh', { method: 'POST', credentials: 'include', retries: 2 });
+                    storeSession(data.user, data.token);
+                    return data.token;
+                } catch (error) {
+                    if (error.status === 401) {
+                        clearSession();
+                        return null;
+                    }
+                    console.error('Error refreshing session:', error);
+                    return null;
+                } finally {
+                    refreshRequestRef.current = null;
+                }
+            })();
+        }
+        return refreshRequestRef.current;
+    }, [clearSession, storeSession]);
+
+    // On initial load, restore the session from localStorage, refreshing first if the token has run out
+    useEffect(() => {
+        const storedToken = localStorage.getItem('token');
+        const storedUser = localStorage.getItem('user');
+        if (!storedUser) return;
+
+        setUser(JSON.parse(storedUser));
+        if (storedToken && getTokenExpiry(storedToken) - REFRESH_MARGIN_MS > Date.now()) {
+            setToken(storedToken);
+            return;
+        }
+
+        let timer;
+        let cancelled = false;
+        const restore = async () => {
+            const refreshed = await refreshSession();
+            // A session that has ended is cleared from storage; anything else (offline, API asleep) is worth another try
+            if (!refreshed && !cancelled && localStorage.getItem('user')) timer = setTimeout(restore, REFRESH_RETRY_MS);
+        };
+        restore();
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [refreshSession]);
+
+    // Refresh silently shortly before the access token expires
+    useEffect(() => {
+        if (!token) return;
+        let timer;
+        let cancelled = false;
+        const schedule = (delay) => {
+            timer = setTimeout(async () => {
+                const refreshed = await refreshSession();
+                if (!refreshed && !cancelled) schedule(REFRESH_RETRY_MS);
+            }, delay);
+        };
+        schedule(Math.max(getTokenExpiry(token) - REFRESH_MARGIN_MS - Date.now(), 0));
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [token, refreshSession]);
+
+    // Keep other tabs in step: adopt a token another tab refreshed, and follow its logins and logouts
+    useEffect(() => {
+        const handleStorage = (event) => {
+            if (event.key === 'token') setToken(event.newValue);
+            if (event.key === 'user') setUser(event.newValue ? JSON.parse(event.newValue) : null);
+        };
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, []);
+
+    // Login function updates state and localStorage. Cached responses may belong to whoever was signed in before.
+    const login = useCallback((userData, userToken) => {
+        clearQueryCache();
+        storeSession(userData, userToken);
+    }, [storeSession]);
+
+    // Logout ends the session on the server as well, so its refresh token can't be used again
+    const logout = useCallback(() => {
+        apiRequest('/auth/logout', { method: 'POST', credentials: 'include' })
+            .catch(error => console.error('Error logging out:', error));
+        clearSession();
+    }, [clearSession]);
+
+    // Merges changed account details (e.g. after an admin edit) into the stored user
+    const updateUser = useCallback((changes) => {
+        setUser(prev => {
+            const updated = { ...prev, ...changes };
+            localStorage.setItem('user', JSON.stringify(updated));
+            return updated;
+        });
+    }, []);
 
     // Value provided to child components
     const authContextValue = {
@@ -42,6 +150,8 @@ export const AuthProvider = ({ children }) => {
         token,
         login,
         logout,
+        updateUser,
+        refreshSession,
         isAuthenticated: !!user, // User is authenticated if the user object exists
     };
 
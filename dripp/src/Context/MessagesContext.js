@@ -0,0 +1,51 @@
+import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { useRealtime } from './RealtimeContext';
+import { useApi } from '../api/useApi';
+
+// Create the context
+const MessagesContext = createContext(null);
+
+// Keeps the signed-in user's unread message count available to the navbar and the messages page
+export const MessagesProvider = ({ children }) => {
+    const { token } = useAuth();
+    const api = useApi();
+    const { subscribe } = useRealtime();
+    const [unreadCount, setUnreadCount] = useState(0);
+
+    const refreshUnreadCount = useCallback(async () => {
+        if (!token) return;
+        try {
+            const data = await api.get('/messages/unread-count');
+            setUnreadCount(data.count);
+        } catch (error) {
+            console.error('Error fetching unread messages:', error);
+        }
+    }, [token, api]);
+
+    // Recount on sign-in, whenever a message arrives and after reconnecting; reset on logout
+    useEffect(() => {
+        if (!token) {
+            setUnreadCount(0);
+            return;
+        }
+        refreshUnreadCount();
+        const unsubscribeMessage = subscribe('message:new', refreshUnreadCount);
+        const unsubscribeReady = subscribe('ready', refreshUnreadCount);
+        return () => {
+            unsubscribeMessage();
+            unsubscribeReady();
+        };
+    }, [token, subscribe, refreshUnreadCount]);
+
+    return (
+        <MessagesContext.Provider value={{ unreadCount, refreshUnreadCount }}>
+            {children}
+        </MessagesContext.Provider>
+    );
+};
+
+// Custom hook to easily access the context
+export const useMessages = () => {
+    return useContext(MessagesContext);
+};
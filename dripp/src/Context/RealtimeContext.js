@@ -0,0 +1,93 @@
+import React, { createContext, useState, useContext, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import { SOCKET_URL } from '../api/client';
+
+const MAX_RECONNECT_DELAY_MS = 30000;
+// Close code the server uses for a missing, invalid or expired token
+const UNAUTHORIZED_CLOSE_CODE = 4001;
+
+// Create the context
+const RealtimeContext = createContext(null);
+
+// Holds a single WebSocket to the API while the user is signed in and fans its events out to
+// subscribers. Events are { type, data }; a 'ready' event is sent on every (re)connect so
+// subscribers can catch up on anything missed while disconnected.
+export const RealtimeProvider = ({ children }) => {
+    const { token, user, logout, updateUser, refreshSession } = useAuth();
+    const [isConnected, setIsConnected] = useState(false);
+    const listenersRef = useRef(new Map());
+
+    // Registers a handler for one event type and returns the function that removes it
+    const subscribe = useCallback((type, handler) => {
+        if (!listenersRef.current.has(type)) listenersRef.current.set(type, new Set());
+        listenersRef.current.get(type).add(handler);
+        return () => listenersRef.current.get(type).delete(handler);
+    }, []);
+
+    useEffect(() => {
+        if (!token) return;
+        let socket;
+        let retryTimer;
+        let attempts = 0;
+        let closedByClient = false;
+
+        const connect = () => {
+            socket = new WebSocket(`${SOCKET_URL}?token=${encodeURIComponent(token)}`);
+            socket.onopen = () => setIsConnected(true);
+            socket.onmessage = (event) => {
+                const { type, data } = JSON.parse(event.data);
+                // The server only says 'ready' once it has accepted the token, so a rejected one keeps backing off
+                if (type === 'ready') attempts = 0;
+                (listenersRef.current.get(type) || []).forEach(handler => handler(data));
+            };
+            // Reconnect with exponential backoff. If the server rejected the token, refresh it first; the
+            // new token reconnects through this effect (or the session has ended and we sign out). A refresh
+            // that fails for another reason (e.g. offline) falls back to the backoff.
+            const scheduleReconnect = () => {
+                retryTimer = setTimeout(connect, Math.min(MAX_RECONNECT_DELAY_MS, 1000 * 2 ** attempts));
+                attempts += 1;
+            };
+            socket.onclose = async (event) => {
+                setIsConnected(false);
+                if (closedByClient) return;
+                if (event.code === UNAUTHORIZED_CLOSE_CODE) {
+                    const refreshed = await refreshSession();
+                    if (!refreshed && !closedByClient) scheduleReconnect();
+                    return;
+                }
+                scheduleReconnect();
+            };
+        };
+
+        connect();
+        return () => {
+            closedByClient = true;
+            clearTimeout(retryTimer);
+            socket.close();
+        };
+    }, [token, refreshSession]);
+
+    // Admin changes to the signed-in account. A new role needs a new access token, which a refresh picks up.
+    useEffect(() => {
+        const unsubscribeUpdated = subscribe('account:updated', (changes) => {
+            if (changes.role !== user?.role) refreshSession();
+            else updateUser({ name: changes.name, email: changes.email });
+        });
+        const unsubscribeDeleted = subscribe('account:deleted', () => logout());
+        return () => {
+            unsubscribeUpdated();
+            unsubscribeDeleted();
+        };
+    }, [subscribe, user, logout, updateUser, refreshSession]);
+
+    return (
+        <RealtimeContext.Provider value={{ isConnected, subscribe }}>
+            {children}
+        </RealtimeContext.Provider>
+    );
+};
+
+// Custom hook to easily access the context
+export const useRealtime = () => {
+    return useContext(RealtimeContext);
+};
@@ -0,0 +1,82 @@
+// Base address of the backend. Set REACT_APP_API_URL (e.g. http://localhost:5000 in .env.local) to point
+// the app at another server; the WebSocket endpoint follows it.
+export const API_ORIGIN = (process.env.REACT_APP_API_URL || 'https://modelconnect-api.onrender.com').replace(/\/+$/, '');
+export const API_URL = `${API_ORIGIN}/api`;
+export const SOCKET_URL = `${API_ORIGIN.replace(/^http/, 'ws')}/ws`;
+
+// Gateway errors worth another try: Render answers with these while the API is waking up or redeploying
+const RETRYABLE_STATUSES = [502, 503, 504];
+const GET_RETRIES = 2;
+const RETRY_DELAY_MS = 500;
+
+// A failed request. `status` is the HTTP status (0 when the server couldn't be reached) and `data` the
+// parsed error body, if there was one.
+export class ApiError extends Error {
+  constructor(message, status = 0, data = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// Reads the body as text first: an error page from a proxy or a crashed route is HTML, and res.json()
+// would only report a syntax error
+const parseResponse = async (res, path) => {
+  const text = await res.text();
+  let data = null;
+  if (text) {
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new ApiError(
+        res.ok
+          ? `Server sent an unexpected response for ${path}.`
+          : `Server returned a non-JSON error (Status: ${res.status}). Check the backend logs for the ${path} route.`,
+        res.status
+      );
+    }
+  }
+  if (!res.ok) throw new ApiError(data?.message || `Request failed (Status: ${res.status}).`, res.status, data);
+  return data;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Sends a request to `${API_URL}${path}` and resolves to the parsed JSON body, or to the Response itself
+// with `raw: true` (e.g. for file downloads). Plain object bodies are sent as JSON and FormData as-is.
+// GETs are retried on network and gateway errors; other methods only when `retries` is given, since
+// repeating them could apply a change twice.
+export const apiRequest = async (path, { method = 'GET', body, token, headers, retries, raw = false, signal, credentials } = {}) => {
+  const isJson = body !== undefined && !(body instanceof FormData);
+  const init = {
+    method,
+    signal,
+    credentials,
+    headers: {
+      ...(isJson && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers
+    },
+    body: isJson ? JSON.stringify(body) : body
+  };
+  const maxRetries = retries ?? (method === 'GET' ? GET_RETRIES : 0);
+
+  for (let attempt = 0; ; attempt += 1) {
+    let res;
+    try {
+      res = await fetch(`${API_URL}${path}`, init);
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      if (attempt >= maxRetries) throw new ApiError('Could not reach the server. Check your connection and try again.');
+      await wait(RETRY_DELAY_MS * 2 ** attempt);
+      continue;
+    }
+    if (RETRYABLE_STATUSES.includes(res.status) && attempt < maxRetries) {
+      await wait(RETRY_DELAY_MS * 2 ** attempt);
+      continue;
+    }
+    if (raw && res.ok) return res;
+    return parseResponse(res, path);
+  }
+};
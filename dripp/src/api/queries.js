@@ -0,0 +1,48 @@
+import { useAuth } from '../Context/AuthContext';
+import { useApi } from './useApi';
+import { useQuery } from './useQuery';
+
+// Cache keys are the API paths they were fetched from, so invalidating '/models' refreshes the
+// catalogue listings, their facet counts and the user's own profile together
+export const myProfileKey = '/models/my-profile';
+export const myVideosKey = '/editor/my-videos';
+export const featuredProfilesKey = '/featured';
+export const featuredPinsKey = '/featured/pins';
+export const siteContentKey = '/content';
+
+// The Home page's featured talent cards; public, so they load for visitors without an account too
+export const useFeaturedProfiles = (options) => {
+  const api = useApi();
+  return useQuery(featuredProfilesKey, () => api.get(featuredProfilesKey), options);
+};
+
+// Every featured talent pin, for the admin content panel
+export const useFeaturedPins = ({ enabled = true, ...options } = {}) => {
+  const { token } = useAuth();
+  const api = useApi();
+  return useQuery(featuredPinsKey, () => api.get(featuredPinsKey), { enabled: enabled && !!token, ...options });
+};
+
+// The Home page's hero copy and testimonials
+export const useSiteContent = (options) => {
+  const api = useApi();
+  return useQuery(siteContentKey, () => api.get(siteContentKey), options);
+};
+
+// The signed-in talent's own profile, or null if they haven't created one yet
+export const useMyProfile = ({ enabled = true, ...options } = {}) => {
+  const { token } = useAuth();
+  const api = useApi();
+  const fetchProfile = () => api.get(myProfileKey).catch(error => {
+    if (error.status === 404) return null;
+    throw error;
+  });
+  return useQuery(myProfileKey, fetchProfile, { enabled: enabled && !!token, ...options });
+};
+
+// Videos the signed-in editor has uploaded
+export const useEditorVideos = ({ enabled = true, ...options } = {}) => {
+  const { token } = useAuth();
+  const api = useApi();
+  return useQuery(myVideosKey, () => api.get(myVideosKey), { enabled: enabled && !!token, ...options });
+};
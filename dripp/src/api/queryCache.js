@@ -0,0 +1,107 @@
+// Shared cache for GET responses, keyed by API path (e.g. '/models?role=model&limit=3'). Components
+// asking for the same key share one request and one copy of the data; the data is served straight
+// from the cache and refetched in the background once it is older than its stale time.
+const DEFAULT_STALE_TIME_MS = 30 * 1000;
+
+const initialSnapshot = { data: undefined, error: null, isValidating: false };
+const entries = new Map();
+
+const getEntry = (key) => {
+  if (!entries.has(key)) {
+    // `version` changes whenever the data is replaced outside a fetch, so a response that was already
+    // in flight can't overwrite an optimistic update or a cleared cache
+    entries.set(key, { snapshot: initialSnapshot, updatedAt: 0, version: 0, promise: null, fetcher: null, listeners: new Set() });
+  }
+  return entries.get(key);
+};
+
+const setSnapshot = (entry, changes) => {
+  entry.snapshot = { ...entry.snapshot, ...changes };
+  entry.listeners.forEach(listener => listener());
+};
+
+// Resolves to the data for `key`: the cached copy while it is fresh, otherwise the result of `fetcher`.
+// Calls made while a request for the key is in flight share it. `force` skips the freshness check.
+export const fetchQuery = (key, fetcher, { staleTime = DEFAULT_STALE_TIME_MS, force = false } = {}) => {
+  const entry = getEntry(key);
+  if (fetcher) entry.fetcher = fetcher;
+  if (entry.promise) return entry.promise;
+  if (!force && entry.snapshot.data !== undefined && Date.now() - entry.updatedAt < staleTime) {
+    return Promise.resolve(entry.snapshot.data);
+  }
+
+  const { version } = entry;
+  const promise = entry.fetcher()
+    .then(data => {
+      if (entry.version === version) {
+        entry.updatedAt = Date.now();
+        setSnapshot(entry, { data, error: null });
+      }
+      return data;
+    }, error => {
+      if (entry.version === version) setSnapshot(entry, { error });
+      throw error;
+    })
+    .finally(() => {
+      if (entry.promise !== promise) return;
+      entry.promise = null;
+      setSnapshot(entry, { isValidating: false });
+    });
+  entry.promise = promise;
+  setSnapshot(entry, { isValidating: true });
+  return promise;
+};
+
+export const getQueryData = (key) => entries.get(key)?.snapshot.data;
+
+// Replaces the cached data for `key`; `updater` is the new data or a function of the current data
+export const setQueryData = (key, updater) => {
+  const entry = getEntry(key);
+  entry.version += 1;
+  entry.promise = null;
+  entry.updatedAt = Date.now();
+  setSnapshot(entry, { data: typeof updater === 'function' ? updater(entry.snapshot.data) : updater, error: null, isValidating: false });
+};
+
+// Marks every key starting with `prefix` as stale and refetches the ones a mounted component is using
+export const invalidateQueries = (prefix) => {
+  entries.forEach((entry, key) => {
+    if (!key.startsWith(prefix)) return;
+    entry.updatedAt = 0;
+    if (entry.listeners.size > 0 && entry.fetcher) fetchQuery(key, null, { force: true }).catch(() => {});
+  });
+};
+
+// Applies `update` to the cached data straight away, then runs `request`. If the request fails the
+// previous data is put back and the error rethrown; either way the key is refetched afterwards.
+export const optimisticUpdate = async (key, update, request) => {
+  const previous = getQueryData(key);
+  setQueryData(key, update);
+  try {
+    return await request();
+  } catch (error) {
+    setQueryData(key, previous);
+    throw error;
+  } finally {
+    invalidateQueries(key);
+  }
+};
+
+// Forgets everything, e.g. when the signed-in user changes
+export const clearQueryCache = () => {
+  entries.forEach((entry, key) => {
+    entry.version += 1;
+    entry.promise = null;
+    entry.updatedAt = 0;
+    setSnapshot(entry, initialSnapshot);
+    if (entry.listeners.size === 0) entries.delete(key);
+  });
+};
+
+export const subscribeToQuery = (key, listener) => {
+  const entry = getEntry(key);
+  entry.listeners.add(listener);
+  return () => entry.listeners.delete(listener);
+};
+
+export const getQuerySnapshot = (key) => getEntry(key).snapshot;
@@ -0,0 +1,39 @@
+import { useMemo, useRef } from 'react';
+import { useAuth } from '../Context/AuthContext';
+import { apiRequest, ApiError } from './client';
+
+// The API client bound to the signed-in user: requests carry their access token, and a 401 (an expired
+// or invalid token) gets one refresh-and-retry. If no fresh token comes back the original error is
+// rethrown; refreshSession has already signed the user out if the session really ended, and keeps it
+// otherwise (e.g. while the API is unreachable). A 403 is a permission error and is left for the caller.
+// The returned object keeps its identity across token refreshes, so it is safe in effect dependencies.
+export const useApi = () => {
+  const { token, refreshSession, logout } = useAuth();
+  const tokenRef = useRef(token);
+  tokenRef.current = token;
+
+  return useMemo(() => {
+    const request = async (path, options = {}) => {
+      try {
+        return await apiRequest(path, { ...options, token: tokenRef.current });
+      } catch (error) {
+        if (!(error instanceof ApiError) || error.status !== 401 || !tokenRef.current) throw error;
+        const freshToken = await refreshSession();
+        if (!freshToken) throw error;
+        try {
+          return await apiRequest(path, { ...options, token: freshToken });
+        } catch (retryError) {
+          if (retryError.status === 401) logout();
+          throw retryError;
+        }
+      }
+    };
+    return {
+      request,
+      get: (path, options) => request(path, options),
+      post: (path, body, options) => request(path, { ...options, method: 'POST', body }),
+      put: (path, body, options) => request(path, { ...options, method: 'PUT', body }),
+      delete: (path, options) => request(path, { ...options, method: 'DELETE' })
+    };
+  }, [refreshSession, logout]);
+};
@@ -0,0 +1,33 @@
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react';
+import { fetchQuery, subscribeToQuery, getQuerySnapshot } from './queryCache';
+
+const disabledSnapshot = { data: undefined, error: null, isValidating: false };
+const noop = () => {};
+
+// Reads `key` from the query cache, fetching it with `fetcher` when it is missing or stale. Cached data
+// is returned immediately and refreshed in the background, also when the window regains focus.
+// `isLoading` is only true while there is nothing to show yet.
+export const useQuery = (key, fetcher, { enabled = true, staleTime } = {}) => {
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+  const activeKey = enabled && key ? key : null;
+
+  const subscribe = useCallback(listener => (activeKey ? subscribeToQuery(activeKey, listener) : noop), [activeKey]);
+  const snapshot = useSyncExternalStore(subscribe, () => (activeKey ? getQuerySnapshot(activeKey) : disabledSnapshot));
+
+  useEffect(() => {
+    if (!activeKey) return;
+    // Failures are kept in the snapshot's `error`
+    const revalidate = () => fetchQuery(activeKey, () => fetcherRef.current(), { staleTime }).catch(noop);
+    revalidate();
+    window.addEventListener('focus', revalidate);
+    return () => window.removeEventListener('focus', revalidate);
+  }, [activeKey, staleTime]);
+
+  const refetch = useCallback(
+    () => (activeKey ? fetchQuery(activeKey, () => fetcherRef.current(), { force: true }) : Promise.resolve(undefined)),
+    [activeKey]
+  );
+
+  return { ...snapshot, isLoading: !!activeKey && snapshot.data === undefined && !snapshot.error, refetch };
+};
@@ -1,7 +1,11 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import { useAuth } from '../Context/AuthContext';
-import { Users, Shield, Mail, Calendar, Loader, AlertTriangle, UserCheck, UserX, Search, Edit, Trash2, X, Save } from 'lucide-react';
+import { useApi } from '../api/useApi';
+import TwoFactorPolicies from '../Components/TwoFactorPolicies';
+import AuditLog from '../Components/AuditLog';
+import ContentManager from '../Components/ContentManager';
+import { Users, Shield, Mail, Calendar, Loader, AlertTriangle, UserCheck, UserX, Search, Edit, Trash2, X, Save, LogOut, CheckCircle, ShieldCheck, History, LayoutTemplate } from 'lucide-react';
 
 const AdminDashboard = () => {
     const [users, setUsers] = useState([]);
@@ -9,12 +13,16 @@ const AdminDashboard = () => {
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
     const { token } = useAuth();
+    const api = useApi();
     
     // State for user editing
     const [editingUserId, setEditingUserId] = useState(null);
     const [editedUser, setEditedUser] = useState({});
     const [isSaving, setIsSaving] = useState(false);
     const [isDeleting, setIsDeleting] = useState(false);
+    const [loggingOutUserId, setLoggingOutUserId] = useState(null);
+    const [notice, setNotice] = useState(null);
+    const [activeTab, setActiveTab] = useState('users');
 
     const fetchUsers = useCallback(async () => {
         if (!token) {
@@ -24,26 +32,14 @@ const AdminDashboard = () => {
         }
         try {
             setIsLoading(true);
-            const response = await fetch('https://modelconnect-api.onrender.com/api/users', {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-            
-            if (!response.ok) {
-                const errData = await response.json();
-                throw new Error(errData.message || 'Failed to fetch users.');
-            }
-            
-            const data = await response.json();
-            setUsers(data);
+            setUsers(await api.get('/users'));
             setError(null);
         } catch (err) {
             setError(err.message);
         } finally {
             setIsLoading(false);
         }
-    }, [token]);
+    }, [token, api]);
 
     useEffect(() => {
         fetchUsers();
@@ -94,20 +90,8 @@ const AdminDashboard = () => {
         
         setIsSaving(true);
         try {
-            const response = await fetch(`https://modelconnect-api.onrender.com/api/users/${userId}`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify(editedUser)
-            });
-            
-            if (!response.ok) {
-                const errData = await response.json();
-                throw new Error(errData.message || 'Failed to update user.');
-            }
-            
+            await api.put(`/users/${userId}`, editedUser);
+
             // Update the user in local state
             setUsers(prevUsers => prevUsers.map(user => 
                 user.id === userId ? { ...user, ...editedUser } : user
@@ -131,18 +115,8 @@ const AdminDashboard = () => {
         
         setIsDeleting(true);
         try {
-            const response = await fetch(`https://modelconnect-api.onrender.com/api/users/${userId}`, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                }
-            });
-            
-            if (!response.ok) {
-                const errData = await response.json();
-                throw new Error(errData.message || 'Failed to delete user.');
-            }
-            
+            await api.delete(`/users/${userId}`);
+
             // Remove the user from local state
             setUsers(prevUsers => prevUsers.filter(user => user.id !== userId));
         } catch (err) {
@@ -152,6 +126,26 @@ const AdminDashboard = () => {
         }
     };
 
+    // Ends every session the user has open; they have to log in again on each device
+    const forceLogout = async (user) => {
+        if (!token) return;
+
+        if (!window.confirm(`Sign ${user.name} out of every device?`)) {
+            return;
+        }
+
+        setLoggingOutUserId(user.id);
+        try {
+            const data = await api.post(`/users/${user.id}/logout`);
+
+            setNotice(`${user.name}: ${data.message}`);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoggingOutUserId(null);
+        }
+    };
+
     if (isLoading) {
         return (
             <div className="min-h-screen bg-gray-100 flex justify-center items-center">
@@ -186,10 +180,33 @@ const AdminDashboard = () => {
             >
                 <header className="mb-8">
                     <h1 className="text-4xl font-bold text-gray-900">Admin Dashboard</h1>
-                    <p className="mt-2 text-lg text-gray-600">Manage all users on the platform.</p>
+                    <p className="mt-2 text-lg text-gray-600">Manage users, Home page content and the audit log.</p>
                 </header>
 
+                <div className="flex gap-2 mb-6 border-b border-gray-300">
+                    {[['users', 'Users', Users], ['content', 'Content', LayoutTemplate], ['audit', 'Audit Log', History]].map(([tab, label, Icon]) => (
+                        <button
+                            key={tab}
+                            onClick={() => setActiveTab(tab)}
+                            className={`flex items-center gap-2 px-4 py-2.5 -mb-px border-b-2 font-semibold transition ${activeTab === tab ? 'border-pink-600 text-pink-600' : 'border-transparent text-gray-500 hover:text-gray-800'}`}
+                        >
+                            <Icon size={18} /> {label}
+                        </button>
+                    ))}
+                </div>
+
+                {activeTab === 'audit' ? <AuditLog /> : activeTab === 'content' ? <ContentManager /> : (
+                <>
+                <TwoFactorPolicies />
+
                 <div className="bg-white rounded-xl shadow-md p-6">
+                    {notice && (
+                        <div className="flex items-center gap-2 bg-green-50 border border-green-200 text-green-700 p-3 rounded-lg mb-4 text-sm">
+                            <CheckCircle size={16} />
+                            <span className="flex-1">{notice}</span>
+                            <button onClick={() => setNotice(null)} className="text-green-700 hover:text-green-900"><X size={16} /></button>
+                        </div>
+                    )}
                     <div className="flex flex-col sm:flex-row justify-between items-center mb-6 gap-4">
                         <h2 className="text-2xl font-semibold text-gray-800">User List ({users.length})</h2>
                         <div className="relative w-full sm:w-72">
@@ -259,8 +276,18 @@ const AdminDashboard = () => {
                                                     <option value="editor">Editor</option>
                                                 </select>
                                             ) : (
-                                                <span className={getRoleChip(user.role)}>
-                                                    {user.role}
+                                                <span className="inline-flex items-center gap-2">
+                                                    <span className={getRoleChip(user.role)}>
+                                                        {user.role}
+                                                    </span>
+                                                    {user.two_factor_enabled ? <ShieldCheck className="text-green-600" size={16} aria-label="Two-factor authentication on" /> : null}
+                                                    {user.deletion_scheduled_for ? (
+                                                        <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-red-100 text-red-800" title={`Deleted automatically on ${new Date(user.deletion_scheduled_for).toLocaleDateString()}`}>
+                                                            Deletion pending
+                                                        </span>
+                                                    ) : user.deactivated_at ? (
+                                                        <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-gray-200 text-gray-700">Deactivated</span>
+                                                    ) : null}
                                                 </span>
                                             )}
                                         </td>
@@ -299,6 +326,18 @@ const AdminDashboard = () => {
                                                         <Edit className="mr-1" size={16} />
                                                         Edit
                                                     </button>
+                                                    <button
+                                                        onClick={() => forceLogout(user)}
+                                                        disabled={loggingOutUserId === user.id}
+                                                        className="flex items-center bg-amber-500 text-white px-3 py-1.5 rounded hover:bg-amber-600 disabled:opacity-50"
+                                                    >
+                                                        {loggingOutUserId === user.id ? (
+                                                            <Loader className="animate-spin mr-1" size={16} />
+                                                        ) : (
+                                                            <LogOut className="mr-1" size={16} />
+                                                        )}
+                                                        Force Logout
+                                                    </button>
                                                     <button
                                                         onClick={() => deleteUser(user.id)}
                                                         disabled={isDeleting}
@@ -325,6 +364,8 @@ const AdminDashboard = () => {
                         </div>
                     )}
                 </div>
+                </>
+                )}
             </motion.div>
         </div>
     );
@@ -1,92 +1,153 @@
-import React, { useEffect, useState, useMemo } from 'react';
-import { Link } from 'react-router-dom';
-import { motion, AnimatePresence } from 'framer-motion';
-import { Search, ExternalLink, Frown, AlertTriangle, Sparkles, User, Video, Camera } from 'lucide-react';
+import React, { useEffect, useState, useCallback, useRef, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { Search, Frown, AlertTriangle, Sparkles, User, Video, Camera, Loader } from 'lucide-react';
 import { useAuth } from '../Context/AuthContext';
+import { useApi } from '../api/useApi';
+import { fetchQuery, getQueryData } from '../api/queryCache';
+import ShortlistMenu from '../Components/ShortlistMenu';
+import CatalogueFilters, { catalogueFilterKeys } from '../Components/CatalogueFilters';
+
+const PAGE_SIZE = 24;
+
+// Each tab is a filtered, paginated view of one catalogue endpoint
+const tabQueries = {
+  models: { endpoint: 'models', params: { role: 'model' } },
+  photographers: { endpoint: 'models', params: { role: 'photographer' } },
+  editors: { endpoint: 'editors/videos', params: {} }
+};
 
 const Catalogue = () => {
-  const [catalogueData, setCatalogueData] = useState({ models: [], photographers: [], editors: [] });
-  const [activeTab, setActiveTab] = useState('models');
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [facets, setFacets] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [searchTerm, setSearchTerm] = useState('');
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
   const { token } = useAuth();
+  const api = useApi();
+  const requestIdRef = useRef(0);
+  const sentinelRef = useRef(null);
+
+  // The tab, search, sort and filters all live in the URL so a filtered view can be shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const activeTab = tabQueries[searchParams.get('tab')] ? searchParams.get('tab') : 'models';
+  const urlSearch = searchParams.get('q') || '';
+  const sort = searchParams.get('sort') || 'newest';
+  const [searchTerm, setSearchTerm] = useState(urlSearch);
+  const hasFilters = tabQueries[activeTab].endpoint === 'models';
+  const filterValues = Object.fromEntries(catalogueFilterKeys.map(key => [key, searchParams.get(key) || '']));
 
+  const updateParams = useCallback((changes) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => (value ? next.set(key, value) : next.delete(key)));
+      return next;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  // Wait for the user to stop typing before putting the search in the URL
   useEffect(() => {
-    const fetchDataForCatalogue = async (endpoint, key) => {
-      try {
-        const res = await fetch(`https://modelconnect-api.onrender.com/api/${endpoint}`, {
-          headers: { 'Authorization': `Bearer ${token}` }
-        });
-
-        // Get the response as text first to avoid JSON parsing errors on HTML pages
-        const textResponse = await res.text();
-
-        if (!res.ok) {
-          let errorMessage;
-          try {
-            // Try to parse it as a JSON error message from the server
-            const errorData = JSON.parse(textResponse);
-            errorMessage = errorData.message || `Failed to fetch ${key}.`;
-          } catch (e) {
-            // If parsing fails, it's an HTML error page.
-            errorMessage = `Server returned a non-JSON error (Status: ${res.status}). Check the backend logs for the /api/${endpoint} route.`;
-          }
-          throw new Error(errorMessage);
-        }
-        
-        // If the response was OK, parse the text as JSON
-        return JSON.parse(textResponse);
-
-      } catch (err) {
-        console.error(`Error fetching ${key}:`, err);
-        setError(err.message);
-        return []; // Return an empty array on error to prevent crashes
-      }
-    };
+    const timer = setTimeout(() => {
+      if (searchTerm.trim() !== urlSearch) updateParams({ q: searchTerm.trim() });
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm, urlSearch, updateParams]);
 
-    const loadAllData = async () => {
-      setLoading(true);
-      setError(null);
-      if (!token) {
-        setError("You must be logged in to view the catalogue.");
-        setLoading(false);
-        return;
-      }
-      
-      const [modelData, editorData] = await Promise.all([
-        fetchDataForCatalogue('models', 'models'),
-        fetchDataForCatalogue('editors/videos', 'editors')
-      ]);
-
-      // If there was an error during fetching, stop here. The error is already set.
-      if(error) {
+  // Query string sent to the API for the current tab
+  const apiQuery = useMemo(() => {
+    const query = new URLSearchParams(tabQueries[activeTab].params);
+    if (urlSearch) query.set('q', urlSearch);
+    if (hasFilters) {
+      query.set('sort', sort);
+      catalogueFilterKeys.forEach(key => {
+        if (searchParams.get(key)) query.set(key, searchParams.get(key));
+      });
+    }
+    return query.toString();
+  }, [searchParams, activeTab, urlSearch, sort, hasFilters]);
+
+  // Responses go through the query cache: a view seen before shows at once while it is refreshed
+  const pagePath = useCallback(
+    (pageToLoad) => `/${tabQueries[activeTab].endpoint}?${apiQuery}&page=${pageToLoad}&limit=${PAGE_SIZE}`,
+    [activeTab, apiQuery]
+  );
+
+  // Facet counts follow the same filters as the results
+  useEffect(() => {
+    if (!token || !hasFilters) return;
+    let cancelled = false;
+    const path = `/models/facets?${apiQuery}`;
+    const cached = getQueryData(path);
+    if (cached) setFacets(cached.facets);
+    fetchQuery(path, () => api.get(path))
+      .then(data => { if (!cancelled) setFacets(data.facets); })
+      .catch(err => console.error('Error fetching facets:', err));
+    return () => { cancelled = true; };
+  }, [token, hasFilters, apiQuery, api]);
+
+  const showPage = useCallback((data, pageToLoad) => {
+    setItems(prev => (pageToLoad === 1 ? data.items : [...prev, ...data.items]));
+    setTotal(data.total);
+    setPage(data.page);
+    setHasMore(data.hasMore);
+  }, []);
+
+  // Loads a page and either replaces (page 1) or appends to the current results.
+  // Responses from superseded requests (e.g. an older search term) are ignored.
+  const loadPage = useCallback(async (pageToLoad) => {
+    const requestId = pageToLoad === 1 ? ++requestIdRef.current : requestIdRef.current;
+    const path = pagePath(pageToLoad);
+    const cached = pageToLoad === 1 && getQueryData(path);
+    if (cached) {
+      showPage(cached, 1);
+      setLoading(false);
+    } else {
+      pageToLoad === 1 ? setLoading(true) : setLoadingMore(true);
+    }
+    setError(null);
+    try {
+      const data = await fetchQuery(path, () => api.get(path));
+      if (requestId !== requestIdRef.current) return;
+      showPage(data, pageToLoad);
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+      console.error(`Error fetching ${activeTab}:`, err);
+      // A failed refresh leaves the cached results on screen
+      if (cached) return;
+      setError(err.message);
+      setHasMore(false);
+    } finally {
+      if (requestId === requestIdRef.current) {
         setLoading(false);
-        return;
+        setLoadingMore(false);
       }
+    }
+  }, [api, pagePath, showPage, activeTab]);
 
-      setCatalogueData({
-        models: modelData.filter(p => p.role === 'model'),
-        photographers: modelData.filter(p => p.role === 'photographer'),
-        editors: editorData
-      });
-
+  useEffect(() => {
+    if (!token) {
+      setError("You must be logged in to view the catalogue.");
       setLoading(false);
-    };
-
-    loadAllData();
-  }, [token]);
-
-  const filteredData = useMemo(() => {
-    const data = catalogueData[activeTab] || [];
-    if (!searchTerm) return data;
-    
-    return data.filter(item => {
-        const name = item.name || item.title || item.editor_name;
-        const bio = item.bio || item.description;
-        return name.toLowerCase().includes(searchTerm.toLowerCase()) || (bio && bio.toLowerCase().includes(searchTerm.toLowerCase()));
-    });
-  }, [catalogueData, activeTab, searchTerm]);
+      return;
+    }
+    loadPage(1);
+  }, [token, loadPage]);
+
+  // Infinite scroll: fetch the next page when the sentinel below the grid scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || loading || loadingMore) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadPage(page + 1);
+    }, { rootMargin: '400px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loading, loadingMore, page, loadPage]);
+
+  const clearFilters = () => updateParams(Object.fromEntries(catalogueFilterKeys.map(key => [key, ''])));
 
   const getGenderClass = (gender) => {
     switch (gender) {
@@ -117,37 +178,50 @@ const Catalogue = () => {
             <div className="border-b border-gray-200">
                 <nav className="-mb-px flex space-x-6" aria-label="Tabs">
                     {tabs.map(tab => (
-                        <button key={tab.key} onClick={() => setActiveTab(tab.key)} className={`${activeTab === tab.key ? 'border-pink-500 text-pink-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'} flex items-center gap-2 whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm transition-colors`}>
+                        <button key={tab.key} onClick={() => updateParams({ tab: tab.key === 'models' ? '' : tab.key })} className={`${activeTab === tab.key ? 'border-pink-500 text-pink-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'} flex items-center gap-2 whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm transition-colors`}>
                             {tab.icon} {tab.label}
                         </button>
                     ))}
                 </nav>
             </div>
         </div>
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex flex-col md:flex-row md:items-center gap-4">
           <div className="relative w-full md:w-1/2">
             <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
             <input type="text" placeholder={`Search for ${activeTab}...`} value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-pink-500 transition" />
           </div>
+          {hasFilters && (
+            <select value={sort} onChange={(e) => updateParams({ sort: e.target.value === 'newest' ? '' : e.target.value })} className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-pink-500 transition">
+              <option value="newest">Newest first</option>
+              <option value="oldest">Oldest first</option>
+              <option value="name">Name (A-Z)</option>
+            </select>
+          )}
+          {!loading && !error && <p className="text-sm text-gray-500 md:ml-auto">{total} result{total === 1 ? '' : 's'}</p>}
         </div>
       </header>
 
-      <main className="max-w-7xl mx-auto py-10 px-4 sm:px-6 lg:px-8">
+      <main className="max-w-7xl mx-auto py-10 px-4 sm:px-6 lg:px-8 flex flex-col lg:flex-row gap-8">
+        {hasFilters && (
+          <CatalogueFilters facets={facets} values={filterValues} onChange={updateParams} onClear={clearFilters} />
+        )}
+        <div className="flex-1 min-w-0">
         {loading ? <LoadingSpinner /> : error ? <ErrorDisplay message={error} /> : (
           <motion.div
             key={activeTab}
-            className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-8"
+            className={`grid grid-cols-1 sm:grid-cols-2 gap-8 ${hasFilters ? 'xl:grid-cols-3' : 'lg:grid-cols-3 xl:grid-cols-4'}`}
             initial={{ opacity: 0 }} animate={{ opacity: 1 }}
           >
-            {filteredData.length > 0 ? filteredData.map(item => {
+            {items.length > 0 ? items.map(item => {
                 if (activeTab === 'editors') {
                     return (
-                        <motion.div key={item.id} className="bg-white rounded-xl shadow-lg overflow-hidden border">
-                            <div className="relative aspect-video bg-black"><video src={item.video_url} controls className="w-full h-full object-cover"></video></div>
+                        <motion.div key={item.id} className="bg-white rounded-xl shadow-lg border">
+                            <div className="relative aspect-video bg-black rounded-t-xl overflow-hidden"><video src={item.video_url} controls className="w-full h-full object-cover"></video></div>
                             <div className="p-5">
                                 <h3 className="text-xl font-bold text-gray-900 truncate">{item.title}</h3>
                                 <p className="text-sm font-medium text-gray-500">by {item.editor_name}</p>
                                 <p className="text-gray-600 text-sm mt-2 h-12 overflow-hidden">{item.description}</p>
+                                <ShortlistMenu videoId={item.id} className="mt-4 flex items-center justify-center w-full px-4 py-2 bg-gray-100 text-gray-800 rounded-lg font-semibold hover:bg-gray-200 transition text-sm" />
                             </div>
                         </motion.div>
                     );
@@ -160,13 +234,19 @@ const Catalogue = () => {
                                 <div className="absolute bottom-0 left-0 p-4 w-full">
                                     <h3 className="text-2xl font-bold text-white tracking-tight">{item.name}</h3>
                                     <span className={`text-xs font-bold px-2 py-1 rounded-full mt-1 inline-block ${getGenderClass(item.gender)}`}>{item.gender}</span>
+                                    {item.categories?.map(category => (
+                                        <span key={category} className="text-xs font-bold px-2 py-1 rounded-full mt-1 ml-1 inline-block bg-white/80 text-gray-800">{category}</span>
+                                    ))}
                                 </div>
                             </div>
                             <div className="p-5">
                                 <p className="text-gray-600 text-sm mb-4 h-16 overflow-hidden">{item.bio}</p>
-                                <Link to={`/profile/${item.user_id}`} className="flex items-center justify-center w-full px-4 py-2 bg-pink-500 text-white rounded-lg font-semibold hover:bg-pink-600 transition text-sm">
-                                    View Full Profile <Sparkles className="ml-2" size={14} />
-                                </Link>
+                                <div className="flex gap-2">
+                                    <Link to={`/profile/${item.user_id}`} className="flex-1 flex items-center justify-center px-4 py-2 bg-pink-500 text-white rounded-lg font-semibold hover:bg-pink-600 transition text-sm">
+                                        View Full Profile <Sparkles className="ml-2" size={14} />
+                                    </Link>
+                                    <ShortlistMenu modelId={item.id} className="flex items-center justify-center px-3 py-2 bg-gray-100 text-gray-800 rounded-lg font-semibold hover:bg-gray-200 transition text-sm" />
+                                </div>
                             </div>
                         </motion.div>
                     );
@@ -174,6 +254,9 @@ const Catalogue = () => {
             }) : <NoResultsDisplay />}
           </motion.div>
         )}
+        <div ref={sentinelRef} className="h-1" />
+        {loadingMore && <div className="flex justify-center py-8"><Loader className="animate-spin text-pink-500" size={32} /></div>}
+        </div>
       </main>
     </div>
   );
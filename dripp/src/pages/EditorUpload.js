@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { useAuth } from '../Context/AuthContext';
+import { useApi } from '../api/useApi';
+import { invalidateQueries } from '../api/queryCache';
 import { Film, Type, FileText, UploadCloud, CheckCircle, AlertTriangle, Loader } from 'lucide-react';
 
 // Custom hook for handling notifications
@@ -20,7 +21,7 @@ const EditorUpload = () => {
   const [videoPreview, setVideoPreview] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const { notification, showNotification } = useNotification();
-  const { token } = useAuth();
+  const api = useApi();
 
   const handleVideoChange = (e) => {
     const file = e.target.files[0];
@@ -48,13 +49,8 @@ const EditorUpload = () => {
     formData.append('video', videoFile);
 
     try {
-      const res = await fetch('https://modelconnect-api.onrender.com/api/editor/upload', {
-        method: 'POST',
-        headers: { Authorization: `Bearer ${token}` },
-        body: formData,
-      });
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.message || 'Upload failed.');
+      await api.post('/editor/upload', formData);
+      invalidateQueries('/editor');
       
       showNotification('Video uploaded successfully!', 'success');
       setTitle('');
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { apiRequest } from '../api/client';
+import { Mail, Loader, CheckCircle, AlertTriangle } from 'lucide-react';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setStatus(null);
+    try {
+      const data = await apiRequest('/auth/forgot-password', { method: 'POST', body: { email } });
+      setStatus({ type: 'success', message: data.message });
+    } catch (err) {
+      setStatus({ type: 'error', message: err.message });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <motion.div className="w-full max-w-md bg-white rounded-2xl shadow-2xl p-8 md:p-12" initial={{ opacity: 0, y: 30 }} animate={{ opacity: 1, y: 0 }}>
+        <h2 className="text-3xl font-bold text-gray-800 mb-2">Forgot Password</h2>
+        <p className="text-gray-500 mb-8">Enter your account email and we'll send you a link to choose a new password.</p>
+
+        {status && (
+          <div className={`flex items-center gap-2 p-3 rounded-lg mb-5 text-sm ${status.type === 'success' ? 'bg-green-50 border border-green-200 text-green-700' : 'bg-red-50 border border-red-200 text-red-700'}`}>
+            {status.type === 'success' ? <CheckCircle size={16} /> : <AlertTriangle size={16} />} {status.message}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-5">
+          <div className="relative">
+            <Mail className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+            <input
+              type="email"
+              placeholder="Email Address"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="w-full pl-10 pr-4 py-3 text-gray-900 border border-gray-300 rounded-lg focus:ring-pink-500 focus:border-pink-500 transition"
+              required
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="w-full flex justify-center items-center bg-pink-500 hover:bg-pink-600 text-white p-3 rounded-lg font-bold text-lg transition-all duration-300 disabled:bg-pink-300"
+          >
+            {isLoading ? <><Loader className="animate-spin mr-2" /> Sending...</> : 'Send Reset Link'}
+          </button>
+          <p className="text-center text-sm text-gray-500">
+            Remembered it? <Link to="/login" className="font-semibold text-pink-500 hover:underline">Back to login</Link>
+          </p>
+        </form>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
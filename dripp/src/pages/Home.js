@@ -1,11 +1,10 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { Star, ArrowRight, TrendingUp, ShieldCheck, Award, AlertTriangle } from 'lucide-react';
-import { useAuth } from '../Context/AuthContext'; // CORRECT: Import your actual useAuth hook
+import { useFeaturedProfiles, useSiteContent } from '../api/queries';
 
 // --- Placeholder for your actual API and Auth logic ---
-const API_BASE_URL = 'https://modelconnect-api.onrender.com';
 // The placeholder useAuth hook has been removed. We are now importing the real one above.
 // ----------------------------------------------------
 
@@ -35,49 +34,35 @@ const cardVariant = {
   }
 };
 
-const Home = () => {
-  const [featuredModels, setFeaturedModels] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const { token } = useAuth(); // This will now use the REAL token from your logged-in session
-
-  useEffect(() => {
-    const loadFeaturedModels = async () => {
-      if (!token) {
-        setError("Authentication is required to view models.");
-        setLoading(false);
-        return;
-      }
-
-      setLoading(true);
-      setError(null);
-      try {
-        const res = await fetch(`${API_BASE_URL}/api/models`, {
-          headers: { 'Authorization': `Bearer ${token}` }
-        });
-
-        if (!res.ok) {
-          const errorData = await res.json().catch(() => ({ message: 'Failed to fetch data from the server.' }));
-          throw new Error(errorData.message);
-        }
+// Shown until the content API answers; mirrors the hero defaults in server.js
+const defaultHero = {
+  title: 'Where Talent Meets Opportunity',
+  highlight: 'Meets',
+  subtitle: 'The premier destination for models to showcase their portfolio and for recruiters to discover the next face of their campaign.'
+};
 
-        const data = await res.json();
-        const modelsOnly = data.filter(p => p.role === 'model');
-        setFeaturedModels(modelsOnly.slice(0, 3)); // Take the first 3 models
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
+// The title with its highlighted words in the accent colour
+const HeroTitle = ({ title, highlight }) => {
+  const start = highlight ? title.indexOf(highlight) : -1;
+  if (start === -1) return title;
+  return (
+    <>
+      {title.slice(0, start)}<span className="text-pink-500">{highlight}</span>{title.slice(start + highlight.length)}
+    </>
+  );
+};
 
-    loadFeaturedModels();
-  }, [token]);
+const Home = () => {
+  // Pinned and rotating public profiles, cached so that coming back to the page shows them straight away
+  const { data, error: loadError, isLoading: loading } = useFeaturedProfiles();
+  const featuredTalent = data || [];
+  // A failed background refresh keeps showing the talent it already has
+  const error = !data && loadError?.message;
 
-  const testimonials = [
-    { quote: 'ModelConnect launched my career! I was discovered by a top agency within a month.', name: 'Elena', role: 'Fashion Model' },
-    { quote: 'The best platform for finding fresh, diverse talent. The search tools are fantastic.', name: 'David Chen', role: 'Casting Director' },
-  ];
+  // Hero copy and testimonials are edited in the admin dashboard's Content tab
+  const { data: content } = useSiteContent();
+  const hero = content?.hero || defaultHero;
+  const testimonials = content?.testimonials || [];
   
   return (
     <div className="min-h-screen bg-gray-50 text-gray-800">
@@ -91,10 +76,10 @@ const Home = () => {
                     transition={{ duration: 0.8, ease: 'easeOut' }}
                   >
                     <h1 className="text-5xl md:text-7xl font-extrabold leading-tight">
-                      Where Talent <span className="text-pink-500">Meets</span> Opportunity
+                      <HeroTitle title={hero.title} highlight={hero.highlight} />
                     </h1>
                     <p className="mt-6 text-lg text-gray-600 max-w-xl mx-auto lg:mx-0">
-                      The premier destination for models to showcase their portfolio and for recruiters to discover the next face of their campaign.
+                      {hero.subtitle}
                     </p>
                     <div className="mt-10 flex flex-col sm:flex-row gap-4 justify-center lg:justify-start">
                       <motion.div whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
@@ -178,7 +163,7 @@ const Home = () => {
         </div>
       </motion.section>
 
-      {/* Featured Models Section */}
+      {/* Featured Talent Section */}
       <motion.section 
         className="py-20 px-6 max-w-7xl mx-auto"
         variants={sectionVariant}
@@ -187,7 +172,7 @@ const Home = () => {
         viewport={{ once: true, amount: 0.3 }}
       >
         <div className="text-center mb-12">
-          <h2 className="text-4xl font-bold">Featured Models</h2>
+          <h2 className="text-4xl font-bold">Featured Talent</h2>
           <p className="mt-2 text-gray-500">A glimpse of the incredible talent on our platform.</p>
         </div>
         
@@ -204,23 +189,30 @@ const Home = () => {
           </div>
         )}
 
-        {!loading && !error && (
+        {!loading && !error && featuredTalent.length === 0 && (
+          <p className="text-center text-gray-500">Featured talent will appear here soon.</p>
+        )}
+
+        {!loading && !error && featuredTalent.length > 0 && (
           <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-8">
-            {featuredModels.map((model) => (
+            {featuredTalent.map((talent) => (
               <motion.div 
-                key={model.id} 
+                key={talent.user_id} 
                 className="group relative overflow-hidden rounded-xl shadow-lg"
                 variants={cardVariant}
               >
-                <img 
-                  src={`${API_BASE_URL}/uploads/${model.image}`} 
-                  alt={model.name} 
-                  className="w-full h-96 object-cover transition-transform duration-500 group-hover:scale-110 bg-gray-200" 
-                />
-                <div className="absolute inset-0 bg-gradient-to-t from-black/70 to-transparent"></div>
-                <div className="absolute bottom-0 left-0 p-6">
-                  <h3 className="text-2xl font-semibold text-white">{model.name}</h3>
-                </div>
+                <Link to={talent.slug ? `/t/${talent.slug}` : `/profile/${talent.user_id}`}>
+                  <img 
+                    src={talent.image} 
+                    alt={talent.name} 
+                    className="w-full h-96 object-cover transition-transform duration-500 group-hover:scale-110 bg-gray-200" 
+                  />
+                  <div className="absolute inset-0 bg-gradient-to-t from-black/70 to-transparent"></div>
+                  <div className="absolute bottom-0 left-0 p-6">
+                    <h3 className="text-2xl font-semibold text-white">{talent.name}</h3>
+                    <p className="text-sm text-gray-200 capitalize">{[talent.role, talent.city].filter(Boolean).join(' · ')}</p>
+                  </div>
+                </Link>
               </motion.div>
             ))}
           </div>
@@ -228,26 +220,30 @@ const Home = () => {
       </motion.section>
 
       {/* Testimonials Section */}
-      <motion.section 
-        className="bg-pink-500 text-white py-20 px-6"
-        variants={sectionVariant}
-        initial="hidden"
-        whileInView="visible"
-        viewport={{ once: true, amount: 0.3 }}
-      >
-        <div className="max-w-4xl mx-auto text-center">
-          <Star className="mx-auto mb-4" size={48} />
-          <h2 className="text-4xl font-bold mb-10">What Our Community Says</h2>
-          <div className="space-y-8">
-            {testimonials.map((testimonial, index) => (
-              <blockquote key={index} className="bg-pink-600 p-6 rounded-lg shadow-inner">
-                <p className="text-xl italic">"{testimonial.quote}"</p>
-                <cite className="block mt-4 font-semibold not-italic">{testimonial.name}, <span className="font-normal">{testimonial.role}</span></cite>
-              </blockquote>
-            ))}
+      {testimonials.length > 0 && (
+        <motion.section 
+          className="bg-pink-500 text-white py-20 px-6"
+          variants={sectionVariant}
+          initial="hidden"
+          whileInView="visible"
+          viewport={{ once: true, amount: 0.3 }}
+        >
+          <div className="max-w-4xl mx-auto text-center">
+            <Star className="mx-auto mb-4" size={48} />
+            <h2 className="text-4xl font-bold mb-10">What Our Community Says</h2>
+            <div className="space-y-8">
+              {testimonials.map((testimonial) => (
+                <blockquote key={testimonial.id} className="bg-pink-600 p-6 rounded-lg shadow-inner">
+                  <p className="text-xl italic">"{testimonial.quote}"</p>
+                  <cite className="block mt-4 font-semibold not-italic">
+                    {testimonial.name}{testimonial.role && <>, <span className="font-normal">{testimonial.role}</span></>}
+                  </cite>
+                </blockquote>
+              ))}
+            </div>
           </div>
-        </div>
-      </motion.section>
+        </motion.section>
+      )}
 
       {/* Final CTA Section */}
       <section className="bg-white py-20 px-6">
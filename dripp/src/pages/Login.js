@@ -2,7 +2,9 @@ import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useAuth } from '../Context/AuthContext';
-import { Mail, Key, CheckCircle, AlertTriangle, Loader, Eye, EyeOff } from 'lucide-react';
+import { apiRequest } from '../api/client';
+import { TotpEnrolment, RecoveryCodes } from '../Components/TwoFactorSetup';
+import { Mail, Key, KeyRound, CheckCircle, AlertTriangle, Loader, Eye, EyeOff } from 'lucide-react';
 
 // Custom hook for handling notifications
 const useNotification = () => {
@@ -23,33 +25,42 @@ const Login = () => {
   const [password, setPassword] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
+  // Second step for accounts with two-factor authentication: { token, mode: 'verify' | 'setup', setup }
+  const [challenge, setChallenge] = useState(null);
+  const [code, setCode] = useState('');
+  // Set after enrolling during login, so the new recovery codes are shown before signing in
+  const [enrolledLogin, setEnrolledLogin] = useState(null);
   const { login } = useAuth();
   const navigate = useNavigate();
   const { notification, showNotification } = useNotification();
 
+  // credentials: 'include' lets the browser store the refresh-token cookie
+  const postAuth = (path, body) => apiRequest(path, { method: 'POST', body, credentials: 'include' });
+
+  const finishLogin = (data) => {
+    // Use the login function from AuthContext
+    login(data.user, data.token);
+    showNotification(data.user.email_verified ? 'Login successful!' : 'Login successful! Please verify your email address.', 'success');
+    // Redirect to home page after a short delay
+    setTimeout(() => {
+        navigate('/');
+    }, 1500);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsLoading(true);
 
     try {
-      const response = await fetch('https://modelconnect-api.onrender.com/api/auth/login', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email, password }),
-      });
-
-      const data = await response.json();
-
-      if (response.ok) {
-        // Use the login function from AuthContext
-        login(data.user, data.token);
-        showNotification('Login successful!', 'success');
-        // Redirect to home page after a short delay
-        setTimeout(() => {
-            navigate('/');
-        }, 1500);
+      const data = await postAuth('/auth/login', { email, password });
+      if (data.twoFactor === 'setup') {
+        const setup = await postAuth('/auth/login/2fa/setup', { challengeToken: data.challengeToken });
+        setChallenge({ token: data.challengeToken, mode: 'setup', setup });
+        showNotification(data.message, 'success');
+      } else if (data.twoFactor) {
+        setChallenge({ token: data.challengeToken, mode: 'verify' });
       } else {
-        throw new Error(data.message || 'Login failed');
+        finishLogin(data);
       }
     } catch (error) {
       showNotification(error.message, 'error');
@@ -59,6 +70,31 @@ const Login = () => {
     }
   };
 
+  const startOver = () => {
+    setChallenge(null);
+    setCode('');
+  };
+
+  const submitCode = async (secondFactorCode) => {
+    setIsLoading(true);
+    try {
+      const data = await postAuth('/auth/login/2fa', { challengeToken: challenge.token, code: secondFactorCode });
+      if (data.recoveryCodes) setEnrolledLogin(data);
+      else finishLogin(data);
+    } catch (error) {
+      showNotification(error.message, 'error');
+      // An expired challenge (401) or too many wrong codes (429) means starting again from the password
+      if ([401, 429].includes(error.status)) startOver();
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCodeSubmit = (e) => {
+    e.preventDefault();
+    submitCode(code);
+  };
+
   return (
     <>
       {/* Notification Popup */}
@@ -97,6 +133,48 @@ const Login = () => {
               animate={{ opacity: 1, x: 0 }}
               transition={{ duration: 0.6 }}
             >
+              {enrolledLogin ? (
+                <>
+                  <h2 className="text-3xl font-bold text-gray-800 mb-2">Save Your Recovery Codes</h2>
+                  <p className="text-gray-500 mb-6">Two-factor authentication is now on for your account.</p>
+                  <RecoveryCodes codes={enrolledLogin.recoveryCodes} onDone={() => finishLogin(enrolledLogin)} doneLabel="I've saved these codes, continue" />
+                </>
+              ) : challenge?.mode === 'setup' ? (
+                <>
+                  <h2 className="text-3xl font-bold text-gray-800 mb-2">Set Up Two-Factor Authentication</h2>
+                  <p className="text-gray-500 mb-6">Your account type requires a code from an authenticator app at every login.</p>
+                  <TotpEnrolment setup={challenge.setup} onSubmit={submitCode} isSubmitting={isLoading} />
+                  <button type="button" onClick={startOver} className="mt-4 w-full text-center text-sm font-medium text-pink-500 hover:underline">Back to login</button>
+                </>
+              ) : challenge ? (
+                <>
+                  <h2 className="text-3xl font-bold text-gray-800 mb-2">Two-Factor Authentication</h2>
+                  <p className="text-gray-500 mb-8">Enter the 6-digit code from your authenticator app, or one of your recovery codes.</p>
+                  <form onSubmit={handleCodeSubmit} className="space-y-5">
+                    <div className="relative">
+                      <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+                      <input
+                        autoFocus
+                        autoComplete="one-time-code"
+                        placeholder="Authentication code"
+                        value={code}
+                        onChange={(e) => setCode(e.target.value)}
+                        className="w-full pl-10 pr-4 py-3 text-gray-900 border border-gray-300 rounded-lg focus:ring-pink-500 focus:border-pink-500 transition tracking-widest"
+                        required
+                      />
+                    </div>
+                    <button
+                      type="submit"
+                      className="w-full flex justify-center items-center bg-pink-500 hover:bg-pink-600 text-white p-3 rounded-lg font-bold text-lg transition-all duration-300 disabled:bg-pink-300"
+                      disabled={isLoading}
+                    >
+                      {isLoading ? <><Loader className="animate-spin mr-2" /><span>Verifying...</span></> : 'Verify'}
+                    </button>
+                    <button type="button" onClick={startOver} className="w-full text-center text-sm font-medium text-pink-500 hover:underline">Back to login</button>
+                  </form>
+                </>
+              ) : (
+              <>
               <h2 className="text-4xl font-bold text-gray-800 mb-2">Welcome Back</h2>
               <p className="text-gray-500 mb-8">Log in to continue your journey.</p>
 
@@ -163,6 +241,8 @@ const Login = () => {
                   </Link>
                 </p>
               </form>
+              </>
+              )}
             </motion.div>
           </div>
         </div>
@@ -0,0 +1,289 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { useAuth } from '../Context/AuthContext';
+import { useMessages } from '../Context/MessagesContext';
+import { useRealtime } from '../Context/RealtimeContext';
+import { useApi } from '../api/useApi';
+import { Loader, AlertTriangle, Send, MessageSquare, ArrowLeft, User } from 'lucide-react';
+
+const MESSAGE_PAGE_SIZE = 30;
+
+const formatTime = (timestamp) => {
+  const date = new Date(timestamp);
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString();
+};
+
+const Avatar = ({ image, name }) => (
+  image
+    ? <img src={image} alt={name} className="w-10 h-10 rounded-full object-cover shrink-0" />
+    : <div className="w-10 h-10 rounded-full bg-gray-200 flex items-center justify-center shrink-0"><User size={18} className="text-gray-500" /></div>
+);
+
+const Messages = () => {
+  const { conversationId } = useParams();
+  const activeId = conversationId ? Number(conversationId) : null;
+  const [conversations, setConversations] = useState([]);
+  const [messages, setMessages] = useState([]);
+  const [hasOlder, setHasOlder] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMessages, setIsLoadingMessages] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState(null);
+  const { token, user } = useAuth();
+  const api = useApi();
+  const { refreshUnreadCount } = useMessages();
+  const { subscribe } = useRealtime();
+  const navigate = useNavigate();
+  const bottomRef = useRef(null);
+  const stickToBottomRef = useRef(true);
+  const lastMessageIdRef = useRef(null);
+
+  const loadConversations = useCallback(async () => {
+    try {
+      setConversations(await api.get('/conversations'));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [api]);
+
+  // A thread that fails to be marked read just keeps its unread badge, so the error is only logged
+  const markRead = useCallback(async (id) => {
+    try {
+      await api.put(`/conversations/${id}/read`);
+      refreshUnreadCount();
+    } catch (err) {
+      console.error('Error marking conversation as read:', err);
+    }
+  }, [api, refreshUnreadCount]);
+
+  useEffect(() => {
+    if (token) loadConversations();
+  }, [token, loadConversations]);
+
+  // Load the latest page of the selected thread and mark it as read
+  useEffect(() => {
+    if (!token || !activeId) return;
+    let cancelled = false;
+    const loadThread = async () => {
+      setIsLoadingMessages(true);
+      setMessages([]);
+      setError(null);
+      try {
+        const data = await api.get(`/conversations/${activeId}/messages?limit=${MESSAGE_PAGE_SIZE}`);
+        if (cancelled) return;
+        stickToBottomRef.current = true;
+        setMessages(data.items);
+        setHasOlder(data.hasMore);
+        await markRead(activeId);
+        loadConversations();
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setIsLoadingMessages(false);
+      }
+    };
+    loadThread();
+    return () => { cancelled = true; };
+  }, [token, activeId, api, markRead, loadConversations]);
+
+  const appendMessages = useCallback((newMessages) => {
+    stickToBottomRef.current = true;
+    setMessages(prev => [...prev, ...newMessages.filter(item => !prev.some(message => message.id === item.id))]);
+  }, []);
+
+  // New messages arrive over the realtime channel; the thread list is refreshed for previews and unread counts
+  useEffect(() => subscribe('message:new', ({ message }) => {
+    loadConversations();
+    if (message.conversation_id !== activeId) return;
+    appendMessages([message]);
+    if (message.sender_id !== user.id) markRead(activeId);
+  }), [subscribe, activeId, user, appendMessages, loadConversations, markRead]);
+
+  // After a reconnect, fetch everything that was sent while the socket was down, a page at a time,
+  // before marking the thread read
+  useEffect(() => subscribe('ready', async () => {
+    loadConversations();
+    if (!activeId || !lastMessageIdRef.current) return;
+    try {
+      let after = lastMessageIdRef.current;
+      let received = 0;
+      let hasMore = true;
+      while (hasMore) {
+        const data = await api.get(`/conversations/${activeId}/messages?after=${after}&limit=${MESSAGE_PAGE_SIZE}`);
+        if (data.items.length === 0) break;
+        appendMessages(data.items);
+        received += data.items.length;
+        after = data.items[data.items.length - 1].id;
+        hasMore = data.hasMore;
+      }
+      if (received > 0) markRead(activeId);
+    } catch (err) {
+      console.error('Error catching up on messages:', err);
+    }
+  }), [subscribe, activeId, api, appendMessages, loadConversations, markRead]);
+
+  useEffect(() => {
+    lastMessageIdRef.current = messages[messages.length - 1]?.id ?? null;
+  }, [messages]);
+
+  useEffect(() => {
+    if (stickToBottomRef.current) bottomRef.current?.scrollIntoView({ block: 'end' });
+  }, [messages]);
+
+  const loadOlder = async () => {
+    try {
+      const data = await api.get(`/conversations/${activeId}/messages?before=${messages[0].id}&limit=${MESSAGE_PAGE_SIZE}`);
+      stickToBottomRef.current = false;
+      setMessages(prev => [...data.items, ...prev]);
+      setHasOlder(data.hasMore);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!draft.trim() || isSending) return;
+    setIsSending(true);
+    setError(null);
+    try {
+      const message = await api.post(`/conversations/${activeId}/messages`, { body: draft });
+      appendMessages([message]);
+      setDraft('');
+      loadConversations();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const activeConversation = conversations.find(conversation => conversation.id === activeId);
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex justify-center items-center">
+        <Loader className="animate-spin text-pink-500" size={48} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-6xl mx-auto p-4 md:p-8">
+        <h1 className="text-4xl font-bold text-gray-900 mb-6">Messages</h1>
+        {error && (
+          <div className="flex items-center gap-2 bg-red-50 border border-red-200 text-red-700 p-3 rounded-lg mb-4 text-sm">
+            <AlertTriangle size={16} /> {error}
+          </div>
+        )}
+
+        <div className="bg-white rounded-2xl shadow-lg flex h-[70vh] overflow-hidden">
+          {/* Thread list */}
+          <aside className={`${activeId ? 'hidden md:block' : 'block'} w-full md:w-80 border-r overflow-y-auto`}>
+            {conversations.length > 0 ? conversations.map(conversation => (
+              <button
+                key={conversation.id}
+                onClick={() => navigate(`/messages/${conversation.id}`)}
+                className={`w-full flex items-center gap-3 p-4 text-left border-b hover:bg-gray-50 ${conversation.id === activeId ? 'bg-pink-50' : ''}`}
+              >
+                <Avatar image={conversation.other_image} name={conversation.other_name} />
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="font-semibold text-gray-900 truncate">{conversation.other_name}</span>
+                    {conversation.last_message_at && <span className="text-xs text-gray-400 shrink-0">{formatTime(conversation.last_message_at)}</span>}
+                  </div>
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-sm text-gray-500 truncate">
+                      {conversation.last_message ? `${conversation.last_sender_id === user.id ? 'You: ' : ''}${conversation.last_message}` : 'No messages yet'}
+                    </span>
+                    {conversation.unread_count > 0 && (
+                      <span className="text-xs font-bold bg-pink-500 text-white rounded-full px-2 py-0.5 shrink-0">{conversation.unread_count}</span>
+                    )}
+                  </div>
+                </div>
+              </button>
+            )) : (
+              <div className="p-6 text-center text-gray-500">
+                <MessageSquare className="mx-auto mb-3 text-gray-300" size={40} />
+                <p>No conversations yet.</p>
+              </div>
+            )}
+          </aside>
+
+          {/* Active thread */}
+          <section className={`${activeId ? 'flex' : 'hidden md:flex'} flex-1 flex-col min-w-0`}>
+            {activeId ? (
+              <>
+                <header className="flex items-center gap-3 p-4 border-b">
+                  <Link to="/messages" className="md:hidden text-gray-500"><ArrowLeft size={20} /></Link>
+                  {activeConversation && (
+                    <>
+                      <Avatar image={activeConversation.other_image} name={activeConversation.other_name} />
+                      <div>
+                        {['model', 'photographer'].includes(activeConversation.other_role) ? (
+                          <Link to={`/profile/${activeConversation.other_user_id}`} className="font-semibold text-gray-900 hover:text-pink-600">{activeConversation.other_name}</Link>
+                        ) : (
+                          <p className="font-semibold text-gray-900">{activeConversation.other_name}</p>
+                        )}
+                        <p className="text-xs text-gray-500 capitalize">{activeConversation.other_role}</p>
+                      </div>
+                    </>
+                  )}
+                </header>
+
+                <div className="flex-1 overflow-y-auto p-4 space-y-3 bg-gray-50">
+                  {hasOlder && (
+                    <button onClick={loadOlder} className="block mx-auto text-xs font-semibold text-pink-600 hover:underline">Load older messages</button>
+                  )}
+                  {isLoadingMessages ? (
+                    <div className="flex justify-center py-8"><Loader className="animate-spin text-pink-500" size={28} /></div>
+                  ) : messages.map(message => {
+                    const isMine = message.sender_id === user.id;
+                    return (
+                      <div key={message.id} className={`flex ${isMine ? 'justify-end' : 'justify-start'}`}>
+                        <div className={`max-w-[75%] rounded-2xl px-4 py-2 text-sm shadow-sm ${isMine ? 'bg-pink-500 text-white rounded-br-sm' : 'bg-white text-gray-800 rounded-bl-sm'}`}>
+                          <p className="whitespace-pre-line break-words">{message.body}</p>
+                          <p className={`mt-1 text-[10px] ${isMine ? 'text-pink-100' : 'text-gray-400'}`}>{formatTime(message.created_at)}</p>
+                        </div>
+                      </div>
+                    );
+                  })}
+                  <div ref={bottomRef} />
+                </div>
+
+                <form onSubmit={handleSend} className="flex gap-2 p-4 border-t">
+                  <textarea
+                    rows={1}
+                    value={draft}
+                    placeholder="Write a message..."
+                    onChange={(e) => setDraft(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter' && !e.shiftKey) handleSend(e);
+                    }}
+                    className="flex-1 resize-none px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-pink-500 focus:border-pink-500"
+                  />
+                  <button type="submit" disabled={isSending || !draft.trim()} className="px-4 py-2 bg-pink-500 text-white rounded-lg hover:bg-pink-600 disabled:bg-pink-300">
+                    {isSending ? <Loader className="animate-spin" size={18} /> : <Send size={18} />}
+                  </button>
+                </form>
+              </>
+            ) : (
+              <div className="flex-1 flex flex-col items-center justify-center text-gray-400">
+                <MessageSquare size={48} className="mb-3" />
+                <p>Select a conversation to start chatting.</p>
+              </div>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Messages;
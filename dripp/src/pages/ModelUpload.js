@@ -1,6 +1,9 @@
 import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useAuth } from '../Context/AuthContext';
+import { useApi } from '../api/useApi';
+import { invalidateQueries } from '../api/queryCache';
+import TalentAttributeFields, { emptyTalentAttributes, appendTalentAttributes } from '../Components/TalentAttributeFields';
 import { UploadCloud, User, Link as LinkIcon, CheckCircle, AlertTriangle, Loader, Image as ImageIcon, Trash2, Instagram } from 'lucide-react';
 
 // Reusable custom hook for handling notifications
@@ -21,11 +24,13 @@ const ModelUpload = () => {
   const [bio, setBio] = useState('');
   const [portfolio, setPortfolio] = useState('');
   const [instagramId, setInstagramId] = useState('');
+  const [attributes, setAttributes] = useState(emptyTalentAttributes);
   const [galleryFiles, setGalleryFiles] = useState([]);
   const [galleryPreviews, setGalleryPreviews] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const { notification, showNotification } = useNotification();
-  const { token, user } = useAuth();
+  const { user } = useAuth();
+  const api = useApi();
 
   const handleGalleryChange = (e) => {
     const files = Array.from(e.target.files);
@@ -58,6 +63,7 @@ const ModelUpload = () => {
     formData.append('portfolio', portfolio);
     formData.append('instagram_id', instagramId);
     formData.append('role', user.role);
+    appendTalentAttributes(formData, attributes);
     
     // The first image uploaded will be the main profile picture
     formData.append('mainImage', galleryFiles[0]);
@@ -67,17 +73,12 @@ const ModelUpload = () => {
     });
 
     try {
-      const res = await fetch('https://modelconnect-api.onrender.com/api/models', {
-        method: 'POST',
-        headers: { Authorization: `Bearer ${token}` },
-        body: formData,
-      });
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.message);
+      await api.post('/models', formData);
+      invalidateQueries('/models');
       
       showNotification('Profile created successfully!', 'success');
       // Reset form state completely
-      setName(''); setGender(''); setBio(''); setPortfolio(''); setInstagramId('');
+      setName(''); setGender(''); setBio(''); setPortfolio(''); setInstagramId(''); setAttributes(emptyTalentAttributes);
       setGalleryFiles([]); setGalleryPreviews([]);
       e.target.reset();
     } catch (error) {
@@ -139,6 +140,16 @@ const ModelUpload = () => {
               <div className="space-y-2"><label htmlFor="instagram" className="font-medium text-gray-700">Instagram Handle</label><div className="relative"><Instagram className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} /><input id="instagram" type="text" value={instagramId} onChange={(e) => setInstagramId(e.target.value)} className="w-full pl-10 p-3 text-gray-900 rounded-lg bg-gray-100/50 border focus:border-pink-500" /></div></div>
             </div>
 
+            <div className="space-y-2">
+              <h3 className="text-lg font-semibold text-gray-800 border-b pb-2">Casting Details</h3>
+              <p className="text-sm text-gray-500">Optional, but recruiters filter the catalogue by these.</p>
+              <TalentAttributeFields
+                values={attributes}
+                onChange={(field, value) => setAttributes(prev => ({ ...prev, [field]: value }))}
+                inputClassName="w-full p-3 text-gray-900 rounded-lg bg-gray-100/50 border focus:border-pink-500"
+              />
+            </div>
+
             <button type="submit" className="w-full flex justify-center items-center bg-pink-500 hover:bg-pink-600 text-white p-4 rounded-lg font-bold text-lg transition disabled:bg-pink-300" disabled={isLoading}>{isLoading ? <><Loader className="animate-spin mr-2" /><span>Creating Profile...</span></> : 'Submit Profile'}</button>
           </form>
         </motion.div>
@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { useAuth } from '../Context/AuthContext';
+import { useApi } from '../api/useApi';
+import { Bell, Mail, Loader, Save, CheckCircle, AlertTriangle } from 'lucide-react';
+
+const inAppOptions = [
+  { key: 'profile_view', label: 'Profile views', description: 'When a recruiter views your profile (at most once a day per recruiter).' },
+  { key: 'shortlist', label: 'Shortlists', description: 'When a recruiter adds you or one of your videos to a shortlist.' },
+  { key: 'booking', label: 'Bookings', description: 'New booking requests and every response to a booking you are part of.' },
+];
+
+const Toggle = ({ checked, onChange, label, description }) => (
+  <label className="flex items-start justify-between gap-6 py-4 cursor-pointer">
+    <span>
+      <span className="block font-semibold text-gray-800">{label}</span>
+      <span className="block text-sm text-gray-500">{description}</span>
+    </span>
+    <input type="checkbox" checked={checked} onChange={(e) => onChange(e.target.checked)} className="mt-1 h-5 w-5 accent-pink-500 shrink-0" />
+  </label>
+);
+
+const NotificationSettings = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+  const { token } = useAuth();
+  const api = useApi();
+
+  useEffect(() => {
+    const loadPreferences = async () => {
+      try {
+        setPreferences(await api.get('/notifications/preferences'));
+      } catch (err) {
+        setStatus({ type: 'error', message: err.message });
+      }
+    };
+    if (token) loadPreferences();
+  }, [token, api]);
+
+  const handleChange = (key, value) => setPreferences(prev => ({ ...prev, [key]: value }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setStatus(null);
+    try {
+      const data = await api.put('/notifications/preferences', preferences);
+      setStatus({ type: 'success', message: data.message });
+    } catch (err) {
+      setStatus({ type: 'error', message: err.message });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <motion.div className="max-w-2xl mx-auto p-4 md:p-8" initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
+        <h1 className="text-4xl font-bold text-gray-900 mb-6">Notification Settings</h1>
+        {status && (
+          <div className={`flex items-center gap-2 p-3 rounded-lg mb-4 text-sm ${status.type === 'success' ? 'bg-green-50 border border-green-200 text-green-700' : 'bg-red-50 border border-red-200 text-red-700'}`}>
+            {status.type === 'success' ? <CheckCircle size={16} /> : <AlertTriangle size={16} />} {status.message}
+          </div>
+        )}
+        {!preferences ? (
+          <div className="flex justify-center py-16"><Loader className="animate-spin text-pink-500" size={40} /></div>
+        ) : (
+          <form onSubmit={handleSave} className="bg-white rounded-2xl shadow-lg p-8 space-y-6">
+            <section>
+              <h2 className="flex items-center gap-2 text-lg font-semibold text-gray-700 border-b pb-2"><Bell size={18} /> In-app notifications</h2>
+              <div className="divide-y">
+                {inAppOptions.map(option => (
+                  <Toggle key={option.key} checked={preferences[option.key]} onChange={(value) => handleChange(option.key, value)} label={option.label} description={option.description} />
+                ))}
+              </div>
+            </section>
+            <section>
+              <h2 className="flex items-center gap-2 text-lg font-semibold text-gray-700 border-b pb-2"><Mail size={18} /> Email</h2>
+              <Toggle
+                checked={preferences.email_digest}
+                onChange={(value) => handleChange('email_digest', value)}
+                label="Daily digest"
+                description="One email a day summarising notifications you haven't read yet. Nothing is sent on quiet days."
+              />
+            </section>
+            <button type="submit" disabled={isSaving} className="flex items-center justify-center gap-2 w-full px-6 py-3 bg-pink-600 text-white rounded-lg font-semibold hover:bg-pink-700 disabled:bg-pink-300">
+              {isSaving ? <Loader className="animate-spin" size={18} /> : <Save size={18} />} Save Preferences
+            </button>
+          </form>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default NotificationSettings;
@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useAuth } from '../Context/AuthContext'; // Make sure this path is correct for your project
+import { useApi } from '../api/useApi';
+import { invalidateQueries } from '../api/queryCache';
 import { UploadCloud, User, Link as LinkIcon, CheckCircle, AlertTriangle, Loader, Camera, Video, Image as ImageIcon, X } from 'lucide-react';
 
 // A hook for showing temporary notifications
@@ -27,7 +29,8 @@ const PhotographerUpload = () => {
 
   const [isLoading, setIsLoading] = useState(false);
   const { notification, showNotification } = useNotification();
-  const { token, user } = useAuth();
+  const { user } = useAuth();
+  const api = useApi();
 
   const handleImageChange = (e) => {
     const file = e.target.files[0];
@@ -101,13 +104,8 @@ const PhotographerUpload = () => {
     formData.append('role', user.role);
 
     try {
-      const res = await fetch('https://modelconnect-api.onrender.com/api/models', {
-        method: 'POST',
-        headers: { Authorization: `Bearer ${token}` },
-        body: formData,
-      });
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.message || 'An unknown error occurred.');
+      await api.post('/models', formData);
+      invalidateQueries('/models');
       
       showNotification('Profile created successfully!', 'success');
       // Reset form state
@@ -2,6 +2,16 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useAuth } from '../Context/AuthContext';
+import { useApi } from '../api/useApi';
+import { useMyProfile, useEditorVideos, myProfileKey } from '../api/queries';
+import { invalidateQueries, optimisticUpdate } from '../api/queryCache';
+import TalentAttributeFields, { TalentAttributeSummary } from '../Components/TalentAttributeFields';
+import BookingList from '../Components/BookingList';
+import EmailVerificationBanner from '../Components/EmailVerificationBanner';
+import ActiveSessions from '../Components/ActiveSessions';
+import TwoFactorSettings from '../Components/TwoFactorSettings';
+import AccountSettings from '../Components/AccountSettings';
+import PublicPageSettings from '../Components/PublicPageSettings';
 import { User, Edit, Save, X, ImagePlus, Trash2, Star, Loader, CheckCircle, AlertTriangle, UserPlus, Film, Video, Camera, Instagram, Link as LinkIcon } from 'lucide-react';
 
 // Reusable custom hook for handling notifications
@@ -15,19 +25,15 @@ const useNotification = () => {
 };
 
 // --- Editor Dashboard Component ---
-const EditorDashboard = ({ videos, fetchVideos, showNotification }) => {
-    const { token } = useAuth();
+const EditorDashboard = ({ videos, showNotification }) => {
+    const api = useApi();
     const handleDelete = async (videoId) => {
         if (window.confirm('Are you sure you want to delete this video? This action cannot be undone.')) {
             try {
-                const res = await fetch(`https://modelconnect-api.onrender.com/api/editor/videos/${videoId}`, {
-                    method: 'DELETE',
-                    headers: { Authorization: `Bearer ${token}` }
-                });
-                const data = await res.json();
-                if (!res.ok) throw new Error(data.message);
+                await api.delete(`/editor/videos/${videoId}`);
                 showNotification('Video deleted successfully!', 'success');
-                fetchVideos();
+                // Also refreshes the editors tab of the catalogue
+                invalidateQueries('/editor');
             } catch (error) {
                 showNotification(error.message, 'error');
             }
@@ -74,17 +80,20 @@ const EditorDashboard = ({ videos, fetchVideos, showNotification }) => {
 };
 
 // --- Model/Photographer Profile Component ---
-const CreativeProfile = ({ profile, fetchProfile, showNotification }) => {
+const CreativeProfile = ({ profile, showNotification }) => {
     const [isEditing, setIsEditing] = useState(false);
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [formData, setFormData] = useState(profile);
     const [galleryFiles, setGalleryFiles] = useState([]);
     const [galleryPreviews, setGalleryPreviews] = useState([]);
-    const { token } = useAuth();
+    const { user } = useAuth();
+    const api = useApi();
+    const isModel = user?.role === 'model';
     
     const handleEdit = () => setIsEditing(true);
     const handleCancel = () => { setIsEditing(false); setGalleryFiles([]); setGalleryPreviews([]); setFormData(profile); };
     const handleChange = (e) => setFormData({ ...formData, [e.target.name]: e.target.value });
+    const handleAttributeChange = (field, value) => setFormData(prev => ({ ...prev, [field]: value }));
     const handleGalleryFileChange = (e) => {
         const files = Array.from(e.target.files);
         const currentImageCount = (profile?.gallery?.length || 0) + galleryFiles.length;
@@ -102,22 +111,25 @@ const CreativeProfile = ({ profile, fetchProfile, showNotification }) => {
     };
     const handleDeleteExistingImage = async (imageId) => {
         try {
-          const res = await fetch(`https://modelconnect-api.onrender.com/api/models/my-profile/gallery/${imageId}`, { method: 'DELETE', headers: { Authorization: `Bearer ${token}` } });
-          const data = await res.json();
-          if (!res.ok) throw new Error(data.message);
+          await optimisticUpdate(
+            myProfileKey,
+            current => ({ ...current, gallery: current.gallery.filter(image => image.id !== imageId) }),
+            () => api.delete(`/models/my-profile/gallery/${imageId}`)
+          );
           showNotification('Image deleted!', 'success');
-          fetchProfile();
         } catch (error) {
           showNotification(error.message, 'error');
         }
     };
     const handleSetMainImage = async (imageUrl) => {
         try {
-          const res = await fetch('https://modelconnect-api.onrender.com/api/models/my-profile/main-image', { method: 'PUT', headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`}, body: JSON.stringify({ imageUrl }) });
-          const data = await res.json();
-          if (!res.ok) throw new Error(data.message);
+          await optimisticUpdate(
+            myProfileKey,
+            current => ({ ...current, image: imageUrl }),
+            () => api.put('/models/my-profile/main-image', { imageUrl })
+          );
           showNotification('Main image updated!', 'success');
-          fetchProfile();
+          invalidateQueries('/models');
         } catch (error) {
           showNotification(error.message, 'error');
         }
@@ -129,16 +141,15 @@ const CreativeProfile = ({ profile, fetchProfile, showNotification }) => {
             if (galleryFiles.length > 0) {
                 const galleryUploadForm = new FormData();
                 galleryFiles.forEach(file => galleryUploadForm.append('galleryImages', file));
-                const galleryRes = await fetch('https://modelconnect-api.onrender.com/api/models/my-profile/gallery', { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: galleryUploadForm });
-                if (!galleryRes.ok) throw new Error((await galleryRes.json()).message);
+                await api.post('/models/my-profile/gallery', galleryUploadForm);
             }
-            const detailsRes = await fetch('https://modelconnect-api.onrender.com/api/models/my-profile', { method: 'PUT', headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` }, body: JSON.stringify(formData) });
-            if (!detailsRes.ok) throw new Error((await detailsRes.json()).message);
+            await api.put('/models/my-profile', formData);
             showNotification('Profile saved successfully!', 'success');
             setIsEditing(false);
             setGalleryFiles([]);
             setGalleryPreviews([]);
-            fetchProfile();
+            // Refetches this profile along with the catalogue listings it appears in
+            invalidateQueries('/models');
         } catch (error) {
             showNotification(error.message, 'error');
         } finally {
@@ -254,6 +265,12 @@ const CreativeProfile = ({ profile, fetchProfile, showNotification }) => {
                                         placeholder="yourhandle"
                                     />
                                 </div>
+                                <TalentAttributeFields
+                                    values={formData}
+                                    onChange={handleAttributeChange}
+                                    showMeasurements={isModel}
+                                    inputClassName="p-2 rounded-lg bg-gray-100 w-full text-gray-800"
+                                />
                             </>
                         ) : (
                             <>
@@ -289,6 +306,7 @@ const CreativeProfile = ({ profile, fetchProfile, showNotification }) => {
                                         <span className="text-gray-400 ml-1">Not provided</span>
                                     )}
                                 </p>
+                                <TalentAttributeSummary profile={profile} />
                             </>
                         )}
                     </div>
@@ -382,66 +400,18 @@ const CreativeProfile = ({ profile, fetchProfile, showNotification }) => {
 
 // --- Main Profile Page (Controller) ---
 const Profile = () => {
-  const { user, token } = useAuth();
-  const [profile, setProfile] = useState(null);
-  const [editorVideos, setEditorVideos] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
+  const { user } = useAuth();
   const { notification, showNotification } = useNotification();
-
-  const fetchCreativeProfile = useCallback(async () => {
-    if (!token) return;
-    try {
-      const res = await fetch('https://modelconnect-api.onrender.com/api/models/my-profile', { 
-        headers: { Authorization: `Bearer ${token}` } 
-      });
-      
-      if (res.status === 404) {
-        setProfile(null);
-      } else if (res.ok) {
-        const data = await res.json();
-        setProfile(data);
-      } else {
-        throw new Error('Could not fetch profile.');
-      }
-    } catch (error) { 
-      showNotification(error.message, 'error'); 
-    }
-  }, [token, showNotification]);
-
-  const fetchEditorVideos = useCallback(async () => {
-    if (!token) return;
-    try {
-      const res = await fetch('https://modelconnect-api.onrender.com/api/editor/my-videos', { 
-        headers: { Authorization: `Bearer ${token}` } 
-      });
-      
-      if (res.ok) {
-        setEditorVideos(await res.json());
-      } else {
-        throw new Error('Could not fetch videos.');
-      }
-    } catch (error) { 
-      showNotification(error.message, 'error'); 
-    }
-  }, [token, showNotification]);
+  const profileQuery = useMyProfile({ enabled: ['model', 'photographer'].includes(user?.role) });
+  const videosQuery = useEditorVideos({ enabled: user?.role === 'editor' });
+  const profile = profileQuery.data;
+  const editorVideos = videosQuery.data || [];
+  const isLoading = profileQuery.isLoading || videosQuery.isLoading;
+  const loadError = profileQuery.error || videosQuery.error;
 
   useEffect(() => {
-    const loadData = async () => {
-        setIsLoading(true);
-        if (user?.role === 'editor') {
-            await fetchEditorVideos();
-        } else if (['model', 'photographer'].includes(user?.role)) {
-            await fetchCreativeProfile();
-        }
-        setIsLoading(false);
-    };
-    
-    if(user) {
-        loadData();
-    } else {
-        setIsLoading(false); // If no user, stop loading
-    }
-  }, [user, fetchCreativeProfile, fetchEditorVideos]);
+    if (loadError) showNotification(loadError.message, 'error');
+  }, [loadError, showNotification]);
 
   if (isLoading) return (
     <div className="min-h-screen bg-gray-50 flex justify-center items-center">
@@ -472,19 +442,22 @@ const Profile = () => {
           initial={{ opacity: 0 }} 
           animate={{ opacity: 1 }}
         >
+            <EmailVerificationBanner />
             {user?.role === 'editor' ? (
                 <EditorDashboard 
                   videos={editorVideos} 
-                  fetchVideos={fetchEditorVideos} 
                   showNotification={showNotification} 
                 />
             ) : user?.role === 'model' || user?.role === 'photographer' ? (
                 profile ? (
-                    <CreativeProfile 
-                      profile={profile} 
-                      fetchProfile={fetchCreativeProfile} 
-                      showNotification={showNotification} 
-                    />
+                    <>
+                        <CreativeProfile 
+                          profile={profile} 
+                          showNotification={showNotification} 
+                        />
+                        <PublicPageSettings profile={profile} />
+                        <BookingList title="Booking Requests" emptyMessage="No booking requests yet. Recruiters can request you from your public profile." />
+                    </>
                 ) : (
                     <div className="min-h-screen flex flex-col justify-center items-center text-center p-6">
                         <UserPlus className="mx-auto text-pink-500 mb-4" size={64} />
@@ -498,6 +471,10 @@ const Profile = () => {
                         </Link>
                     </div>
                 )
+            ) : user?.role === 'recruiter' || user?.role === 'admin' ? (
+                <div className="pt-8">
+                    <BookingList title="Your Booking Requests" emptyMessage="You haven't sent any booking requests yet. Find talent in the catalogue to get started." />
+                </div>
             ) : (
                  <div className="min-h-screen flex flex-col justify-center items-center text-center p-6">
                     <AlertTriangle className="mx-auto text-yellow-500 mb-4" size={64} />
@@ -511,6 +488,9 @@ const Profile = () => {
                     </Link>
                  </div>
             )}
+            <TwoFactorSettings />
+            <ActiveSessions />
+            <AccountSettings />
         </motion.div>
       </div>
     </>
@@ -1,50 +1,75 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useParams, Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../Context/AuthContext'; // <-- Import useAuth
-import { Loader, AlertTriangle, Mail, Link as LinkIcon, ArrowLeft, Video, Instagram } from 'lucide-react';
+import { useApi } from '../api/useApi';
+import { invalidateQueries } from '../api/queryCache';
+import { featuredProfilesKey } from '../api/queries';
+import ShortlistMenu from '../Components/ShortlistMenu';
+import BookingRequestForm from '../Components/BookingRequestForm';
+import { TalentAttributeSummary } from '../Components/TalentAttributeFields';
+import { Loader, AlertTriangle, Mail, Link as LinkIcon, ArrowLeft, Video, Instagram, CalendarPlus, LogIn, Pin, PinOff } from 'lucide-react';
 
 const PublicProfile = () => {
-    const { userId } = useParams(); // Get the user ID from the URL
+    // Reached at /profile/:userId or at the talent's own address, /t/:slug
+    const { userId, slug } = useParams();
+    const handle = slug || userId;
     const [profile, setProfile] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
-    const { token } = useAuth(); // <-- Get the token from your AuthContext
+    const [isBookingOpen, setIsBookingOpen] = useState(false);
+    const [contactError, setContactError] = useState(null);
+    const [featureError, setFeatureError] = useState(null);
+    const { token, user } = useAuth(); // <-- Get the token from your AuthContext
+    const api = useApi();
+    const navigate = useNavigate();
 
     useEffect(() => {
+        let cancelled = false;
         const fetchPublicProfile = async () => {
             setIsLoading(true);
             setError(null);
-
-            // If there's no token, we can't make an authenticated request.
-            if (!token) {
-                setError("Authentication is required to view profiles.");
-                setIsLoading(false);
-                return;
-            }
-
             try {
-                // CORRECTED: Added the Authorization header to the fetch request
-                const res = await fetch(`https://modelconnect-api.onrender.com/api/profile/${userId}`, {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    }
-                });
-                if (!res.ok) {
-                    const errorData = await res.json();
-                    throw new Error(errorData.message || 'Could not find this profile.');
-                }
-                const data = await res.json();
-                setProfile(data);
+                // Visitors without an account see the talent's public page, with only the details they chose to share
+                const data = await api.get(token ? `/profile/${encodeURIComponent(handle)}` : `/public/profiles/${encodeURIComponent(handle)}`);
+                if (!cancelled) setProfile(data);
             } catch (err) {
-                setError(err.message);
+                if (!cancelled) setError(err.message);
             } finally {
-                setIsLoading(false);
+                if (!cancelled) setIsLoading(false);
             }
         };
 
         fetchPublicProfile();
-    }, [userId, token]); // <-- Add token to the dependency array
+        return () => { cancelled = true; };
+    }, [handle, token, api]);
+
+    // Opens the conversation with this talent, creating it on first contact
+    const handleContact = async () => {
+        setContactError(null);
+        try {
+            const data = await api.post('/conversations', { userId: profile.user_id });
+            navigate(`/messages/${data.id}`);
+        } catch (err) {
+            setContactError(err.message);
+        }
+    };
+
+    // Admins pin a public profile to the Home page's featured talent, or unpin it
+    const handleToggleFeatured = async () => {
+        setFeatureError(null);
+        try {
+            if (profile.featured) {
+                await api.delete(`/featured/${profile.id}`);
+            } else {
+                await api.post('/featured', { model_id: profile.id });
+            }
+            setProfile(current => ({ ...current, featured: !current.featured }));
+            invalidateQueries(featuredProfilesKey);
+        } catch (err) {
+            setFeatureError(err.message);
+        }
+    };
 
     const getGenderClass = (gender) => {
         switch (gender) {
@@ -68,9 +93,10 @@ const PublicProfile = () => {
                 <AlertTriangle className="mx-auto text-red-500 mb-4" size={64} />
                 <h2 className="mt-4 text-3xl font-bold text-gray-800">Profile Not Found</h2>
                 <p className="text-gray-600 my-4 max-w-md">{error}</p>
-                <Link to="/catalogue" className="inline-flex items-center justify-center px-6 py-3 bg-pink-600 text-white rounded-lg font-semibold shadow-lg hover:bg-pink-700">
+                {/* The catalogue needs an account, so visitors who followed a shared link go to the Home page */}
+                <Link to={user ? '/catalogue' : '/'} className="inline-flex items-center justify-center px-6 py-3 bg-pink-600 text-white rounded-lg font-semibold shadow-lg hover:bg-pink-700">
                     <ArrowLeft size={18} className="mr-2" />
-                    Back to Catalogue
+                    {user ? 'Back to Catalogue' : 'Back to Home'}
                 </Link>
             </div>
         );
@@ -99,28 +125,58 @@ const PublicProfile = () => {
                     </div>
                     <div className="md:w-2/3 mt-6 md:mt-0">
                         <h1 className="text-5xl font-bold text-gray-900">{profile.name}</h1>
-                        <span className={`text-sm font-bold px-3 py-1 rounded-full mt-2 inline-block ${getGenderClass(profile.gender)}`}>
-                            {profile.gender}
-                        </span>
-                        <p className="text-gray-600 mt-4 text-lg">{profile.bio}</p>
+                        {profile.gender && (
+                            <span className={`text-sm font-bold px-3 py-1 rounded-full mt-2 inline-block ${getGenderClass(profile.gender)}`}>
+                                {profile.gender}
+                            </span>
+                        )}
+                        {profile.bio && <p className="text-gray-600 mt-4 text-lg">{profile.bio}</p>}
                         <div className="flex gap-4 mt-6 flex-wrap">
-                            <button className={`flex items-center justify-center px-6 py-3 bg-${themeColor}-600 text-white rounded-lg font-semibold shadow-lg hover:bg-${themeColor}-700 transition`}>
-                                <Mail size={18} className="mr-2"/> Contact Talent
-                            </button>
+                            {['recruiter', 'admin'].includes(user?.role) && (
+                                <button onClick={handleContact} className={`flex items-center justify-center px-6 py-3 bg-${themeColor}-600 text-white rounded-lg font-semibold shadow-lg hover:bg-${themeColor}-700 transition`}>
+                                    <Mail size={18} className="mr-2"/> Contact Talent
+                                </button>
+                            )}
                             {profile.portfolio && (
                                 <a href={profile.portfolio} target="_blank" rel="noopener noreferrer" className="flex items-center justify-center px-6 py-3 bg-gray-100 text-gray-800 rounded-lg font-semibold hover:bg-gray-200 transition">
                                     <LinkIcon size={18} className="mr-2"/> View Portfolio
                                 </a>
+                            )}
+                            {['recruiter', 'admin'].includes(user?.role) && (
+                                <>
+                                    <button onClick={() => setIsBookingOpen(true)} className="flex items-center justify-center px-6 py-3 bg-gray-900 text-white rounded-lg font-semibold hover:bg-gray-700 transition">
+                                        <CalendarPlus size={18} className="mr-2"/> Request Booking
+                                    </button>
+                                    <ShortlistMenu modelId={profile.id} className="flex items-center justify-center px-6 py-3 bg-gray-100 text-gray-800 rounded-lg font-semibold hover:bg-gray-200 transition" />
+                                </>
+                            )}
+                            {user?.role === 'admin' && !!profile.public_profile && (
+                                <button onClick={handleToggleFeatured} className="flex items-center justify-center px-6 py-3 bg-gray-100 text-gray-800 rounded-lg font-semibold hover:bg-gray-200 transition">
+                                    {profile.featured ? <><PinOff size={18} className="mr-2"/> Unpin from Home</> : <><Pin size={18} className="mr-2"/> Feature on Home</>}
+                                </button>
                             )}
                              {profile.instagram_id && (
                                 <a href={profile.instagram_id} target="_blank" rel="noopener noreferrer" className="flex items-center justify-center px-6 py-3 bg-gray-100 text-gray-800 rounded-lg font-semibold hover:bg-gray-200 transition">
                                     <Instagram size={18} className="mr-2"/> Instagram
                                 </a>
                             )}
+                            {!user && (
+                                <Link to="/login" className={`flex items-center justify-center px-6 py-3 bg-${themeColor}-600 text-white rounded-lg font-semibold shadow-lg hover:bg-${themeColor}-700 transition`}>
+                                    <LogIn size={18} className="mr-2"/> Log in to get in touch
+                                </Link>
+                            )}
                         </div>
+                        {contactError && <p className="mt-3 text-sm text-red-500">{contactError}</p>}
+                        {featureError && <p className="mt-3 text-sm text-red-500">{featureError}</p>}
                     </div>
                 </div>
 
+                {/* Casting details */}
+                <div className="mt-12 bg-white p-8 rounded-2xl shadow-lg">
+                    <h2 className="text-3xl font-bold text-gray-800 mb-6">Details</h2>
+                    <TalentAttributeSummary profile={profile} />
+                </div>
+
                 {/* UPDATED: Conditionally render the sample video if it exists for photographers */}
                 {isPhotographer && profile.sample_video_url && (
                     <div className="mt-12 bg-white p-8 rounded-2xl shadow-lg">
@@ -131,31 +187,37 @@ const PublicProfile = () => {
                     </div>
                 )}
 
-                {/* Gallery Section */}
-                <div className="mt-12 bg-white p-8 rounded-2xl shadow-lg">
-                    <h2 className="text-3xl font-bold text-gray-800 mb-6">Photo Gallery</h2>
-                    {profile.gallery && profile.gallery.length > 0 ? (
-                        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
-                            {profile.gallery.map((img) => (
-                                <motion.div 
-                                    key={img.id}
-                                    className="relative aspect-square rounded-xl overflow-hidden shadow-md"
-                                    whileHover={{ scale: 1.05 }}
-                                    transition={{ type: 'spring', stiffness: 300 }}
-                                >
-                                    <img 
-                                        src={img.image_url}
-                                        alt={`Gallery image for ${profile.name}`}
-                                        className="w-full h-full object-cover"
-                                    />
-                                </motion.div>
-                            ))}
-                        </div>
-                    ) : (
-                        <p className="text-gray-500">No gallery images have been uploaded yet.</p>
-                    )}
-                </div>
+                {/* Gallery Section; left out of public pages whose talent keeps the gallery private */}
+                {profile.gallery && (
+                    <div className="mt-12 bg-white p-8 rounded-2xl shadow-lg">
+                        <h2 className="text-3xl font-bold text-gray-800 mb-6">Photo Gallery</h2>
+                        {profile.gallery.length > 0 ? (
+                            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+                                {profile.gallery.map((img) => (
+                                    <motion.div 
+                                        key={img.id}
+                                        className="relative aspect-square rounded-xl overflow-hidden shadow-md"
+                                        whileHover={{ scale: 1.05 }}
+                                        transition={{ type: 'spring', stiffness: 300 }}
+                                    >
+                                        <img 
+                                            src={img.image_url}
+                                            alt={`Gallery image for ${profile.name}`}
+                                            className="w-full h-full object-cover"
+                                        />
+                                    </motion.div>
+                                ))}
+                            </div>
+                        ) : (
+                            <p className="text-gray-500">No gallery images have been uploaded yet.</p>
+                        )}
+                    </div>
+                )}
             </motion.div>
+
+            {isBookingOpen && (
+                <BookingRequestForm modelId={profile.id} talentName={profile.name} onClose={() => setIsBookingOpen(false)} />
+            )}
         </div>
     );
 };
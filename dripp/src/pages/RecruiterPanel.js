@@ -1,63 +1,262 @@
 // src/pages/RecruiterPanel.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../Context/AuthContext';
+import { useApi } from '../api/useApi';
+import { talentCategories } from '../Components/TalentAttributeFields';
+import { Loader, AlertTriangle, Star, Plus, Trash2, Edit, Video } from 'lucide-react';
 
-const mockModels = [
-  { id: 1, name: 'Anna Singh', category: 'Fashion', shortlisted: false },
-  { id: 2, name: 'Priya Rao', category: 'Commercial', shortlisted: false },
-  { id: 3, name: 'Sara Khan', category: 'Runway', shortlisted: false },
+const BROWSE_PAGE_SIZE = 30;
+
+const statusOptions = [
+  { value: 'considering', label: 'Considering', className: 'bg-gray-600' },
+  { value: 'contacted', label: 'Contacted', className: 'bg-blue-600' },
+  { value: 'booked', label: 'Booked', className: 'bg-green-600' },
+  { value: 'rejected', label: 'Rejected', className: 'bg-red-600' },
 ];
 
 const RecruiterPanel = () => {
   const [models, setModels] = useState([]);
+  const [totalModels, setTotalModels] = useState(0);
+  const [shortlists, setShortlists] = useState([]);
+  const [activeListId, setActiveListId] = useState(null);
+  const [newListName, setNewListName] = useState('');
   const [search, setSearch] = useState('');
+  const [role, setRole] = useState('');
   const [category, setCategory] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { token } = useAuth();
+  const api = useApi();
+
+  const loadShortlists = useCallback(async () => {
+    const lists = await api.get('/shortlists');
+    setShortlists(lists);
+    setActiveListId(current => (lists.some(list => list.id === current) ? current : lists[0]?.id ?? null));
+  }, [api]);
 
   useEffect(() => {
-    // Replace this with an API call
-    setModels(mockModels);
-  }, []);
+    const loadPanel = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        await loadShortlists();
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
 
-  const toggleShortlist = (id) => {
-    setModels((prev) =>
-      prev.map((m) => m.id === id ? { ...m, shortlisted: !m.shortlisted } : m)
-    );
+    if (token) loadPanel();
+  }, [token, loadShortlists]);
+
+  // Browse results are searched server-side; the short delay avoids a request per keystroke
+  useEffect(() => {
+    if (!token) return;
+    const timer = setTimeout(async () => {
+      try {
+        const query = new URLSearchParams({ limit: BROWSE_PAGE_SIZE });
+        if (search.trim()) query.set('q', search.trim());
+        if (role) query.set('role', role);
+        if (category) query.set('category', category);
+        const data = await api.get(`/models?${query}`);
+        setModels(data.items);
+        setTotalModels(data.total);
+      } catch (err) {
+        setError(err.message);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [token, api, search, role, category]);
+
+  // Runs a mutation, then re-syncs the lists from the server
+  const mutate = async (path, options) => {
+    setError(null);
+    try {
+      const data = await api.request(path, options);
+      await loadShortlists();
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
   };
 
-  const filteredModels = models.filter((m) =>
-    m.name.toLowerCase().includes(search.toLowerCase()) &&
-    (category ? m.category === category : true)
-  );
+  const activeList = shortlists.find(list => list.id === activeListId);
+  const activeItemsByModel = new Map((activeList?.items || []).filter(item => item.model_id).map(item => [item.model_id, item]));
+
+  const createList = async (e) => {
+    e.preventDefault();
+    if (!newListName.trim()) return;
+    const list = await mutate('/shortlists', { method: 'POST', body: { name: newListName } });
+    if (list) {
+      setNewListName('');
+      setActiveListId(list.id);
+    }
+  };
+
+  const renameList = (list) => {
+    const name = window.prompt('Rename shortlist', list.name);
+    if (name && name.trim() && name !== list.name) {
+      mutate(`/shortlists/${list.id}`, { method: 'PUT', body: { name } });
+    }
+  };
+
+  const deleteList = (list) => {
+    if (window.confirm(`Delete "${list.name}" and everything on it?`)) {
+      mutate(`/shortlists/${list.id}`, { method: 'DELETE' });
+    }
+  };
+
+  const updateItem = (item, changes) => {
+    mutate(`/shortlists/${activeList.id}/items/${item.id}`, { method: 'PUT', body: changes });
+  };
+
+  const removeItem = (item) => {
+    mutate(`/shortlists/${activeList.id}/items/${item.id}`, { method: 'DELETE' });
+  };
+
+  const toggleShortlist = (model) => {
+    const item = activeItemsByModel.get(model.id);
+    if (item) {
+      removeItem(item);
+    } else {
+      mutate(`/shortlists/${activeList.id}/items`, { method: 'POST', body: { modelId: model.id } });
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="p-6 bg-gray-900 min-h-screen flex justify-center items-center">
+        <Loader className="animate-spin text-pink-400" size={48} />
+      </div>
+    );
+  }
 
   return (
     <div className="p-6 text-white bg-gray-900 min-h-screen">
       <h1 className="text-3xl font-bold text-pink-400 mb-4">Recruiter Panel</h1>
 
+      {error && (
+        <div className="flex items-center gap-2 bg-red-500/20 border border-red-500 text-red-200 p-3 rounded mb-4">
+          <AlertTriangle size={18} /> {error}
+        </div>
+      )}
+
+      {/* Shortlist tabs */}
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {shortlists.map(list => (
+          <button
+            key={list.id}
+            onClick={() => setActiveListId(list.id)}
+            className={`px-4 py-2 rounded ${list.id === activeListId ? 'bg-pink-500' : 'bg-gray-800 hover:bg-gray-700'}`}
+          >
+            {list.name} <span className="text-xs opacity-75">({list.items.length})</span>
+          </button>
+        ))}
+        <form onSubmit={createList} className="flex gap-2">
+          <input type="text" placeholder="New list, e.g. Autumn lookbook" value={newListName}
+            onChange={(e) => setNewListName(e.target.value)}
+            className="p-2 rounded bg-gray-800" />
+          <button type="submit" className="p-2 rounded bg-gray-700 hover:bg-gray-600"><Plus size={18} /></button>
+        </form>
+      </div>
+
+      {/* Active shortlist */}
+      {activeList ? (
+        <div className="bg-gray-800 rounded shadow-lg p-4 mb-8">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-2xl font-semibold">{activeList.name}</h2>
+            <div className="flex gap-2">
+              <button onClick={() => renameList(activeList)} className="flex items-center gap-1 px-3 py-1.5 rounded bg-gray-700 hover:bg-gray-600 text-sm"><Edit size={14} /> Rename</button>
+              <button onClick={() => deleteList(activeList)} className="flex items-center gap-1 px-3 py-1.5 rounded bg-red-500 hover:bg-red-600 text-sm"><Trash2 size={14} /> Delete</button>
+            </div>
+          </div>
+          {activeList.items.length > 0 ? (
+            <div className="space-y-3">
+              {activeList.items.map(item => (
+                <div key={item.id} className="flex flex-col md:flex-row gap-4 bg-gray-900 p-3 rounded">
+                  {item.video_id ? (
+                    <div className="w-full md:w-32 h-24 bg-black rounded flex items-center justify-center"><Video className="text-gray-500" /></div>
+                  ) : (
+                    <img src={item.image} alt={item.name} className="w-full md:w-24 h-24 object-cover rounded" />
+                  )}
+                  <div className="md:w-1/4">
+                    {item.video_id ? (
+                      <p className="font-semibold">{item.name}</p>
+                    ) : (
+                      <Link to={`/profile/${item.user_id}`} className="font-semibold hover:text-pink-400">{item.name}</Link>
+                    )}
+                    <p className="text-sm text-gray-400 capitalize">{item.video_id ? `Video by ${item.user_name}` : item.role}</p>
+                    <select
+                      value={item.status}
+                      onChange={(e) => updateItem(item, { status: e.target.value })}
+                      className={`mt-2 p-1.5 rounded text-sm ${statusOptions.find(option => option.value === item.status)?.className}`}
+                    >
+                      {statusOptions.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                    </select>
+                  </div>
+                  <textarea
+                    key={`${item.id}-${item.note}`}
+                    defaultValue={item.note || ''}
+                    placeholder="Notes for this talent..."
+                    onBlur={(e) => e.target.value !== (item.note || '') && updateItem(item, { note: e.target.value })}
+                    className="flex-1 p-2 rounded bg-gray-800 text-sm min-h-[80px]"
+                  />
+                  <button onClick={() => removeItem(item)} className="self-start text-red-400 hover:text-red-300"><Trash2 size={18} /></button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-gray-400">Nothing on this list yet. Add talent below or from the catalogue.</p>
+          )}
+        </div>
+      ) : (
+        <p className="text-gray-400 mb-8">Create your first list to start shortlisting talent.</p>
+      )}
+
+      {/* Browse talent */}
+      <h2 className="text-2xl font-semibold mb-1">Browse Talent</h2>
+      <p className="text-gray-400 text-sm mb-4">
+        {totalModels > models.length ? `Showing ${models.length} of ${totalModels} profiles. Refine your search to narrow it down.` : `${totalModels} profiles`}
+      </p>
       <div className="flex flex-col md:flex-row gap-4 mb-6">
         <input type="text" placeholder="Search by name"
           onChange={(e) => setSearch(e.target.value)}
           className="p-3 rounded bg-gray-800 w-full md:w-1/3" />
+        <select onChange={(e) => setRole(e.target.value)} className="p-3 rounded bg-gray-800 w-full md:w-1/3">
+          <option value="">All Talent</option>
+          <option value="model">Models</option>
+          <option value="photographer">Photographers</option>
+        </select>
         <select onChange={(e) => setCategory(e.target.value)} className="p-3 rounded bg-gray-800 w-full md:w-1/3">
           <option value="">All Categories</option>
-          <option value="Fashion">Fashion</option>
-          <option value="Commercial">Commercial</option>
-          <option value="Runway">Runway</option>
+          {talentCategories.map(option => <option key={option} value={option}>{option}</option>)}
         </select>
       </div>
 
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-        {filteredModels.map((model) => (
+        {models.map((model) => (
           <div key={model.id} className="bg-gray-800 p-4 rounded shadow-lg">
+            <img src={model.image} alt={model.name} className="w-full h-56 object-cover rounded mb-3" />
             <h2 className="text-xl font-semibold">{model.name}</h2>
-            <p className="text-sm text-gray-300">{model.category}</p>
+            <p className="text-sm text-gray-300 capitalize">{model.role} · {model.gender}</p>
+            {model.categories?.length > 0 && <p className="text-sm text-gray-400">{model.categories.join(', ')}</p>}
+            <Link to={`/profile/${model.user_id}`} className="block mt-2 text-sm text-pink-400 hover:underline">View Full Profile</Link>
             <button
-              onClick={() => toggleShortlist(model.id)}
-              className={`mt-3 w-full py-2 rounded ${model.shortlisted ? 'bg-green-500' : 'bg-pink-500 hover:bg-pink-600'}`}
+              onClick={() => toggleShortlist(model)}
+              disabled={!activeList}
+              className={`mt-3 w-full py-2 rounded flex items-center justify-center gap-2 disabled:opacity-50 ${activeItemsByModel.has(model.id) ? 'bg-green-500' : 'bg-pink-500 hover:bg-pink-600'}`}
             >
-              {model.shortlisted ? 'Shortlisted' : 'Shortlist'}
+              <Star size={16} /> {activeItemsByModel.has(model.id) ? `On ${activeList.name}` : 'Shortlist'}
             </button>
           </div>
         ))}
       </div>
+      {models.length === 0 && (
+        <p className="text-center text-gray-400 py-10">No profiles match your filters.</p>
+      )}
     </div>
   );
 };
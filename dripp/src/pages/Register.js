@@ -1,7 +1,8 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
-import { User, Mail, Key, Briefcase, CheckCircle, AlertTriangle, Loader, Eye, EyeOff } from 'lucide-react';
+import { apiRequest } from '../api/client';
+import { User, Mail, MailCheck, Key, Briefcase, CheckCircle, AlertTriangle, Loader, Eye, EyeOff } from 'lucide-react';
 
 // Custom hook for handling notifications
 const useNotification = () => {
@@ -21,8 +22,8 @@ const Register = () => {
   const [form, setForm] = useState({ name: '', email: '', password: '', role: 'model' });
   const [isLoading, setIsLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
+  const [registeredEmail, setRegisteredEmail] = useState(null);
   const { notification, showNotification } = useNotification();
-  const navigate = useNavigate();
 
   const handleChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
 
@@ -31,22 +32,9 @@ const Register = () => {
     setIsLoading(true);
 
     try {
-      const response = await fetch('https://modelconnect-api.onrender.com/api/auth/register', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(form),
-      });
-
-      const data = await response.json();
-
-      if (response.ok) {
-        showNotification('Registration successful! Redirecting to login...', 'success');
-        setTimeout(() => {
-          navigate('/login');
-        }, 2000);
-      } else {
-        throw new Error(data.message || 'An unknown error occurred.');
-      }
+      await apiRequest('/auth/register', { method: 'POST', body: form });
+      showNotification('Registration successful!', 'success');
+      setRegisteredEmail(form.email);
     } catch (error) {
       showNotification(`Registration failed: ${error.message}`, 'error');
       console.error('Error:', error);
@@ -83,6 +71,19 @@ const Register = () => {
               animate={{ opacity: 1, x: 0 }}
               transition={{ duration: 0.6 }}
             >
+              {registeredEmail ? (
+                <div className="text-center py-8">
+                  <MailCheck className="mx-auto text-pink-500 mb-4" size={64} />
+                  <h2 className="text-3xl font-bold text-gray-800 mb-2">Check Your Inbox</h2>
+                  <p className="text-gray-500 mb-8">
+                    We sent a verification link to <strong>{registeredEmail}</strong>. Verify your address to finish setting up your account; the link expires in 24 hours.
+                  </p>
+                  <Link to="/login" className="inline-flex items-center justify-center px-8 py-3 bg-pink-500 hover:bg-pink-600 text-white rounded-lg font-bold">
+                    Continue to Login
+                  </Link>
+                </div>
+              ) : (
+              <>
               <h2 className="text-4xl font-bold text-gray-800 mb-2">Create Account</h2>
               <p className="text-gray-500 mb-8">Join our community of talent and creators.</p>
 
@@ -118,7 +119,8 @@ const Register = () => {
                   <input
                     name="password"
                     type={showPassword ? 'text' : 'password'}
-                    placeholder="Password"
+                    placeholder="Password (at least 8 characters)"
+                    minLength={8}
                     onChange={handleChange}
                     className="w-full pl-10 pr-10 py-3 text-gray-900 border border-gray-300 rounded-lg focus:ring-pink-500 focus:border-pink-500 transition"
                     required
@@ -171,6 +173,8 @@ const Register = () => {
                   </Link>
                 </p>
               </form>
+              </>
+              )}
             </motion.div>
           </div>
 
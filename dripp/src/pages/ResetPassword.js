@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { apiRequest } from '../api/client';
+import { Key, Loader, CheckCircle, AlertTriangle, Eye, EyeOff } from 'lucide-react';
+
+const PASSWORD_MIN_LENGTH = 8;
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [status, setStatus] = useState(token ? null : { type: 'error', message: 'This reset link is missing its token. Request a new one below.' });
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password.length < PASSWORD_MIN_LENGTH) return setStatus({ type: 'error', message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters.` });
+    if (password !== confirmPassword) return setStatus({ type: 'error', message: 'Passwords do not match.' });
+
+    setIsLoading(true);
+    setStatus(null);
+    try {
+      const data = await apiRequest('/auth/reset-password', { method: 'POST', body: { token, password } });
+      setStatus({ type: 'success', message: `${data.message} Redirecting to login...` });
+      setTimeout(() => navigate('/login'), 2000);
+    } catch (err) {
+      setStatus({ type: 'error', message: err.message });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const inputClassName = 'w-full pl-10 pr-10 py-3 text-gray-900 border border-gray-300 rounded-lg focus:ring-pink-500 focus:border-pink-500 transition';
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <motion.div className="w-full max-w-md bg-white rounded-2xl shadow-2xl p-8 md:p-12" initial={{ opacity: 0, y: 30 }} animate={{ opacity: 1, y: 0 }}>
+        <h2 className="text-3xl font-bold text-gray-800 mb-2">Choose a New Password</h2>
+        <p className="text-gray-500 mb-8">Use at least {PASSWORD_MIN_LENGTH} characters.</p>
+
+        {status && (
+          <div className={`flex items-center gap-2 p-3 rounded-lg mb-5 text-sm ${status.type === 'success' ? 'bg-green-50 border border-green-200 text-green-700' : 'bg-red-50 border border-red-200 text-red-700'}`}>
+            {status.type === 'success' ? <CheckCircle size={16} /> : <AlertTriangle size={16} />} {status.message}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-5">
+          <div className="relative">
+            <Key className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+            <input
+              type={showPassword ? 'text' : 'password'}
+              placeholder="New Password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={inputClassName}
+              required
+            />
+            <button
+              type="button"
+              onClick={() => setShowPassword(!showPassword)}
+              className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-500 hover:text-gray-700"
+            >
+              {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
+            </button>
+          </div>
+          <div className="relative">
+            <Key className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+            <input
+              type={showPassword ? 'text' : 'password'}
+              placeholder="Confirm New Password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              className={inputClassName}
+              required
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={isLoading || !token}
+            className="w-full flex justify-center items-center bg-pink-500 hover:bg-pink-600 text-white p-3 rounded-lg font-bold text-lg transition-all duration-300 disabled:bg-pink-300"
+          >
+            {isLoading ? <><Loader className="animate-spin mr-2" /> Saving...</> : 'Reset Password'}
+          </button>
+          <p className="text-center text-sm text-gray-500">
+            Link expired? <Link to="/forgot-password" className="font-semibold text-pink-500 hover:underline">Request a new one</Link>
+          </p>
+        </form>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ResetPassword;
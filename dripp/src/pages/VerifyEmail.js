@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useAuth } from '../Context/AuthContext';
+import { apiRequest } from '../api/client';
+import { Mail, Loader, CheckCircle, AlertTriangle } from 'lucide-react';
+
+// Landing page for the link in the verification email; offers a fresh link when the token is bad or expired
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [state, setState] = useState(token ? 'verifying' : 'failed');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is missing its token.');
+  const [email, setEmail] = useState('');
+  const [resendStatus, setResendStatus] = useState(null);
+  const [isSending, setIsSending] = useState(false);
+  const [verifiedUserId, setVerifiedUserId] = useState(null);
+  const { user, updateUser } = useAuth();
+
+  useEffect(() => {
+    if (!token) return;
+    const verify = async () => {
+      try {
+        const data = await apiRequest('/auth/verify-email', { method: 'POST', body: { token } });
+        setState('verified');
+        setMessage(data.message);
+        setVerifiedUserId(data.userId);
+      } catch (err) {
+        setState('failed');
+        setMessage(err.message);
+      }
+    };
+    verify();
+  }, [token]);
+
+  // Clear the reminder banner if the link belonged to the account that is signed in on this browser
+  useEffect(() => {
+    if (user && user.id === verifiedUserId && user.email_verified === false) updateUser({ email_verified: true });
+  }, [user, verifiedUserId, updateUser]);
+
+  const handleResend = async (e) => {
+    e.preventDefault();
+    setIsSending(true);
+    try {
+      const data = await apiRequest('/auth/resend-verification', { method: 'POST', body: { email } });
+      setResendStatus({ type: 'success', message: data.message });
+    } catch (err) {
+      setResendStatus({ type: 'error', message: err.message });
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <motion.div className="w-full max-w-md bg-white rounded-2xl shadow-2xl p-8 md:p-12 text-center" initial={{ opacity: 0, y: 30 }} animate={{ opacity: 1, y: 0 }}>
+        {state === 'verifying' && (
+          <>
+            <Loader className="animate-spin text-pink-500 mx-auto mb-4" size={48} />
+            <p className="text-gray-600">Verifying your email address...</p>
+          </>
+        )}
+
+        {state === 'verified' && (
+          <>
+            <CheckCircle className="text-green-500 mx-auto mb-4" size={56} />
+            <h2 className="text-3xl font-bold text-gray-800 mb-2">Email Verified</h2>
+            <p className="text-gray-500 mb-8">{message}</p>
+            <Link
+              to={user ? '/profile' : '/login'}
+              className="inline-flex items-center justify-center px-8 py-3 bg-pink-500 hover:bg-pink-600 text-white rounded-lg font-bold"
+            >
+              {user ? 'Go to Your Profile' : 'Log In'}
+            </Link>
+          </>
+        )}
+
+        {state === 'failed' && (
+          <>
+            <AlertTriangle className="text-red-500 mx-auto mb-4" size={56} />
+            <h2 className="text-3xl font-bold text-gray-800 mb-2">Verification Failed</h2>
+            <p className="text-gray-500 mb-8">{message} Enter your email to get a new link.</p>
+            {resendStatus && (
+              <div className={`flex items-center gap-2 p-3 rounded-lg mb-5 text-sm text-left ${resendStatus.type === 'success' ? 'bg-green-50 border border-green-200 text-green-700' : 'bg-red-50 border border-red-200 text-red-700'}`}>
+                {resendStatus.type === 'success' ? <CheckCircle size={16} /> : <AlertTriangle size={16} />} {resendStatus.message}
+              </div>
+            )}
+            <form onSubmit={handleResend} className="space-y-5">
+              <div className="relative">
+                <Mail className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+                <input
+                  type="email"
+                  placeholder="Email Address"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="w-full pl-10 pr-4 py-3 text-gray-900 border border-gray-300 rounded-lg focus:ring-pink-500 focus:border-pink-500 transition"
+                  required
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={isSending}
+                className="w-full flex justify-center items-center bg-pink-500 hover:bg-pink-600 text-white p-3 rounded-lg font-bold text-lg transition-all duration-300 disabled:bg-pink-300"
+              >
+                {isSending ? <><Loader className="animate-spin mr-2" /> Sending...</> : 'Send New Link'}
+              </button>
+            </form>
+          </>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default VerifyEmail;